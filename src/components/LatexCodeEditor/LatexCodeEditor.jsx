@@ -1,7 +1,11 @@
 import React, { useRef, useMemo } from 'react';
 import styles from './LatexCodeEditor.module.css';
 
-export default function LatexCodeEditor({ value, onChange }) {
+/**
+ * Raw LaTeX editor with line numbers
+ * @param {Array<Object>} errors - Optional { line, column, message } entries shown in the gutter and below
+ */
+export default function LatexCodeEditor({ value, onChange, errors = [] }) {
   const textareaRef = useRef(null);
   const lineNumbersRef = useRef(null);
 
@@ -11,6 +15,15 @@ export default function LatexCodeEditor({ value, onChange }) {
     return Math.max(1, value.split('\n').length);
   }, [value]);
 
+  // Messages per line for the gutter tooltip
+  const errorsByLine = useMemo(() => {
+    const map = new Map();
+    for (const error of errors) {
+      map.set(error.line, [...(map.get(error.line) || []), error.message]);
+    }
+    return map;
+  }, [errors]);
+
   const handleChange = (e) => {
     onChange(e.target.value);
   };
@@ -43,22 +56,40 @@ export default function LatexCodeEditor({ value, onChange }) {
   };
 
   return (
-    <div className={styles.editorContainer}>
-      <div className={styles.lineNumbers} ref={lineNumbersRef}>
-        {Array.from({ length: lines }).map((_, i) => (
-          <div key={i} className={styles.lineNumber}>{i + 1}</div>
-        ))}
+    <div className={styles.wrapper}>
+      <div className={styles.editorContainer}>
+        <div className={styles.lineNumbers} ref={lineNumbersRef}>
+          {Array.from({ length: lines }).map((_, i) => (
+            <div
+              key={i}
+              className={errorsByLine.has(i + 1) ? `${styles.lineNumber} ${styles.lineNumberError}` : styles.lineNumber}
+              title={errorsByLine.get(i + 1)?.join('\n')}
+            >
+              {i + 1}
+            </div>
+          ))}
+        </div>
+        <textarea
+          ref={textareaRef}
+          className={styles.textarea}
+          value={value}
+          onChange={handleChange}
+          onScroll={handleScroll}
+          onKeyDown={handleKeyDown}
+          spellCheck={false}
+          placeholder="Type raw LaTeX here..."
+        />
       </div>
-      <textarea
-        ref={textareaRef}
-        className={styles.textarea}
-        value={value}
-        onChange={handleChange}
-        onScroll={handleScroll}
-        onKeyDown={handleKeyDown}
-        spellCheck={false}
-        placeholder="Type raw LaTeX here..."
-      />
+      {errors.length > 0 && (
+        <ul className={styles.errorList}>
+          {errors.map((error, i) => (
+            <li key={i} className={styles.errorItem}>
+              <span className={styles.errorLocation}>Line {error.line}:{error.column}</span>
+              {error.message}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
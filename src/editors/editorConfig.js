@@ -108,7 +108,8 @@ export function createEditorConfig(CKEditor, customPlugins = {}, mentionFeeds =
     ...(customPlugins.EnglishTextPlugin ? [customPlugins.EnglishTextPlugin] : []),
     ...(customPlugins.FontDropdownLabelsPlugin ? [customPlugins.FontDropdownLabelsPlugin] : []),
     ...(customPlugins.MarginBottomPlugin ? [customPlugins.MarginBottomPlugin] : []),
-    ...(customPlugins.MarginTopPlugin ? [customPlugins.MarginTopPlugin] : [])
+    ...(customPlugins.MarginTopPlugin ? [customPlugins.MarginTopPlugin] : []),
+    ...(customPlugins.FindReplacePlugin ? [customPlugins.FindReplacePlugin] : [])
   ];
 
   // Shared default configuration
@@ -129,9 +130,9 @@ export function createEditorConfig(CKEditor, customPlugins = {}, mentionFeeds =
         'alignment', 'textAlignLast', 'textDirectionLTR', 'textDirectionRTL', '|',
         'bulletedList', 'numberedList', '|',
         'insertTableLayout', 'tableStyles', '|',
-        'MathLive', 'FontSymbolSelector', 'curlyQuotes', '|',
+        'MathLive', 'MathLiveDisplay', 'MathEquationRef', 'MathFontFamily', 'MathFontSize', 'MathColor', 'MathNormalize', 'FontSymbolSelector', 'curlyQuotes', '|',
         'imageUpload', 'insertQRCode', '|',
-        'sourceEditing', '|',
+        'FindReplace', 'sourceEditing', '|',
         'marginTop', 'marginBottom', '|',
         'removeFormat'
       ],
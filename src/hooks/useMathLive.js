@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { loadMathLive, getMathLive } from '../utils/mathliveLoader.js';
+
+/**
+ * The MathLive module for components that render or check LaTeX with it, or
+ * render <math-field> (which is only defined once the module has loaded).
+ * Going through the loader keeps MathLive out of the initial bundle.
+ *
+ * @returns {Object} { mathlive, error } — mathlive is the module, or null while it is
+ *   loading or if the import failed; error is why it failed
+ */
+export const useMathLive = () => {
+  const [state, setState] = useState(() => ({ mathlive: getMathLive(), error: null }));
+
+  useEffect(() => {
+    if (state.mathlive) return undefined;
+
+    let isMounted = true;
+    loadMathLive().then(
+      module => {
+        if (isMounted) setState({ mathlive: module, error: null });
+      },
+      error => {
+        if (isMounted) setState({ mathlive: null, error });
+      }
+    );
+    return () => { isMounted = false; };
+  }, []);
+
+  return state;
+};
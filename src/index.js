@@ -7,6 +7,7 @@ import createCustomTableColumnResizePlugin from './plugins/CustomTableColumnResi
 import createFontDropdownLabelsPlugin from './plugins/FontDropdownLabelsPlugin.js';
 import createFontFamilySearchPlugin from './plugins/FontFamilySearchPlugin.js';
 import createFontSizeSearchPlugin from './plugins/FontSizeSearchPlugin.js';
+import createFindReplacePlugin from './plugins/FindReplacePlugin.jsx';
 import createFontSymbolSelectorPlugin from './plugins/FontSymbolSelectorPlugin.jsx';
 import createImageDPIScalePlugin from './plugins/ImageDPIScalePlugin.js';
 import createImageVerticalAlignPlugin from './plugins/ImageVerticalAlignPlugin.js';
@@ -32,6 +33,7 @@ export {
   createCurlyQuotesPlugin,
   createEnglishTextPlugin,
   createCustomTableColumnResizePlugin,
+  createFindReplacePlugin,
   createFontDropdownLabelsPlugin,
   createFontFamilySearchPlugin,
   createFontSizeSearchPlugin,
@@ -65,21 +67,49 @@ export { useCKEditorFonts } from './hooks/useCKEditorFonts.js';
 export * from './utils/ckeditorUtils.js';
 export * from './utils/dropdownSearchUtils.js';
 export { replaceFracWithCfrac } from './utils/fracReplace.js';
+export { LATEX_REWRITE_RULES, createLatexRewriter, rewriteLatex } from './utils/latexRewrite.js';
+export { tokenizeLatex, parseLatex, serializeLatex, walkLatex } from './utils/latexTokenizer.js';
+export { renderLatexToString } from './utils/mathRender.js';
+export { loadSvgRenderer } from './utils/mathSvg.js';
+export { prerenderMathHtml } from './utils/prerenderMath.js';
+export { BUILT_IN_SNIPPETS, createSnippetStore } from './utils/mathSnippets.js';
+export { createHistoryStore, createLocalStorageAdapter } from './utils/mathHistory.js';
+export { expandMacros } from './utils/mathMacros.js';
+export { latexToSpeech } from './utils/mathSpeech.js';
+export { expandMhchem } from './utils/mhchem.js';
+export { MATH_TRANSFORMS, normalizeLatex } from './utils/mathNormalize.js';
+export { createStubRecognizer, fingerprintMathInput } from './utils/mathRecognizer.js';
+export { BARCODE_FORMATS, prepareBarcodeValue, gs1CheckDigit } from './utils/barcodeFormats.js';
+export { generateBarcodeImage, generateBarcodeSvg, generateQRCodeImage, generateQRCodeImageAsync, generateQRCodeSvg, QR_ERROR_CORRECTION_LEVELS } from './utils/codeImages.js';
+export { renderVariableCodes, substituteCodeVariables, findCodeVariables } from './utils/variableCodes.js';
+export { QR_PAYLOAD_TYPES, buildQRPayload } from './utils/qrPayloads.js';
+export { verifyCodeImage } from './utils/codeVerify.js';
 
 // Helper to create all plugins at once
 // Options:
 //   - getAvailableFonts: Function to fetch available fonts (for FontSymbolSelectorPlugin)
 //   - getFontSupportedGlyphs: Function to fetch font glyphs (for FontSymbolSelectorPlugin)
-//   - mathRenderFormat: 'markup' (default) or 'mathml' — controls MathLive output format
+//   - mathRenderFormat: 'markup' (default), 'mathml' or 'svg' — controls math output format
+//   - mathSnippets: Snippets and load/save callbacks for the equation dialog's snippet palette
+//   - mathHistory: Recent formulas: { limit, userId, storage: { load, save } }, or false to turn off (default: localStorage)
+//   - mathMacros: Custom LaTeX macros, e.g. { vect: '\\mathbf{#1}' }, used when editing and rendering
+//   - mathAutoConvert: Set to false to keep $...$, \(...\) and \[...\] text as-is instead of converting it to formulas
+//   - mathSpeechLocales: Languages of the formulas' spoken descriptions, e.g. ['en', 'hi'] (default ['en'])
+//   - mathToolbar: Items of the toolbar shown on a selected formula
+//   - recognizeMath: async (canvas | image Blob) => LaTeX; adds handwriting and screenshot paste to the equation dialog
+//   - mathNormalizeTransforms: Transforms run by "Normalize Equations", e.g. ['cfrac', 'format'] (default: all built-in ones)
+//   - codeOutput: 'svg' (default, vector, sized in mm) or 'png' for new barcodes and QR codes
+//   - mathRewriteRules: LaTeX rewrite rules applied when rendering, e.g. [['fracSize', { command: 'dfrac' }]] (default: \frac → \cfrac)
 export function createAllPlugins(CKEditor, options = {}) {
-  const { getAvailableFonts, getFontSupportedGlyphs, mathLiveFonts, mathRenderFormat } = options;
+  const { getAvailableFonts, getFontSupportedGlyphs, mathLiveFonts, mathRenderFormat, mathSnippets, mathHistory, mathMacros, mathAutoConvert, mathSpeechLocales, mathToolbar, mathNormalizeTransforms, mathRewriteRules, recognizeMath, codeOutput } = options;
 
   return {
     AlignmentDefaultPlugin: createAlignmentDefaultPlugin(CKEditor),
-    BarcodePlugin: createBarcodePlugin(CKEditor),
+    BarcodePlugin: createBarcodePlugin(CKEditor, { output: codeOutput }),
     CurlyQuotesPlugin: createCurlyQuotesPlugin(CKEditor),
     EnglishTextPlugin: createEnglishTextPlugin(CKEditor),
     CustomTableColumnResizePlugin: createCustomTableColumnResizePlugin(CKEditor),
+    FindReplacePlugin: createFindReplacePlugin(CKEditor),
     FontDropdownLabelsPlugin: createFontDropdownLabelsPlugin(CKEditor),
     FontFamilySearchPlugin: createFontFamilySearchPlugin(CKEditor),
     FontSizeSearchPlugin: createFontSizeSearchPlugin(CKEditor),
@@ -89,8 +119,8 @@ export function createAllPlugins(CKEditor, options = {}) {
     LineHeightPlugin: createLineHeightPlugin(CKEditor),
     MarginBottomPlugin: createMarginBottomPlugin(CKEditor),
     MarginTopPlugin: createMarginTopPlugin(CKEditor),
-    MathLivePlugin: createMathLivePlugin(CKEditor, { availableFonts: mathLiveFonts, getAvailableFonts, mathRenderFormat }),
-    QRCodePlugin: createQRCodePlugin(CKEditor),
+    MathLivePlugin: createMathLivePlugin(CKEditor, { availableFonts: mathLiveFonts, getAvailableFonts, mathRenderFormat, mathSnippets, mathHistory, mathMacros, mathAutoConvert, mathSpeechLocales, mathToolbar, mathNormalizeTransforms, mathRewriteRules, recognizeMath }),
+    QRCodePlugin: createQRCodePlugin(CKEditor, { output: codeOutput }),
     SoftBreakVisibilityPlugin: createSoftBreakVisibilityPlugin(CKEditor),
     SupSubLineHeightPlugin: createSupSubLineHeightPlugin(CKEditor),
     TableBorderPlugin: createTableBorderPlugin(CKEditor),
@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import CodeDialog from './CodeDialog.jsx';
+import VariableInput from './VariableInput.jsx';
+import { BARCODE_FORMATS, DEFAULT_BARCODE_FORMAT, prepareBarcodeValue } from '../utils/barcodeFormats.js';
+import { generateBarcodeImage, generateBarcodeTemplateImage, BARCODE_DEFAULTS } from '../utils/codeImages.js';
+import { fillSampleValues } from '../utils/variableCodes.js';
+import styles from './CodeDialog.module.css';
+
+// Height limits per output: millimetres for SVG, pixels for PNG
+const HEIGHT_LIMITS = {
+  svg: { min: 5, max: 100, step: 0.5, unit: 'mm' },
+  png: { min: 20, max: 200, step: 5, unit: 'pixels' }
+};
+const MODULE_WIDTH_LIMITS = { min: 0.15, max: 1 };
+const MM_PER_PIXEL = 25.4 / 96;
+
+// Formats grouped for the select
+const FORMAT_GROUPS = Object.entries(BARCODE_FORMATS).reduce((groups, [key, { label, group }]) => {
+  (groups[group] = groups[group] || []).push({ key, label });
+  return groups;
+}, {});
+
+function sizeError({ output, height, moduleWidth }) {
+  const limits = HEIGHT_LIMITS[output];
+  const heightValue = parseFloat(height);
+  if (isNaN(heightValue) || heightValue < limits.min || heightValue > limits.max) {
+    return `Please enter a valid height between ${limits.min} and ${limits.max} ${limits.unit}.`;
+  }
+  const moduleValue = parseFloat(moduleWidth);
+  if (output === 'svg' && (isNaN(moduleValue) || moduleValue < MODULE_WIDTH_LIMITS.min || moduleValue > MODULE_WIDTH_LIMITS.max)) {
+    return `Please enter a narrow bar width between ${MODULE_WIDTH_LIMITS.min} and ${MODULE_WIDTH_LIMITS.max} mm.`;
+  }
+  return null;
+}
+
+/**
+ * Validates the value for the format and completes EAN/UPC/ITF-14 check digits.
+ * A format not in BARCODE_FORMATS (older content) takes the value as it is.
+ */
+function prepareValue(text, format) {
+  return BARCODE_FORMATS[format] || !text.trim() ? prepareBarcodeValue(text, format) : { value: text.trim() };
+}
+
+function imageOptions(values) {
+  return {
+    output: values.output,
+    format: values.format,
+    height: parseFloat(values.height),
+    moduleWidth: parseFloat(values.moduleWidth),
+    displayValue: values.showText
+  };
+}
+
+/**
+ * Barcode dialog: format, value (with @variables), size and text
+ * @param {Object} props
+ * @param {Object} props.initialValues - { text, format, output, height, moduleWidth, displayValue } of the edited barcode, or null
+ * @param {string} props.defaultOutput - Output of new barcodes
+ * @param {Array<Object>} props.variables - qrCodeVariables config
+ * @param {Function} props.onInsert - (image attributes) => void
+ * @param {Function} props.onClose
+ */
+const BarcodeDialog = ({ initialValues, defaultOutput, variables, onInsert, onClose }) => {
+  const isEditing = !!initialValues;
+  const [values, setValues] = useState(() => {
+    const output = initialValues?.output || defaultOutput;
+    return {
+      text: initialValues?.text || '',
+      format: initialValues?.format || DEFAULT_BARCODE_FORMAT,
+      output,
+      height: String(initialValues?.height || BARCODE_DEFAULTS[output].height),
+      moduleWidth: String(initialValues?.moduleWidth || BARCODE_DEFAULTS.svg.moduleWidth),
+      showText: initialValues?.displayValue !== false
+    };
+  });
+
+  const setValue = (name, value) => setValues(current => ({ ...current, [name]: value }));
+
+  // Switching output converts the height between millimetres and pixels
+  const setOutput = (output) => setValues(current => {
+    const limits = HEIGHT_LIMITS[output];
+    const height = parseFloat(current.height);
+    if (isNaN(height) || output === current.output) return { ...current, output };
+    const converted = output === 'svg' ? height * MM_PER_PIXEL : height / MM_PER_PIXEL;
+    const rounded = Math.min(limits.max, Math.max(limits.min, Math.round(converted / limits.step) * limits.step));
+    return { ...current, output, height: String(+rounded.toFixed(2)) };
+  });
+
+  const barcodeFormat = BARCODE_FORMATS[values.format];
+  const limits = HEIGHT_LIMITS[values.output];
+  const hasVariables = variables.length > 0;
+
+  // Validation and check digit of the value as typed
+  const typed = values.text.trim();
+  const prepared = typed && !typed.includes('@') ? prepareBarcodeValue(typed, values.format) : null;
+  let checkStatus = null;
+  if (prepared?.error) {
+    checkStatus = <div className={styles.error}>{prepared.error}</div>;
+  } else if (prepared?.checkDigit !== undefined) {
+    checkStatus = (
+      <div className={styles.success}>
+        {prepared.checkDigitAdded
+          ? `Check digit ${prepared.checkDigit} will be added: ${prepared.value}`
+          : `Check digit ${prepared.checkDigit} is correct.`}
+      </div>
+    );
+  }
+
+  // The barcode as it will scan, with sample values for @variables
+  const getPreview = () => {
+    if (!typed) return null;
+    const error = sizeError(values);
+    if (error) return { error };
+
+    const { text, sampled } = fillSampleValues(typed, variables, barcodeFormat?.example);
+    const sample = prepareValue(text, values.format);
+    if (sample.error) return { error: sampled ? `With the sample values: ${sample.error}` : sample.error };
+
+    return { src: generateBarcodeImage(sample.value, imageOptions(values)), value: sample.value, format: values.format, sampled };
+  };
+
+  const getCode = () => {
+    const { value, error } = prepareValue(values.text, values.format);
+    if (error) return { error };
+    const sizeProblem = sizeError(values);
+    if (sizeProblem) return { error: sizeProblem };
+
+    const options = imageOptions(values);
+    let src;
+    try {
+      // Values with @variables get a placeholder until renderVariableCodes fills them in
+      src = generateBarcodeTemplateImage(value, options);
+    } catch (e) {
+      return { error: `Error generating barcode: ${e.message}` };
+    }
+
+    return {
+      attributes: {
+        src,
+        alt: `Barcode: ${value}`,
+        'data-barcode-value': value,
+        'data-barcode-format': values.format,
+        'data-barcode-height': String(options.height),
+        'data-barcode-showtext': String(values.showText),
+        'data-barcode-output': values.output,
+        ...(values.output === 'svg' ? { 'data-barcode-module': String(options.moduleWidth) } : {})
+      }
+    };
+  };
+
+  return (
+    <CodeDialog
+      title={isEditing ? 'Edit Barcode' : 'Insert Barcode'}
+      isEditing={isEditing}
+      values={values}
+      getPreview={getPreview}
+      getCode={getCode}
+      onInsert={onInsert}
+      onClose={onClose}
+    >
+      <div className={styles.field}>
+        <label className={styles.label} htmlFor="barcode-format">Barcode Type:</label>
+        <select id="barcode-format" className={styles.select} value={values.format} onChange={(e) => setValue('format', e.target.value)}>
+          {/* A format not in the list (older content) is kept as its own option */}
+          {!barcodeFormat && <option value={values.format}>{values.format}</option>}
+          {Object.entries(FORMAT_GROUPS).map(([group, formats]) => (
+            <optgroup key={group} label={group}>
+              {formats.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+            </optgroup>
+          ))}
+        </select>
+        {barcodeFormat?.help && <div className={styles.help}>{barcodeFormat.help}</div>}
+      </div>
+
+      <div className={styles.field}>
+        <label className={styles.label} htmlFor="barcode-text">
+          Value:{hasVariables && <span className={styles.hint}> (Type @ to insert variables)</span>}
+        </label>
+        <VariableInput
+          id="barcode-text"
+          value={values.text}
+          onChange={(text) => setValue('text', text)}
+          variables={variables}
+          placeholder={hasVariables ? 'Type @ to insert variables' : barcodeFormat ? `e.g. ${barcodeFormat.example}` : 'Enter barcode value...'}
+          autoFocus
+          autoSelect={isEditing}
+        />
+        {checkStatus}
+      </div>
+
+      <div className={styles.field}>
+        <label className={styles.label} htmlFor="barcode-output">Output:</label>
+        <select id="barcode-output" className={styles.select} value={values.output} onChange={(e) => setOutput(e.target.value)}>
+          <option value="svg">Vector (SVG, sized in mm for print)</option>
+          <option value="png">Bitmap (PNG, sized in pixels)</option>
+        </select>
+      </div>
+
+      <div className={styles.fieldRow}>
+        <div className={styles.field}>
+          <label className={styles.label} htmlFor="barcode-height">Height ({limits.unit}):</label>
+          <input
+            type="number"
+            id="barcode-height"
+            className={styles.input}
+            value={values.height}
+            min={limits.min}
+            max={limits.max}
+            step={limits.step}
+            onChange={(e) => setValue('height', e.target.value)}
+          />
+        </div>
+        {values.output === 'svg' && (
+          <div className={styles.field}>
+            <label className={styles.label} htmlFor="barcode-module">Narrow bar width (mm):</label>
+            <input
+              type="number"
+              id="barcode-module"
+              className={styles.input}
+              value={values.moduleWidth}
+              min={MODULE_WIDTH_LIMITS.min}
+              max={MODULE_WIDTH_LIMITS.max}
+              step="0.01"
+              onChange={(e) => setValue('moduleWidth', e.target.value)}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className={styles.field}>
+        <label className={styles.checkbox}>
+          <input type="checkbox" id="barcode-showtext" checked={values.showText} onChange={(e) => setValue('showText', e.target.checked)} />
+          Show text below barcode
+        </label>
+      </div>
+    </CodeDialog>
+  );
+};
+
+export default BarcodeDialog;
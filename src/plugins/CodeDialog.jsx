@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { verifyCodeImage } from '../utils/codeVerify.js';
+import styles from './CodeDialog.module.css';
+
+// Wait for a pause in typing before redrawing and decoding the preview
+const PREVIEW_DELAY = 300;
+
+const FOCUSABLE = 'button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Check results that make Insert ask for confirmation
+const FAILED_CHECKS = ['mismatch', 'unreadable'];
+
+/**
+ * Preview of the code for the current values, checked by scanning it back.
+ * @param {Object} values - The form values; the preview is redrawn when they change
+ * @param {Function} getPreview - () => null (nothing to show), { error } or { src, value, format, sampled? }
+ * @returns {Object} { preview, check } — preview is null or { src?, sampled?, status, message };
+ *   check() returns a promise of the verifyCodeImage result for the current values
+ */
+function useCodePreview(values, getPreview) {
+  const [preview, setPreview] = useState(null);
+  const lastCheck = useRef({ values: null, result: null });
+
+  const runCheck = () => {
+    let code;
+    try {
+      code = getPreview();
+    } catch (error) {
+      code = { error: error.message || String(error) };
+    }
+
+    let result;
+    if (!code) {
+      setPreview(null);
+      result = Promise.resolve(null);
+    } else if (code.error) {
+      setPreview({ status: 'invalid', message: code.error });
+      result = Promise.resolve({ status: 'invalid', message: code.error });
+    } else {
+      setPreview({ src: code.src, sampled: code.sampled, status: 'checking', message: 'Checking that the code scans…' });
+      result = verifyCodeImage(code.src, code.value, code.format).then(checked => {
+        // Results for values that have since changed are dropped
+        if (lastCheck.current.values === values) {
+          setPreview(current => ({ ...current, status: checked.status, message: checked.message }));
+        }
+        return checked;
+      });
+    }
+
+    lastCheck.current = { values, result };
+    return result;
+  };
+
+  useEffect(() => {
+    const timer = setTimeout(runCheck, lastCheck.current.values === null ? 0 : PREVIEW_DELAY);
+    return () => clearTimeout(timer);
+  }, [values]);
+
+  const check = () => (lastCheck.current.values === values ? lastCheck.current.result : runCheck());
+
+  return { preview, check };
+}
+
+/**
+ * Dialog shared by the barcode and QR code plugins: the form is passed as
+ * children, and the dialog adds the live preview, the scan-back check and
+ * the keyboard handling (Tab stays in the dialog, Escape closes it, Enter in
+ * a text field inserts).
+ *
+ * Codes that fail the check are only inserted after a second click on
+ * "Insert Anyway", as in MathLiveDialog.
+ *
+ * @param {Object} props
+ * @param {string} props.title
+ * @param {boolean} props.isEditing - Label the button Update instead of Insert
+ * @param {Object} props.values - Form values; a new object whenever a field changes
+ * @param {Function} props.getPreview - () => null, { error } or { src, value, format, sampled? }:
+ *   the code as it will scan, with @variables filled in with sample values
+ * @param {Function} props.getCode - () => { error } or { attributes } for the image to insert
+ * @param {Function} props.onInsert - (attributes) => void
+ * @param {Function} props.onClose
+ */
+const CodeDialog = ({ title, isEditing, values, getPreview, getCode, onInsert, onClose, children }) => {
+  const [error, setError] = useState(null);
+  const [confirmInsert, setConfirmInsert] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const { preview, check } = useCodePreview(values, getPreview);
+  const dialogRef = useRef(null);
+  const pressStartedOnOverlay = useRef(false);
+
+  // Any edit clears the error and a pending "insert anyway" confirmation
+  useEffect(() => {
+    setError(null);
+    setConfirmInsert(false);
+  }, [values]);
+
+  // Start inside the dialog when no field took the focus
+  useEffect(() => {
+    if (!dialogRef.current.contains(document.activeElement)) {
+      dialogRef.current.focus();
+    }
+  }, []);
+
+  const handleInsert = async () => {
+    if (checking) return;
+
+    const code = getCode();
+    if (code.error) {
+      setError(code.error);
+      return;
+    }
+
+    if (!confirmInsert) {
+      setChecking(true);
+      const result = await check();
+      setChecking(false);
+      if (result && FAILED_CHECKS.includes(result.status)) {
+        setError(result.message);
+        setConfirmInsert(true);
+        return;
+      }
+    }
+
+    onInsert(code.attributes);
+  };
+
+  const trapFocus = (e) => {
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const index = focusable.indexOf(document.activeElement);
+
+    if (e.shiftKey && index <= 0) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (index === -1 || document.activeElement === last)) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'Tab') {
+      trapFocus(e);
+    } else if (e.key === 'Enter' && e.target.tagName === 'INPUT' && ['text', 'number'].includes(e.target.type)) {
+      e.preventDefault();
+      handleInsert();
+    }
+  };
+
+  // Only a click that starts and ends on the overlay closes the dialog, so
+  // selecting text in a field and releasing outside doesn't
+  const handleOverlayMouseDown = (e) => {
+    pressStartedOnOverlay.current = e.target === e.currentTarget;
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget && pressStartedOnOverlay.current) {
+      onClose();
+    }
+  };
+
+  const statusClass = preview?.status === 'ok'
+    ? `${styles.checkStatus} ${styles.checkStatusOk}`
+    : FAILED_CHECKS.includes(preview?.status) || preview?.status === 'invalid' || preview?.status === 'error'
+      ? `${styles.checkStatus} ${styles.checkStatusError}`
+      : styles.checkStatus;
+
+  const action = isEditing ? 'Update' : 'Insert';
+
+  return (
+    <div className={styles.overlay} onMouseDown={handleOverlayMouseDown} onClick={handleOverlayClick}>
+      <div
+        ref={dialogRef}
+        className={styles.dialog}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="code-dialog-title"
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+      >
+        <div className={styles.header}>
+          <h3 id="code-dialog-title" className={styles.headerTitle}>{title}</h3>
+          <button className={styles.closeButton} onClick={onClose} title="Close" aria-label="Close">
+            &times;
+          </button>
+        </div>
+
+        <div className={styles.content}>
+          {children}
+
+          <div className={styles.field}>
+            <span className={styles.label}>Preview:</span>
+            <div className={styles.preview}>
+              {preview?.src
+                ? <img className={styles.previewImage} src={preview.src} alt="" />
+                : <span className={styles.previewEmpty}>Nothing to preview yet.</span>}
+            </div>
+            {preview?.sampled && <div className={styles.help}>Shown with sample values for the @variables.</div>}
+            <div className={statusClass} role="status">{preview?.message || ''}</div>
+          </div>
+        </div>
+
+        <div className={styles.footer}>
+          {error && (
+            <span className={styles.footerWarning} role="alert">
+              {confirmInsert ? `${error} ${action} it anyway?` : error}
+            </span>
+          )}
+          <div className={styles.buttonGroup}>
+            <button className={styles.cancelButton} onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              className={confirmInsert ? `${styles.insertButton} ${styles.insertButtonWarning}` : styles.insertButton}
+              onClick={handleInsert}
+              disabled={checking}
+            >
+              {confirmInsert ? `${action} Anyway` : action}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CodeDialog;
@@ -0,0 +1,279 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+
+/**
+ * Shared model layer of the barcode and QR code plugins.
+ *
+ * A code is an inline image whose settings are kept in data-<type>-*
+ * attributes, with data-<type>-value holding the encoded value (which may
+ * contain @variables). This sets up the schema and converters for those
+ * attributes, redraws the image when the value is changed in place (e.g. by
+ * find/replace), adds the toolbar button, reopens the dialog on double-click
+ * and inserts or replaces the image.
+ *
+ * @param {Object} CKEditor - CKEditor instance from CDN
+ * @param {Object} spec
+ * @param {string} spec.pluginName
+ * @param {string} spec.type - Attribute prefix: 'barcode' or 'qrcode'
+ * @param {string} spec.altPrefix - Start of the alt text, e.g. 'Barcode: '; older images are recognized by it
+ * @param {Array<string>} spec.attributes - The data-<type>-* attributes
+ * @param {Object} spec.button - { name, label, icon } of the toolbar button
+ * @param {Function} spec.regenerate - (text, getAttribute) => image data URL, synchronously; throws if the value can't be encoded
+ * @param {Function} spec.readEditValues - (text, getAttribute) => the dialog's initial values for an existing code
+ * @param {Function} spec.Dialog - React component: { initialValues (null for a new code), variables, onInsert(attributes), onClose }
+ * @param {Object} [spec.dialogProps] - More props for the dialog, e.g. plugin options
+ * @returns {Class} Plugin class
+ */
+export default function createCodeImagePlugin(CKEditor, spec) {
+  const { Plugin, ButtonView, DomEventObserver } = CKEditor;
+  const { pluginName, type, altPrefix, attributes, button, regenerate, readEditValues, Dialog, dialogProps = {} } = spec;
+  const valueAttribute = `data-${type}-value`;
+
+  // Observer for double-click events
+  class DoubleClickObserver extends DomEventObserver {
+    constructor(view) {
+      super(view);
+      this.domEventType = 'dblclick';
+    }
+
+    onDomEvent(domEvent) {
+      this.fire(domEvent.type, domEvent);
+    }
+  }
+
+  class CodeImagePlugin extends Plugin {
+    static get pluginName() {
+      return pluginName;
+    }
+
+    static get requires() {
+      return [];
+    }
+
+    init() {
+      const editor = this.editor;
+      const schema = editor.model.schema;
+
+      schema.extend('imageInline', {
+        allowAttributes: attributes
+      });
+
+      if (schema.isRegistered('imageBlock')) {
+        schema.extend('imageBlock', {
+          allowAttributes: attributes
+        });
+      }
+
+      // Downcast (model -> view): Add attributes to the img element
+      editor.conversion.for('downcast').add(dispatcher => {
+        for (const attrName of attributes) {
+          dispatcher.on(`attribute:${attrName}:imageInline`, (evt, data, conversionApi) => {
+            if (!conversionApi.consumable.consume(data.item, evt.name)) {
+              return;
+            }
+            const viewWriter = conversionApi.writer;
+            const img = conversionApi.mapper.toViewElement(data.item);
+            if (img) {
+              if (data.attributeNewValue) {
+                viewWriter.setAttribute(attrName, data.attributeNewValue, img);
+              } else {
+                viewWriter.removeAttribute(attrName, img);
+              }
+            }
+          });
+        }
+      });
+
+      // Upcast (view -> model): Read attributes from the img element
+      editor.conversion.for('upcast').add(dispatcher => {
+        dispatcher.on('element:img', (evt, data, conversionApi) => {
+          const modelElement = data.modelRange?.start.nodeAfter;
+          if (!modelElement) return;
+
+          for (const attrName of attributes) {
+            const attrValue = data.viewItem.getAttribute(attrName);
+            if (attrValue) {
+              conversionApi.writer.setAttribute(attrName, attrValue, modelElement);
+            }
+          }
+        }, { priority: 'low' });
+      });
+
+      // Regenerate the image when the value is changed in place (e.g. by find/replace)
+      editor.model.document.registerPostFixer(writer => this._refreshChangedImages(writer));
+
+      editor.ui.componentFactory.add(button.name, locale => {
+        const view = new ButtonView(locale);
+
+        view.set({
+          label: button.label,
+          icon: button.icon,
+          tooltip: true
+        });
+
+        view.on('execute', () => {
+          this._openDialog();
+        });
+
+        return view;
+      });
+    }
+
+    afterInit() {
+      const editor = this.editor;
+      const editingView = editor.editing.view;
+
+      editingView.addObserver(DoubleClickObserver);
+
+      this.listenTo(editingView.document, 'dblclick', (evt, data) => {
+        try {
+          const domTarget = data.domTarget;
+          if (!domTarget || domTarget.tagName !== 'IMG') {
+            return;
+          }
+
+          const modelElement = this._findImageElement(domTarget);
+          const getAttribute = (name) => modelElement?.getAttribute(name) ?? domTarget.getAttribute(name);
+
+          // Images from before the data attributes only have the value in their alt text
+          let text = getAttribute(valueAttribute);
+          const alt = getAttribute('alt') || '';
+          if (!text && alt.startsWith(altPrefix)) {
+            text = alt.substring(altPrefix.length);
+          }
+          if (!text) {
+            return;
+          }
+
+          evt.stop();
+
+          // Select the image so it is the one replaced on Update
+          if (modelElement) {
+            editor.model.change(writer => {
+              writer.setSelection(writer.createRangeOn(modelElement));
+            });
+          }
+
+          this._openDialog(readEditValues(text, getAttribute), modelElement);
+        } catch (error) {
+          console.error(`Error handling ${type} double-click:`, error);
+        }
+      }, { priority: 'high' });
+    }
+
+    /**
+     * The imageInline model element of a double-clicked img
+     */
+    _findImageElement(domTarget) {
+      const editor = this.editor;
+      const isImage = (node) => node && node.is && node.is('element', 'imageInline');
+
+      // The img is mapped itself or, when editing, through its span wrapper
+      const viewElement = editor.editing.view.domConverter.domToView(domTarget);
+      for (const element of [viewElement, viewElement?.parent]) {
+        if (!element) continue;
+        try {
+          const modelElement = editor.editing.mapper.toModelElement(element);
+          if (isImage(modelElement)) return modelElement;
+        } catch (e) {
+          // Ignore mapping errors
+        }
+      }
+
+      // Fall back to the selected image, or the one next to the selection
+      const selection = editor.model.document.selection;
+      const selected = selection.getSelectedElement();
+      if (isImage(selected)) return selected;
+
+      const position = selection.getFirstPosition();
+      if (isImage(position?.nodeBefore)) return position.nodeBefore;
+      if (isImage(position?.nodeAfter)) return position.nodeAfter;
+      return null;
+    }
+
+    _refreshChangedImages(writer) {
+      let wasFixed = false;
+
+      for (const change of this.editor.model.document.differ.getChanges()) {
+        if (change.type !== 'attribute' || change.attributeKey !== valueAttribute || !change.attributeNewValue) {
+          continue;
+        }
+
+        const imageElement = change.range.start.nodeAfter;
+        if (!imageElement || !imageElement.is('element')) continue;
+
+        const text = change.attributeNewValue;
+        let dataUrl;
+        try {
+          // Renders synchronously, which post-fixers require
+          dataUrl = regenerate(text, key => imageElement.getAttribute(key));
+        } catch (error) {
+          // Keep the old image; the dialog reports invalid values when the code is edited
+          continue;
+        }
+
+        if (imageElement.getAttribute('src') !== dataUrl) {
+          writer.setAttribute('src', dataUrl, imageElement);
+          writer.setAttribute('alt', `${altPrefix}${text}`, imageElement);
+          wasFixed = true;
+        }
+      }
+
+      return wasFixed;
+    }
+
+    /**
+     * @param {Object} [initialValues] - Values of the code being edited; null for a new code
+     * @param {Object} [imageElement] - The model element to replace
+     */
+    _openDialog(initialValues = null, imageElement = null) {
+      const editor = this.editor;
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const root = createRoot(container);
+
+      const handleClose = () => {
+        try { root.unmount(); } catch(e) {}
+        container.remove();
+        editor.editing.view.focus();
+      };
+
+      const handleInsert = (imageAttrs) => {
+        this._insertImage(imageAttrs, initialValues ? imageElement : null);
+        handleClose();
+      };
+
+      root.render(
+        <Dialog
+          {...dialogProps}
+          initialValues={initialValues}
+          variables={editor.config.get('qrCodeVariables') || []}
+          onInsert={handleInsert}
+          onClose={handleClose}
+        />
+      );
+    }
+
+    /**
+     * Insert a code image at the selection, or in place of the edited one
+     */
+    _insertImage(imageAttrs, imageElement) {
+      const editor = this.editor;
+
+      editor.model.change(writer => {
+        const newElement = writer.createElement('imageInline', imageAttrs);
+
+        // The edited image may have been removed while the dialog was open
+        if (imageElement && imageElement.root.is('rootElement') && imageElement.root.rootName !== '$graveyard') {
+          const position = writer.createPositionBefore(imageElement);
+          writer.remove(imageElement);
+          editor.model.insertContent(newElement, position);
+        } else {
+          editor.model.insertContent(newElement, editor.model.document.selection.getFirstPosition());
+        }
+      });
+    }
+  }
+
+  return CodeImagePlugin;
+}
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useRef } from 'react';
+import styles from './FindReplacePlugin.module.css';
+
+/**
+ * Floating find/replace panel. It doesn't block the editor, so matches stay
+ * visible while stepping through them.
+ * @param {Object} plugin - FindReplacePlugin instance
+ * @param {string} initialQuery - Pre-filled search text (the editor selection)
+ * @param {Function} onClose
+ */
+const FindReplacePanel = ({ plugin, initialQuery, onClose }) => {
+  const [query, setQuery] = useState(initialQuery || '');
+  const [replacement, setReplacement] = useState('');
+  const [matchCase, setMatchCase] = useState(false);
+  const [wholeWords, setWholeWords] = useState(false);
+  const [inText, setInText] = useState(true);
+  const [inFormulas, setInFormulas] = useState(true);
+  const [inCodes, setInCodes] = useState(true);
+  const [matchCount, setMatchCount] = useState(0);
+  const [currentIndex, setCurrentIndex] = useState(-1);
+  const queryInputRef = useRef(null);
+
+  useEffect(() => {
+    const updateCount = () => setMatchCount(plugin.matchCount);
+    const updateIndex = () => setCurrentIndex(plugin.currentIndex);
+    plugin.on('change:matchCount', updateCount);
+    plugin.on('change:currentIndex', updateIndex);
+    return () => {
+      plugin.off('change:matchCount', updateCount);
+      plugin.off('change:currentIndex', updateIndex);
+    };
+  }, [plugin]);
+
+  useEffect(() => {
+    plugin.find(query, { matchCase, wholeWords, inText, inFormulas, inCodes });
+  }, [plugin, query, matchCase, wholeWords, inText, inFormulas, inCodes]);
+
+  useEffect(() => {
+    queryInputRef.current?.focus();
+    queryInputRef.current?.select();
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  const handleQueryKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        plugin.findPrevious();
+      } else {
+        plugin.findNext();
+      }
+    }
+  };
+
+  const handleReplaceKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      plugin.replace(replacement);
+    }
+  };
+
+  const status = !query
+    ? ''
+    : matchCount === 0 ? 'No matches' : `${currentIndex + 1} of ${matchCount}`;
+
+  return (
+    <div className={styles.panel} onKeyDown={handleKeyDown} role="dialog" aria-label="Find and replace">
+      <div className={styles.header}>
+        <span className={styles.title}>Find and Replace</span>
+        <button className={styles.closeButton} onClick={onClose} title="Close (Esc)">&times;</button>
+      </div>
+
+      <div className={styles.row}>
+        <input
+          ref={queryInputRef}
+          type="text"
+          className={styles.input}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleQueryKeyDown}
+          placeholder="Find"
+        />
+        <span className={styles.status}>{status}</span>
+      </div>
+
+      <div className={styles.row}>
+        <input
+          type="text"
+          className={styles.input}
+          value={replacement}
+          onChange={(e) => setReplacement(e.target.value)}
+          onKeyDown={handleReplaceKeyDown}
+          placeholder="Replace with"
+        />
+      </div>
+
+      <div className={styles.options}>
+        <label className={styles.checkbox}>
+          <input type="checkbox" checked={matchCase} onChange={(e) => setMatchCase(e.target.checked)} />
+          Match case
+        </label>
+        <label className={styles.checkbox}>
+          <input type="checkbox" checked={wholeWords} onChange={(e) => setWholeWords(e.target.checked)} />
+          Whole words
+        </label>
+      </div>
+
+      <div className={styles.options}>
+        <span className={styles.optionsLabel}>Search in:</span>
+        <label className={styles.checkbox}>
+          <input type="checkbox" checked={inText} onChange={(e) => setInText(e.target.checked)} />
+          Text
+        </label>
+        <label className={styles.checkbox}>
+          <input type="checkbox" checked={inFormulas} onChange={(e) => setInFormulas(e.target.checked)} />
+          Formulas (LaTeX)
+        </label>
+        <label className={styles.checkbox}>
+          <input type="checkbox" checked={inCodes} onChange={(e) => setInCodes(e.target.checked)} />
+          Barcodes / QR codes
+        </label>
+      </div>
+
+      <div className={styles.footer}>
+        <button className={styles.button} onClick={() => plugin.findPrevious()} disabled={matchCount === 0}>
+          Previous
+        </button>
+        <button className={styles.button} onClick={() => plugin.findNext()} disabled={matchCount === 0}>
+          Next
+        </button>
+        <span className={styles.spacer} />
+        <button className={styles.button} onClick={() => plugin.replace(replacement)} disabled={matchCount === 0}>
+          Replace
+        </button>
+        <button
+          className={`${styles.button} ${styles.primaryButton}`}
+          onClick={() => plugin.replaceAll(replacement)}
+          disabled={matchCount === 0}
+        >
+          Replace All
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FindReplacePanel;
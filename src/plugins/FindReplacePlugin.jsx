@@ -0,0 +1,389 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import FindReplacePanel from './FindReplacePanel.jsx';
+
+// Attributes searched on widgets whose content isn't model text
+const FORMULA_ATTRIBUTES = {
+  mathFormula: ['latex'],
+  mathFormulaBlock: ['latex']
+};
+
+const CODE_ATTRIBUTES = {
+  imageInline: ['data-barcode-value', 'data-qrcode-value'],
+  imageBlock: ['data-barcode-value', 'data-qrcode-value']
+};
+
+const MARKER_GROUP = 'findReplaceMatch';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the search regex for a query
+ * @returns {RegExp|null}
+ */
+function createSearchRegExp(query, { matchCase = false, wholeWords = false } = {}) {
+  if (!query) return null;
+
+  let source = escapeRegExp(query);
+  if (wholeWords) {
+    source = `(?<![\\p{L}\\p{N}_])${source}(?![\\p{L}\\p{N}_])`;
+  }
+  return new RegExp(source, matchCase ? 'gu' : 'giu');
+}
+
+function findInString(text, regExp) {
+  const found = [];
+  regExp.lastIndex = 0;
+  let match;
+  while ((match = regExp.exec(text)) !== null) {
+    found.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return found;
+}
+
+/**
+ * Factory function to create FindReplacePlugin with CKEditor from CDN
+ *
+ * Unlike CKEditor's text search, this also matches inside math formula LaTeX
+ * and barcode/QR code values. Text matches are highlighted in place, widget
+ * matches outline the widget. Every replacement is a model change, so it can
+ * be undone.
+ *
+ * @param {Object} CKEditor - CKEditor instance from CDN
+ * @returns {Class} FindReplacePlugin class
+ */
+export default function createFindReplacePlugin(CKEditor) {
+  const { Plugin, ButtonView, uid } = CKEditor;
+
+  class FindReplacePlugin extends Plugin {
+    static get pluginName() {
+      return 'FindReplace';
+    }
+
+    init() {
+      const editor = this.editor;
+
+      this._matches = [];
+      this._search = null;
+      this._panel = null;
+
+      this.set('matchCount', 0);
+      this.set('currentIndex', -1);
+
+      editor.conversion.for('editingDowncast').markerToHighlight({
+        model: MARKER_GROUP,
+        view: ({ markerName }) => {
+          const current = this._matches[this.currentIndex];
+          const isCurrent = current && current.markerName === markerName;
+          return {
+            classes: isCurrent ? ['find-replace-match', 'find-replace-match--current'] : 'find-replace-match',
+            priority: 20
+          };
+        }
+      });
+
+      // Keep results in sync with edits (including our own replacements and undo)
+      this.listenTo(editor.model.document, 'change:data', () => {
+        if (this._search) {
+          this._refresh();
+        }
+      });
+
+      editor.ui.componentFactory.add('FindReplace', locale => {
+        const view = new ButtonView(locale);
+
+        view.set({
+          label: 'Find and Replace',
+          icon: findReplaceIcon,
+          keystroke: 'Ctrl+F',
+          tooltip: true
+        });
+
+        view.on('execute', () => this.openPanel());
+
+        return view;
+      });
+
+      editor.keystrokes.set('Ctrl+F', (data, cancel) => {
+        this.openPanel();
+        cancel();
+      });
+    }
+
+    destroy() {
+      if (this._panel) {
+        this._panel.root.unmount();
+        this._panel.container.remove();
+        this._panel = null;
+      }
+      super.destroy();
+    }
+
+    /**
+     * Search the document and highlight every match
+     * @param {string} query - Text to find
+     * @param {Object} [options]
+     * @param {boolean} [options.matchCase=false]
+     * @param {boolean} [options.wholeWords=false]
+     * @param {boolean} [options.inText=true] - Search regular text
+     * @param {boolean} [options.inFormulas=true] - Search math formula LaTeX
+     * @param {boolean} [options.inCodes=true] - Search barcode and QR code values
+     * @returns {number} Number of matches
+     */
+    find(query, options = {}) {
+      this._search = query ? { query, options } : null;
+      this._refresh(0);
+      if (this._matches.length > 0) {
+        this._focusCurrent();
+      }
+      return this._matches.length;
+    }
+
+    findNext() {
+      this._step(1);
+    }
+
+    findPrevious() {
+      this._step(-1);
+    }
+
+    /**
+     * Replace the current match and move on to the next one
+     */
+    replace(replacement) {
+      const match = this._matches[this.currentIndex];
+      if (!match) return;
+
+      this.editor.model.change(writer => {
+        this._replaceMatch(writer, match, replacement);
+      });
+      // change:data has refreshed the matches; the next one now sits at the same index
+      this._focusCurrent();
+    }
+
+    /**
+     * Replace every match in a single undo step
+     * @returns {number} Number of replacements
+     */
+    replaceAll(replacement) {
+      const matches = [...this._matches];
+      if (matches.length === 0) return 0;
+
+      this.editor.model.change(writer => {
+        // Back to front, so earlier attribute offsets stay valid
+        for (const match of matches.reverse()) {
+          this._replaceMatch(writer, match, replacement);
+        }
+      });
+      return matches.length;
+    }
+
+    /**
+     * Remove all highlights and forget the search
+     */
+    clear() {
+      this._search = null;
+      this._refresh();
+    }
+
+    openPanel() {
+      if (this._panel) {
+        this._panel.focus();
+        return;
+      }
+
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const root = createRoot(container);
+      const panel = { container, root, focus: () => container.querySelector('input')?.focus() };
+      this._panel = panel;
+
+      // Start with the selected text, like most editors do
+      const initialQuery = this._getSelectedText();
+
+      root.render(
+        <FindReplacePanel
+          plugin={this}
+          initialQuery={initialQuery}
+          onClose={() => this._closePanel()}
+        />
+      );
+    }
+
+    _closePanel() {
+      const panel = this._panel;
+      if (!panel) return;
+      this._panel = null;
+      this.clear();
+
+      // Let React finish the event that closed the panel before unmounting
+      setTimeout(() => {
+        panel.root.unmount();
+        if (panel.container.parentNode) {
+          panel.container.parentNode.removeChild(panel.container);
+        }
+      }, 0);
+
+      this.editor.editing.view.focus();
+    }
+
+    _getSelectedText() {
+      const selection = this.editor.model.document.selection;
+      let text = '';
+      for (const item of selection.getFirstRange()?.getItems() || []) {
+        if (item.is('$textProxy')) text += item.data;
+      }
+      return text.includes('\n') ? '' : text;
+    }
+
+    _step(direction) {
+      const count = this._matches.length;
+      if (count === 0) return;
+
+      this._setCurrent((this.currentIndex + direction + count) % count);
+      this._focusCurrent();
+    }
+
+    _setCurrent(index) {
+      const previous = this._matches[this.currentIndex];
+      this.currentIndex = index;
+      const current = this._matches[index];
+
+      // Re-run the highlight callback so the current match stands out
+      for (const match of [previous, current]) {
+        if (match && this.editor.model.markers.has(match.markerName)) {
+          this.editor.editing.reconvertMarker(match.markerName);
+        }
+      }
+    }
+
+    _focusCurrent() {
+      const match = this._matches[this.currentIndex];
+      if (!match) return;
+
+      const editor = this.editor;
+      const marker = editor.model.markers.get(match.markerName);
+      if (!marker) return;
+
+      editor.model.change(writer => {
+        writer.setSelection(marker.getRange());
+      });
+      editor.editing.view.scrollToTheSelection();
+    }
+
+    /**
+     * Recompute matches and markers for the active search
+     * @param {number} [startIndex] - Match to make current; defaults to keeping the current position
+     */
+    _refresh(startIndex = this.currentIndex) {
+      const editor = this.editor;
+      const matches = this._search ? this._collectMatches(this._search.query, this._search.options) : [];
+
+      editor.model.change(writer => {
+        for (const marker of [...editor.model.markers.getMarkersGroup(MARKER_GROUP)]) {
+          writer.removeMarker(marker);
+        }
+        for (const match of matches) {
+          writer.addMarker(match.markerName, {
+            range: match.range,
+            usingOperation: false,
+            affectsData: false
+          });
+        }
+      });
+
+      this._matches = matches;
+      this.matchCount = matches.length;
+      this._setCurrent(matches.length === 0 ? -1 : Math.min(Math.max(startIndex, 0), matches.length - 1));
+    }
+
+    _collectMatches(query, options) {
+      const { inText = true, inFormulas = true, inCodes = true } = options;
+      const regExp = createSearchRegExp(query, options);
+      if (!regExp) return [];
+
+      const model = this.editor.model;
+      const attributeMap = {
+        ...(inFormulas && FORMULA_ATTRIBUTES),
+        ...(inCodes && CODE_ATTRIBUTES)
+      };
+      const matches = [];
+      const addMatch = (match) => matches.push({ ...match, markerName: `${MARKER_GROUP}:${uid()}` });
+
+      for (const root of model.document.getRoots()) {
+        for (const item of model.createRangeIn(root).getItems()) {
+          if (!item.is('element')) continue;
+
+          for (const attribute of attributeMap[item.name] || []) {
+            const value = item.getAttribute(attribute);
+            if (typeof value !== 'string') continue;
+
+            for (const { start, end } of findInString(value, regExp)) {
+              addMatch({ type: 'attribute', element: item, attribute, start, end, range: model.createRangeOn(item) });
+            }
+          }
+
+          if (inText && model.schema.checkChild(item, '$text')) {
+            for (const match of this._findInTextBlock(item, regExp)) {
+              addMatch({ type: 'text', ...match });
+            }
+          }
+        }
+      }
+
+      // Blocks are visited before the widgets inside them; Next should follow reading order.
+      // The sort is stable, so matches within one attribute keep their order.
+      return matches.sort((a, b) => {
+        if (a.range.start.isBefore(b.range.start)) return -1;
+        return b.range.start.isBefore(a.range.start) ? 1 : 0;
+      });
+    }
+
+    /**
+     * Match against the text of a block; inline widgets count as one
+     * object-replacement character so matches can't span them.
+     */
+    _findInTextBlock(block, regExp) {
+      const model = this.editor.model;
+      let text = '';
+      for (const child of block.getChildren()) {
+        text += child.is('$text') ? child.data : '\uFFFC';
+      }
+
+      return findInString(text, regExp).map(({ start, end }) => ({
+        range: model.createRange(model.createPositionAt(block, start), model.createPositionAt(block, end))
+      }));
+    }
+
+    _replaceMatch(writer, match, replacement) {
+      if (match.type === 'attribute') {
+        const value = match.element.getAttribute(match.attribute) || '';
+        // The element may have been removed, or the attribute changed, since the search; skip stale matches
+        const root = match.element.root;
+        if (!root.is('rootElement') || root.rootName === '$graveyard' || value.length < match.end) return;
+
+        writer.setAttribute(
+          match.attribute,
+          value.slice(0, match.start) + replacement + value.slice(match.end),
+          match.element
+        );
+        return;
+      }
+
+      const marker = this.editor.model.markers.get(match.markerName);
+      const range = marker ? marker.getRange() : match.range;
+      if (range.isCollapsed) return;
+
+      // Keep the formatting of the replaced text
+      const firstItem = range.getItems().next().value;
+      const attributes = firstItem ? firstItem.getAttributes() : [];
+      this.editor.model.insertContent(writer.createText(replacement, attributes), range);
+    }
+  }
+
+  return FindReplacePlugin;
+}
+
+const findReplaceIcon = '<svg viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path d="M8 2a6 6 0 0 1 4.75 9.67l4.79 4.8-1.06 1.06-4.8-4.79A6 6 0 1 1 8 2zm0 1.5a4.5 4.5 0 1 0 0 9 4.5 4.5 0 0 0 0-9z" fill="currentColor"/><path d="M5.5 7.25h5v1.5h-5z" fill="currentColor"/></svg>';
@@ -0,0 +1,131 @@
+import React, { useRef } from 'react';
+import styles from './MathLivePlugin.module.css';
+
+// mhchem tokens, inserted at the cursor of the reaction field
+const CHEMISTRY_GROUPS = [
+  {
+    category: 'Arrows',
+    items: [
+      { label: '→', insert: ' -> ', title: 'Reaction arrow' },
+      { label: '⇌', insert: ' <=> ', title: 'Equilibrium' },
+      { label: '←', insert: ' <- ', title: 'Reverse reaction' },
+      { label: '↔', insert: ' <-> ', title: 'Resonance' },
+      { label: '→ Δ', insert: ' ->[\\Delta] ', title: 'On heating' },
+      { label: '→ cat.', insert: ' ->[catalyst] ', title: 'Arrow with condition (edit the text in [ ])' }
+    ]
+  },
+  {
+    category: 'States',
+    items: [
+      { label: '(s)', insert: '(s)', title: 'Solid' },
+      { label: '(l)', insert: '(l)', title: 'Liquid' },
+      { label: '(g)', insert: '(g)', title: 'Gas' },
+      { label: '(aq)', insert: '(aq)', title: 'Aqueous' },
+      { label: '↑', insert: ' ^', title: 'Gas evolved' },
+      { label: '↓', insert: ' v', title: 'Precipitate' }
+    ]
+  },
+  {
+    category: 'Charges',
+    items: [
+      { label: '⁺', insert: '^+', title: 'Charge +' },
+      { label: '⁻', insert: '^-', title: 'Charge −' },
+      { label: '²⁺', insert: '^2+', title: 'Charge 2+' },
+      { label: '²⁻', insert: '^2-', title: 'Charge 2−' },
+      { label: '³⁺', insert: '^3+', title: 'Charge 3+' },
+      { label: '³⁻', insert: '^3-', title: 'Charge 3−' }
+    ]
+  },
+  {
+    category: 'Isotopes',
+    items: [
+      { label: 'ᴬ_Z X', insert: '^{A}_{Z}X', title: 'Isotope: mass number A, atomic number Z' },
+      { label: '¹⁴₆C', insert: '^{14}_{6}C', title: 'Carbon-14' },
+      { label: '²³⁵₉₂U', insert: '^{235}_{92}U', title: 'Uranium-235' },
+      { label: '⁴₂He', insert: '^{4}_{2}He', title: 'Alpha particle' },
+      { label: '¹₀n', insert: '^{1}_{0}n', title: 'Neutron' },
+      { label: '⁰₋₁e', insert: '^{0}_{-1}e', title: 'Beta particle' }
+    ]
+  },
+  {
+    category: 'Other',
+    items: [
+      { label: '+', insert: ' + ', title: 'Plus' },
+      { label: '·', insert: '*', title: 'Hydrate / adduct dot, e.g. CuSO4*5H2O' }
+    ]
+  }
+];
+
+/**
+ * Chemistry palette shown inside MathLiveDialog. The reaction is typed in
+ * mhchem notation (2H2 + O2 -> 2H2O) and becomes \ce{...}.
+ * @param {string} reaction - Current mhchem source
+ * @param {Function} onChange - Called with the new mhchem source
+ * @param {Function} [onInsert] - If set, an Insert button adds the reaction to the formula
+ *   instead of the reaction being the whole formula
+ */
+const MathChemistryPalette = ({ reaction, onChange, onInsert }) => {
+  const inputRef = useRef(null);
+
+  const insertToken = (token) => {
+    const input = inputRef.current;
+    const start = input ? input.selectionStart : reaction.length;
+    const end = input ? input.selectionEnd : reaction.length;
+    const value = reaction.substring(0, start) + token + reaction.substring(end);
+    onChange(value);
+
+    // Put the cursor after the inserted token once React has updated the field
+    requestAnimationFrame(() => {
+      if (!inputRef.current) return;
+      inputRef.current.focus();
+      inputRef.current.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  return (
+    <div className={styles.snippetPalette}>
+      <div className={styles.snippetSaveRow}>
+        <input
+          ref={inputRef}
+          type="text"
+          className={`${styles.snippetInput} ${styles.chemistryInput}`}
+          value={reaction}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="Reaction, e.g. 2H2 + O2 -> 2H2O"
+          spellCheck={false}
+        />
+        {onInsert && (
+          <button
+            className={styles.toolbarButton}
+            onClick={() => onInsert(reaction)}
+            disabled={!reaction.trim()}
+            title="Insert the reaction at the cursor"
+          >
+            Insert
+          </button>
+        )}
+      </div>
+
+      {CHEMISTRY_GROUPS.map(({ category, items }) => (
+        <div key={category} className={styles.snippetGroup}>
+          <div className={styles.snippetCategory}>{category}</div>
+          <div className={styles.snippetList}>
+            {items.map(item => (
+              <button
+                key={item.insert}
+                className={`${styles.snippetButton} ${styles.chemistryButton}`}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => insertToken(item.insert)}
+                title={item.title}
+              >
+                {item.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MathChemistryPalette;
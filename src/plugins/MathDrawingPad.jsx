@@ -0,0 +1,117 @@
+import React, { useRef, useState, useEffect } from 'react';
+import styles from './MathLivePlugin.module.css';
+
+const PAD_WIDTH = 720;
+const PAD_HEIGHT = 200;
+const LINE_WIDTH = 3;
+
+/**
+ * Drawing pad shown inside MathLiveDialog. The handwritten formula is sent
+ * to the recognizeMath callback as a canvas (white background, black ink).
+ * @param {Function} onRecognize - Called with the canvas
+ * @param {boolean} busy - A recognition is running
+ */
+const MathDrawingPad = ({ onRecognize, busy }) => {
+  const canvasRef = useRef(null);
+  const strokesRef = useRef([]);
+  const currentRef = useRef(null);
+  const [strokeCount, setStrokeCount] = useState(0);
+
+  const redraw = () => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!ctx) return;
+
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = LINE_WIDTH;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    for (const stroke of strokesRef.current) {
+      ctx.beginPath();
+      stroke.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      // A single tap is a dot
+      if (stroke.length === 1) ctx.lineTo(stroke[0][0] + 0.1, stroke[0][1]);
+      ctx.stroke();
+    }
+  };
+
+  useEffect(redraw, []);
+
+  // Pointer position in canvas pixels (the canvas is scaled by CSS)
+  const toCanvasPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const scaleX = rect.width ? canvas.width / rect.width : 1;
+    const scaleY = rect.height ? canvas.height / rect.height : 1;
+    return [(e.clientX - rect.left) * scaleX, (e.clientY - rect.top) * scaleY];
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    canvasRef.current.setPointerCapture?.(e.pointerId);
+    currentRef.current = [toCanvasPoint(e)];
+    strokesRef.current.push(currentRef.current);
+    redraw();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!currentRef.current) return;
+    currentRef.current.push(toCanvasPoint(e));
+    redraw();
+  };
+
+  const handlePointerUp = () => {
+    if (!currentRef.current) return;
+    currentRef.current = null;
+    setStrokeCount(strokesRef.current.length);
+  };
+
+  const undoStroke = () => {
+    strokesRef.current.pop();
+    setStrokeCount(strokesRef.current.length);
+    redraw();
+  };
+
+  const clear = () => {
+    strokesRef.current = [];
+    setStrokeCount(0);
+    redraw();
+  };
+
+  return (
+    <div className={styles.snippetPalette}>
+      <canvas
+        ref={canvasRef}
+        className={styles.drawingCanvas}
+        width={PAD_WIDTH}
+        height={PAD_HEIGHT}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        aria-label="Handwriting area: write a formula with the mouse, pen or finger"
+      />
+      <div className={styles.snippetSaveRow}>
+        <button className={styles.toolbarButton} onClick={undoStroke} disabled={strokeCount === 0 || busy}>
+          Undo Stroke
+        </button>
+        <button className={styles.toolbarButton} onClick={clear} disabled={strokeCount === 0 || busy}>
+          Clear
+        </button>
+        <button
+          className={styles.toolbarButton}
+          onClick={() => onRecognize(canvasRef.current)}
+          disabled={strokeCount === 0 || busy}
+          title="Convert the drawing to LaTeX and insert it at the cursor"
+        >
+          {busy ? 'Recognizing…' : 'Recognize'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MathDrawingPad;
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import styles from './MathLivePlugin.module.css';
+import { SnippetPreview } from './MathSnippetPalette.jsx';
+
+/**
+ * Recently inserted formulas and most-used symbols, shown inside MathLiveDialog
+ * @param {Object} store - History store from createHistoryStore
+ * @param {Function} onInsert - Called with the LaTeX to insert at the cursor
+ */
+const MathHistoryPalette = ({ store, onInsert }) => {
+  const [recent, setRecent] = useState(() => store.getRecent());
+  const [symbols, setSymbols] = useState(() => store.getTopSymbols());
+  // Clearing waits for the saved history, so a failed load can't wipe it
+  const [loaded, setLoaded] = useState(() => store.isLoaded());
+
+  useEffect(() => {
+    let isMounted = true;
+    store.load().then(() => {
+      if (!isMounted) return;
+      setRecent(store.getRecent());
+      setSymbols(store.getTopSymbols());
+      setLoaded(store.isLoaded());
+    });
+    return () => { isMounted = false; };
+  }, [store]);
+
+  const handleClear = async () => {
+    await store.clear();
+    setRecent(store.getRecent());
+    setSymbols(store.getTopSymbols());
+  };
+
+  if (recent.length === 0) {
+    return (
+      <div className={styles.snippetPalette}>
+        <div className={styles.historyEmpty}>Formulas you insert will appear here.</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.snippetPalette}>
+      {symbols.length > 0 && (
+        <div className={styles.snippetGroup}>
+          <div className={styles.snippetCategory}>Most used symbols</div>
+          <div className={styles.snippetList}>
+            {symbols.map(({ symbol, count }) => (
+              <button
+                key={symbol}
+                className={`${styles.snippetButton} ${styles.chemistryButton}`}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => onInsert(symbol)}
+                title={`${symbol} (used ${count}×)`}
+              >
+                <SnippetPreview latex={symbol} />
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className={styles.snippetGroup}>
+        <div className={styles.snippetCategory}>Recent</div>
+        <div className={styles.snippetList}>
+          {recent.map(({ latex, count }) => (
+            <button
+              key={latex}
+              className={styles.snippetButton}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => onInsert(latex)}
+              title={count > 1 ? `${latex} (used ${count}×)` : latex}
+            >
+              <SnippetPreview latex={latex} />
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className={styles.snippetSaveRow}>
+        <button
+          className={styles.toolbarButton}
+          onClick={handleClear}
+          disabled={!loaded}
+          title={loaded ? 'Forget recent formulas and symbols' : 'The saved history could not be loaded'}
+        >
+          Clear history
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MathHistoryPalette;
@@ -1,11 +1,22 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import Select from 'react-select';
 import 'mathlive/fonts.css';
-import 'mathlive';
 import styles from './MathLivePlugin.module.css';
-import mathEditorCss from '../styles/MathLiveEditor.css?inline'; // Import CSS as string
 import LatexCodeEditor from '../components/LatexCodeEditor/LatexCodeEditor.jsx';
 import { formatLatexForEditor } from '../utils/latexFormatter.js';
+import { configureMathfield } from '../utils/mathfieldSetup.js';
+import { checkLatex } from '../utils/latexValidator.js';
+import { getMacroNames } from '../utils/mathMacros.js';
+import MathSnippetPalette from './MathSnippetPalette.jsx';
+import { useMathLive } from '../hooks/useMathLive.js';
+import MathChemistryPalette from './MathChemistryPalette.jsx';
+import MathDrawingPad from './MathDrawingPad.jsx';
+import MathHistoryPalette from './MathHistoryPalette.jsx';
+import MathStepsEditor from './MathStepsEditor.jsx';
+import { getCeContent } from '../utils/mhchem.js';
+import { parseAlignedSteps, serializeAlignedSteps, startAlignedSteps } from '../utils/alignedSteps.js';
+import { MATH_FONT_SIZES, DEFAULT_MATH_FONTS, MATH_COLORS } from '../utils/mathStyle.js';
+import { decomposeOperators } from '../utils/latexRewrite.js';
 
 // Suppress ResizeObserver errors (harmless warnings from MathLive keyboard)
 if (typeof window !== 'undefined') {
@@ -17,16 +28,7 @@ if (typeof window !== 'undefined') {
   }, true);
 }
 
-const FONT_SIZES = [];
-for (let i = 8; i <= 35; i += 0.5) {
-  FONT_SIZES.push(`${i % 1 === 0 ? i : i.toFixed(1)}pt`);
-}
-const SIZE_OPTIONS = FONT_SIZES.map(s => ({ value: s, label: s }));
-
-const DEFAULT_FONTS = [
-  'Kokila', 'Mangal', 'Noto Sans Devanagari',
-  'Arial', 'Times New Roman', 'Courier New'
-];
+const SIZE_OPTIONS = MATH_FONT_SIZES.map(s => ({ value: s, label: s }));
 
 const selectStyles = {
   control: (base) => ({ ...base, minHeight: 28, height: 28, fontSize: 12, minWidth: 100 }),
@@ -41,23 +43,59 @@ const selectStyles = {
 const RENDER_FORMAT_OPTIONS = [
   { value: 'markup', label: 'Markup' },
   { value: 'mathml', label: 'MathML' },
+  { value: 'svg', label: 'SVG' },
 ];
 
-// Operator commands render upright regardless of \mathit/\mathbf wrapping.
-// Decompose them to plain letters so font style commands actually take effect.
-const OPERATOR_RE = /\\(?:ln|log|sin|cos|tan|cot|sec|csc|arcsin|arccos|arctan|exp|lim|min|max|inf|sup|det|dim|gcd|hom|ker|lg|deg|arg|sinh|cosh|tanh|coth)(?![a-zA-Z])/g;
-const decomposeOperators = (latex) =>
-  latex.replace(OPERATOR_RE, (m) => m.slice(1));
+const DISPLAY_OPTIONS = [
+  { value: 'inline', label: 'Inline' },
+  { value: 'block', label: 'Block' },
+];
 
-const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, onClose, availableFonts, getAvailableFonts }) => {
+const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, initialDisplay, initialNumbered, initialSpeechText, initialStyle, getSpeechText, onInsert, onClose, availableFonts, getAvailableFonts, snippetStore, historyStore, mathMacros, recognizeMath }) => {
   const [latex, setLatex] = useState(initialLatex || '');
   const [editorLatex, setEditorLatex] = useState(initialLatex ? formatLatexForEditor(initialLatex) : '');
   const [isMounted, setIsMounted] = useState(false);
   const [fontOptions, setFontOptions] = useState([]);
   const [renderFormat, setRenderFormat] = useState(initialRenderFormat || 'markup');
+  const [display, setDisplay] = useState(initialDisplay || 'inline');
+  const [numbered, setNumbered] = useState(!!initialNumbered);
+  const [speechText, setSpeechText] = useState(initialSpeechText || '');
+  // Font family, size and color of the whole formula (mathFontFamily, mathFontSize, mathColor)
+  const [formulaStyle, setFormulaStyle] = useState(initialStyle || {});
+  const [confirmInsert, setConfirmInsert] = useState(false);
+  const [showSnippets, setShowSnippets] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  // Chemistry mode: a formula that is a single \ce{...} is edited as its reaction
+  const [showChemistry, setShowChemistry] = useState(() => getCeContent(initialLatex) !== null);
+  const [reaction, setReaction] = useState(() => getCeContent(initialLatex) || '');
+  // Steps mode: an aligned, cases or gathered environment edited row by row.
+  // stepsKey remounts the rows when the formula is changed elsewhere.
+  const [steps, setSteps] = useState(() => parseAlignedSteps(initialLatex));
+  const [showSteps, setShowSteps] = useState(() => parseAlignedSteps(initialLatex) !== null);
+  const [stepsKey, setStepsKey] = useState(0);
+  // Handwriting and pasted screenshots, through the recognizeMath callback
+  const [showDrawing, setShowDrawing] = useState(false);
+  const [recognizing, setRecognizing] = useState(false);
+  const [recognizeError, setRecognizeError] = useState(null);
   const mathfieldRef = useRef(null);
+  // The mathfield mounts once MathLive has loaded, maybe after the code was edited
+  const latexRef = useRef(latex);
+  latexRef.current = latex;
   const savedSelectionRef = useRef(null);
 
+  // Validate what the user sees in the code editor so line numbers match.
+  // Unknown commands are only found once MathLive has loaded.
+  const { mathlive, error: mathLiveError } = useMathLive();
+  const latexErrors = useMemo(
+    () => checkLatex(editorLatex, { validate: mathlive?.validateLatex, knownCommands: getMacroNames(mathMacros) }),
+    [editorLatex, mathMacros, mathlive]
+  );
+
+  // Any edit invalidates a pending "insert anyway" confirmation
+  useEffect(() => {
+    setConfirmInsert(false);
+  }, [editorLatex]);
+
   useEffect(() => {
     if (!isOpen) return;
     if (getAvailableFonts) {
@@ -65,11 +103,11 @@ const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, o
         const names = fonts.map(f => f.name || f).filter(Boolean);
         setFontOptions(names.map(n => ({ value: n, label: n })));
       }).catch(() => {
-        const fallback = availableFonts && availableFonts.length > 0 ? availableFonts : DEFAULT_FONTS;
+        const fallback = availableFonts && availableFonts.length > 0 ? availableFonts : DEFAULT_MATH_FONTS;
         setFontOptions(fallback.map(n => ({ value: n, label: n })));
       });
     } else {
-      const fallback = availableFonts && availableFonts.length > 0 ? availableFonts : DEFAULT_FONTS;
+      const fallback = availableFonts && availableFonts.length > 0 ? availableFonts : DEFAULT_MATH_FONTS;
       setFontOptions(fallback.map(n => ({ value: n, label: n })));
     }
   }, [isOpen, getAvailableFonts, availableFonts]);
@@ -80,33 +118,10 @@ const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, o
 
     mathfieldRef.current = element;
 
-    // Configure the mathfield options
-    element.mathModeSpace = '\\,'; // Allow thin space with spacebar
-    element.smartFence = true;
-    element.smartSuperscript = true;
-    element.letterShapeStyle = 'upright'; // Use normal font instead of italics
-
-    // Set tighter spacing for compact math display
-    // - medmuskip: space around binary operators (default 4mu) - affects \cdot, +, -, etc.
-    // - thinmuskip: thin space amount (default 3mu) - affects \, spacing in mixed fractions
-    element.registers = {
-      thinmuskip: '0mu',
-      medmuskip: '0mu',
-      thickmuskip: '0mu',
-      nulldelimiterspace: '0mu'
-    };
-
-    // Inject custom CSS into shadow DOM to override MathLive defaults
-    const style = document.createElement('style');
-    // Pick up --text-font-family from the nearest editor ancestor
-    const editorEl = element.closest?.('[data-editor-id]') || document.querySelector('[data-editor-id]');
-    const textFontFamily = editorEl ? getComputedStyle(editorEl).getPropertyValue('--text-font-family').trim() : '';
-    const overrideCss = textFontFamily ? `:host { --text-font-family: ${textFontFamily}; }` : '';
-    style.textContent = mathEditorCss + '\n' + overrideCss;
-    element.shadowRoot.appendChild(style);
+    configureMathfield(element, mathMacros);
 
     // Set initial value
-    element.value = initialLatex || '';
+    element.value = latexRef.current;
 
     // Listen for changes
     const handleInput = () => {
@@ -131,7 +146,7 @@ const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, o
     }, 100);
 
     // Note: cleanup is handled by React when component unmounts
-  }, [initialLatex]);
+  }, [initialLatex, mathMacros]);
 
   // Reset state when dialog opens/closes
   useEffect(() => {
@@ -139,7 +154,16 @@ const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, o
       setLatex(initialLatex || '');
       setEditorLatex(initialLatex ? formatLatexForEditor(initialLatex) : '');
       setRenderFormat(initialRenderFormat || 'markup');
+      setDisplay(initialDisplay || 'inline');
+      setNumbered(!!initialNumbered);
+      setSpeechText(initialSpeechText || '');
+      setShowChemistry(getCeContent(initialLatex) !== null);
+      setReaction(getCeContent(initialLatex) || '');
+      setSteps(parseAlignedSteps(initialLatex));
+      setShowSteps(parseAlignedSteps(initialLatex) !== null);
+      setStepsKey(k => k + 1);
       setIsMounted(false);
+      if (mathfieldRef.current) mathfieldRef.current.value = initialLatex || '';
     }
 
     return () => {
@@ -159,8 +183,13 @@ const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, o
 
 
   const handleInsert = () => {
+    // Formulas with errors need a second, explicit click
+    if (latexErrors.length > 0 && !confirmInsert) {
+      setConfirmInsert(true);
+      return;
+    }
     try {
-      onInsert(latex, renderFormat);
+      onInsert(latex, renderFormat, { display, numbered, speechText: speechText.trim(), ...formulaStyle });
     } catch (e) {
       console.error('Error inserting equation:', e);
     }
@@ -186,28 +215,45 @@ const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, o
     }
   };
 
-  const applyFontSize = useCallback((option) => {
+  // Is part of the formula selected? Only then is \htmlStyle inserted;
+  // otherwise the style belongs to the whole formula
+  const isPartSelected = () => {
     const mf = mathfieldRef.current;
-    if (!mf || !option) return;
-    if (savedSelectionRef.current) {
-      mf.selection = savedSelectionRef.current;
-    }
-    mf.insert(`\\htmlStyle{font-size: ${option.value}}{#@}`);
-    setLatex(mf.value || '');
-    mf.focus();
-  }, []);
+    const range = savedSelectionRef.current?.ranges?.[0];
+    if (!mf || !range) return false;
+    const start = Math.min(...range);
+    const end = Math.max(...range);
+    return start !== end && !(start === 0 && end >= mf.lastOffset);
+  };
 
-  const applyFontFamily = useCallback((option) => {
+  const applyStyle = useCallback((key, option, wrapSelection) => {
     const mf = mathfieldRef.current;
-    if (!mf || !option) return;
-    if (savedSelectionRef.current) {
+    if (!mf) return;
+    if (option && isPartSelected()) {
       mf.selection = savedSelectionRef.current;
+      mf.insert(wrapSelection(option.value));
+      setLatex(mf.value || '');
+      mf.focus();
+      return;
     }
-    mf.insert(`\\htmlStyle{--text-font-family: ${option.value}}{#@}`);
-    setLatex(mf.value || '');
-    mf.focus();
+    // Clearing the select removes the formula's style
+    setFormulaStyle(s => ({ ...s, [key]: option ? option.value : null }));
   }, []);
 
+  const applyFontSize = useCallback((option) => {
+    applyStyle('mathFontSize', option, value => `\\htmlStyle{font-size: ${value}}{#@}`);
+  }, [applyStyle]);
+
+  const applyFontFamily = useCallback((option) => {
+    applyStyle('mathFontFamily', option, value => `\\htmlStyle{--text-font-family: ${value}}{#@}`);
+  }, [applyStyle]);
+
+  const applyColor = useCallback((option) => {
+    applyStyle('mathColor', option, value => `\\textcolor{${value}}{#@}`);
+  }, [applyStyle]);
+
+  const toOption = (value) => (value ? { value, label: value } : null);
+
   const insertStyled = useCallback((command) => {
     const mf = mathfieldRef.current;
     if (!mf) return;
@@ -228,6 +274,111 @@ const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, o
     mf.focus();
   }, []);
 
+  const insertSnippet = useCallback((snippetLatex) => {
+    const mf = mathfieldRef.current;
+    if (!mf) return;
+    if (savedSelectionRef.current) {
+      mf.selection = savedSelectionRef.current;
+    }
+    // Jump to the snippet's first #? placeholder
+    mf.insert(snippetLatex, { selectionMode: 'placeholder' });
+    setLatex(mf.value || '');
+    setEditorLatex(formatLatexForEditor(mf.value || ''));
+    mf.focus();
+  }, []);
+
+  // The reaction field drives the whole formula while it is empty or a single \ce{...};
+  // otherwise the reaction is inserted at the cursor like a snippet
+  const reactionIsFormula = !latex.trim() || getCeContent(latex) !== null;
+
+  // Follow edits made in the mathfield or code editor
+  useEffect(() => {
+    const content = getCeContent(latex);
+    if (showChemistry && content !== null && content !== reaction) {
+      setReaction(content);
+    }
+  }, [latex, showChemistry]);
+
+  const handleReactionChange = (value) => {
+    setReaction(value);
+    if (reactionIsFormula) {
+      handleCodeChange(value ? `\\ce{${value}}` : '');
+    }
+  };
+
+  // The recognized LaTeX goes in at the cursor, where it can be checked and corrected
+  const recognize = useCallback(async (input) => {
+    setRecognizing(true);
+    setRecognizeError(null);
+    try {
+      const result = await recognizeMath(input);
+      if (result && result.trim()) {
+        insertSnippet(result.trim());
+      } else {
+        setRecognizeError('No formula was recognized');
+      }
+    } catch (e) {
+      console.error('Error recognizing formula:', e);
+      setRecognizeError(e?.message || 'Recognition failed');
+    } finally {
+      setRecognizing(false);
+    }
+  }, [recognizeMath, insertSnippet]);
+
+  // A pasted screenshot is recognized; pasted text is left to the mathfield and code editor
+  const handlePaste = (e) => {
+    if (!recognizeMath || recognizing) return;
+    const data = e.clipboardData;
+    if (!data || data.types.includes('text/plain')) return;
+
+    const image = [...data.files].find(file => file.type.startsWith('image/'));
+    if (!image) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    saveSelection();
+    recognize(image);
+  };
+
+  const handleStepsChange = (nextSteps) => {
+    const serialized = serializeAlignedSteps(nextSteps);
+    setSteps(nextSteps);
+    setLatex(serialized);
+    setEditorLatex(formatLatexForEditor(serialized));
+    if (mathfieldRef.current) {
+      mathfieldRef.current.value = serialized;
+    }
+  };
+
+  const toggleSteps = () => {
+    if (!showSteps) {
+      const parsed = parseAlignedSteps(latex);
+      if (parsed) {
+        setSteps(parsed);
+      } else {
+        // Start from the current formula as the first step
+        handleStepsChange({ before: '', environment: 'aligned', rows: startAlignedSteps(latex) });
+      }
+      setStepsKey(k => k + 1);
+    }
+    setShowSteps(v => !v);
+  };
+
+  // Follow edits made in the mathfield or code editor
+  useEffect(() => {
+    if (!showSteps) return;
+    const parsed = parseAlignedSteps(latex);
+    if (parsed && (!steps || serializeAlignedSteps(parsed) !== serializeAlignedSteps(steps))) {
+      setSteps(parsed);
+      setStepsKey(k => k + 1);
+    }
+  }, [latex, showSteps]);
+
+  const insertReaction = useCallback((value) => {
+    insertSnippet(`\\ce{${value}}`);
+    setReaction('');
+  }, [insertSnippet]);
+
   const applyBold = useCallback(() => insertStyled('\\mathbf'), [insertStyled]);
   const applyItalic = useCallback(() => insertStyled('\\mathit'), [insertStyled]);
   const applyBoldItalic = useCallback(() => insertStyled('\\mathbfit'), [insertStyled]);
@@ -236,7 +387,7 @@ const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, o
 
   return (
     <div className={styles.overlay} data-mathlive-overlay="true" onClick={handleOverlayClick}>
-      <div className={styles.dialog} onClick={(e) => e.stopPropagation()}>
+      <div className={styles.dialog} onClick={(e) => e.stopPropagation()} onPasteCapture={handlePaste}>
         {/* Header */}
         <div className={styles.header}>
           <h3 className={styles.headerTitle}>Equation Editor</h3>
@@ -254,11 +405,12 @@ const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, o
               <div style={{ minWidth: 100 }}>
                 <Select
                   options={SIZE_OPTIONS}
-                  value={null}
+                  value={toOption(formulaStyle.mathFontSize)}
                   onChange={applyFontSize}
                   onMenuOpen={saveSelection}
                   placeholder="Size"
                   isSearchable
+                  isClearable
                   menuPortalTarget={document.body}
                   menuPosition="fixed"
                   styles={selectStyles}
@@ -270,11 +422,29 @@ const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, o
               <div style={{ minWidth: 160 }}>
                 <Select
                   options={fontOptions}
-                  value={null}
+                  value={toOption(formulaStyle.mathFontFamily)}
                   onChange={applyFontFamily}
                   onMenuOpen={saveSelection}
                   placeholder="Font"
                   isSearchable
+                  isClearable
+                  menuPortalTarget={document.body}
+                  menuPosition="fixed"
+                  styles={selectStyles}
+                />
+              </div>
+            </div>
+            <div className={styles.toolbarGroup}>
+              <span className={styles.toolbarLabel}>Color:</span>
+              <div style={{ minWidth: 110 }}>
+                <Select
+                  options={MATH_COLORS}
+                  value={MATH_COLORS.find(o => o.value === formulaStyle.mathColor) || toOption(formulaStyle.mathColor)}
+                  onChange={applyColor}
+                  onMenuOpen={saveSelection}
+                  placeholder="Color"
+                  isSearchable={false}
+                  isClearable
                   menuPortalTarget={document.body}
                   menuPosition="fixed"
                   styles={selectStyles}
@@ -321,42 +491,184 @@ const MathLiveDialog = ({ isOpen, initialLatex, initialRenderFormat, onInsert, o
                 />
               </div>
             </div>
+            <div className={styles.toolbarGroup}>
+              <span className={styles.toolbarLabel}>Display:</span>
+              <div style={{ minWidth: 100 }}>
+                <Select
+                  options={DISPLAY_OPTIONS}
+                  value={DISPLAY_OPTIONS.find(o => o.value === display)}
+                  onChange={(option) => option && setDisplay(option.value)}
+                  isSearchable={false}
+                  menuPortalTarget={document.body}
+                  menuPosition="fixed"
+                  styles={selectStyles}
+                />
+              </div>
+            </div>
+            {snippetStore && (
+              <div className={styles.toolbarGroup}>
+                <button
+                  className={showSnippets ? `${styles.toolbarButton} ${styles.toolbarButtonActive}` : styles.toolbarButton}
+                  onMouseDown={(e) => { e.preventDefault(); saveSelection(); }}
+                  onClick={() => setShowSnippets(v => !v)}
+                  title="Snippet library"
+                >
+                  Snippets
+                </button>
+              </div>
+            )}
+            <div className={styles.toolbarGroup}>
+              <button
+                className={showSteps ? `${styles.toolbarButton} ${styles.toolbarButtonActive}` : styles.toolbarButton}
+                onMouseDown={(e) => { e.preventDefault(); saveSelection(); }}
+                onClick={toggleSteps}
+                title="Step-by-step solution: one row per step, aligned at the & markers"
+              >
+                Steps
+              </button>
+            </div>
+            {historyStore && (
+              <div className={styles.toolbarGroup}>
+                <button
+                  className={showHistory ? `${styles.toolbarButton} ${styles.toolbarButtonActive}` : styles.toolbarButton}
+                  onMouseDown={(e) => { e.preventDefault(); saveSelection(); }}
+                  onClick={() => setShowHistory(v => !v)}
+                  title="Recently inserted formulas and most-used symbols"
+                >
+                  Recent
+                </button>
+              </div>
+            )}
+            <div className={styles.toolbarGroup}>
+              <button
+                className={showChemistry ? `${styles.toolbarButton} ${styles.toolbarButtonActive}` : styles.toolbarButton}
+                onMouseDown={(e) => { e.preventDefault(); saveSelection(); }}
+                onClick={() => setShowChemistry(v => !v)}
+                title="Chemistry: reactions, states, charges and isotopes (mhchem)"
+              >
+                Chemistry
+              </button>
+            </div>
+            {recognizeMath && (
+              <div className={styles.toolbarGroup}>
+                <button
+                  className={showDrawing ? `${styles.toolbarButton} ${styles.toolbarButtonActive}` : styles.toolbarButton}
+                  onMouseDown={(e) => { e.preventDefault(); saveSelection(); }}
+                  onClick={() => setShowDrawing(v => !v)}
+                  title="Write a formula by hand, or paste a screenshot of one"
+                >
+                  Handwriting
+                </button>
+              </div>
+            )}
+            <div className={styles.toolbarGroup}>
+              <label className={styles.toolbarCheckbox} title="Number this equation so it can be referenced">
+                <input
+                  type="checkbox"
+                  checked={numbered}
+                  onChange={(e) => setNumbered(e.target.checked)}
+                />
+                Numbered
+              </label>
+            </div>
           </div>
 
+          {snippetStore && showSnippets && (
+            <MathSnippetPalette store={snippetStore} currentLatex={latex} onInsert={insertSnippet} />
+          )}
+
+          {showSteps && steps && (
+            <MathStepsEditor key={stepsKey} steps={steps} onChange={handleStepsChange} mathMacros={mathMacros} />
+          )}
+
+          {historyStore && showHistory && (
+            <MathHistoryPalette store={historyStore} onInsert={insertSnippet} />
+          )}
+
+          {showChemistry && (
+            <MathChemistryPalette
+              reaction={reaction}
+              onChange={handleReactionChange}
+              onInsert={reactionIsFormula ? null : insertReaction}
+            />
+          )}
+
+          {recognizeMath && showDrawing && (
+            <MathDrawingPad onRecognize={recognize} busy={recognizing} />
+          )}
+
+          {(recognizing || recognizeError) && (
+            <div className={recognizeError ? `${styles.recognizeStatus} ${styles.recognizeStatusError}` : styles.recognizeStatus}>
+              {recognizeError || 'Recognizing formula…'}
+            </div>
+          )}
+
           <div className={styles.editorsRow}>
             <div className={styles.mathfieldContainer} id="mathfield-container">
-              {/* Render math-field directly as JSX */}
-              <math-field
-                ref={setupMathfield}
-                style={{
-                  fontSize: '24px',
-                  minHeight: '60px',
-                  padding: '10px',
-                  width: '100%',
-                  flex: '1',
-                  border: 'none',
-                  outline: 'none',
-                  background: 'transparent',
-                  color: '#000',
-                  position: 'relative'
-                }}
-                virtual-keyboard-mode="onfocus"
-              />
+              {/* Render math-field directly as JSX, once MathLive has defined it */}
+              {mathlive ? (
+                <math-field
+                  ref={setupMathfield}
+                  style={{
+                    fontSize: '24px',
+                    minHeight: '60px',
+                    padding: '10px',
+                    width: '100%',
+                    flex: '1',
+                    border: 'none',
+                    outline: 'none',
+                    background: 'transparent',
+                    color: formulaStyle.mathColor || '#000',
+                    '--text-font-family': formulaStyle.mathFontFamily || undefined,
+                    position: 'relative'
+                  }}
+                  virtual-keyboard-mode="onfocus"
+                />
+              ) : (
+                <div className={mathLiveError ? `${styles.mathfieldStatus} ${styles.mathfieldStatusError}` : styles.mathfieldStatus}>
+                  {mathLiveError
+                    ? 'The visual editor could not be loaded. You can still edit the LaTeX code.'
+                    : 'Loading the visual editor…'}
+                </div>
+              )}
             </div>
             <div className={styles.latexEditorContainer}>
-              <LatexCodeEditor value={editorLatex} onChange={handleCodeChange} />
+              <LatexCodeEditor value={editorLatex} onChange={handleCodeChange} errors={latexErrors} />
             </div>
           </div>
+
+          {/* What screen readers say; left empty, it is generated from the formula */}
+          <div className={styles.speechRow}>
+            <label className={styles.speechLabel} htmlFor="math-speech-text">Spoken description:</label>
+            <input
+              id="math-speech-text"
+              className={styles.speechInput}
+              type="text"
+              value={speechText}
+              placeholder={getSpeechText ? getSpeechText(latex) : ''}
+              onChange={(e) => setSpeechText(e.target.value)}
+            />
+          </div>
         </div>
 
         {/* Footer */}
         <div className={styles.footer}>
+          {latexErrors.length > 0 && (
+            <span className={styles.footerWarning}>
+              {confirmInsert
+                ? `The formula has ${latexErrors.length} error(s). Insert it anyway?`
+                : `${latexErrors.length} LaTeX error(s) — see the code editor`}
+            </span>
+          )}
           <div className={styles.buttonGroup}>
             <button className={styles.cancelButton} onClick={handleClose}>
               Cancel
             </button>
-            <button className={styles.insertButton} onClick={handleInsert}>
-              Insert Equation
+            <button
+              className={confirmInsert ? `${styles.insertButton} ${styles.insertButtonWarning}` : styles.insertButton}
+              onClick={handleInsert}
+            >
+              {confirmInsert ? 'Insert Anyway' : 'Insert Equation'}
             </button>
           </div>
         </div>
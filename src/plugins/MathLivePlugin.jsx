@@ -3,15 +3,21 @@ import { createRoot } from 'react-dom/client';
 import 'mathlive/static.css';  // Required for convertLatexToMarkup rendered output
 import MathLiveDialog from './MathLiveDialog.jsx';
 import MathLiveErrorBoundary from './MathLiveErrorBoundary.jsx';
-import { replaceFracWithCfrac } from '../utils/fracReplace';
+import MathNormalizeDialog from './MathNormalizeDialog.jsx';
+import { renderLatexToString } from '../utils/mathRender.js';
+import { checkLatex } from '../utils/latexValidator.js';
+import { createSnippetStore } from '../utils/mathSnippets.js';
+import { createHistoryStore } from '../utils/mathHistory.js';
+import { getMacroNames, expandMacros } from '../utils/mathMacros.js';
+import { findTexSegments } from '../utils/texDelimiters.js';
+import { loadSvgRenderer } from '../utils/mathSvg.js';
+import { latexToSpeech } from '../utils/mathSpeech.js';
+import { loadMathLive, getMathLive } from '../utils/mathliveLoader.js';
+import { MATH_STYLE_ATTRIBUTES, MATH_FONT_SIZES, DEFAULT_MATH_FONTS, MATH_COLORS, getMathStyle, getMathStyleDeclarations, readMathStyle } from '../utils/mathStyle.js';
+import { DEFAULT_MATH_TRANSFORMS, normalizeLatex, resolveTransforms } from '../utils/mathNormalize.js';
 
-// We'll import MathLive functions dynamically to avoid interfering with initialization
-let convertLatexToMarkup = null;
-let convertLatexToMathMl = null;
-import('mathlive').then(ml => {
-  convertLatexToMarkup = ml.convertLatexToMarkup;
-  convertLatexToMathMl = ml.convertLatexToMathMl;
-});
+// MathJax is only loaded once a formula actually uses the 'svg' format
+let svgRenderer = null;
 
 // NOTE: ResizeObserver warnings from MathLive are harmless and expected
 // They occur when the browser can't deliver all resize notifications in one frame
@@ -23,11 +29,111 @@ import('mathlive').then(ml => {
  * This plugin integrates MathLive (LaTeX editor) with CKEditor5
  * Uses React components for the dialog UI
  * @param {Object} CKEditor - CKEditor instance from CDN
+ * @param {Object} options - Plugin options
+ * @param {Array} options.availableFonts - Fallback font names for the dialog's font picker
+ * @param {Function} options.getAvailableFonts - Function to fetch available fonts
+ * @param {string} options.mathRenderFormat - 'markup' (default), 'mathml' or 'svg'
+ * @param {Object|Array} options.mathSnippets - Snippet library config (see createSnippetStore)
+ * @param {Object|boolean} options.mathHistory - Recent formulas config (see createHistoryStore), or false to turn it off
+ * @param {Object} options.mathMacros - Custom LaTeX macros, e.g. { vect: '\\mathbf{#1}' }
+ * @param {boolean} options.mathAutoConvert - Convert $...$, \(...\) and \[...\] text into formulas (default true)
+ * @param {Array<string>} options.mathSpeechLocales - Languages of the spoken descriptions, 'en' and/or 'hi' (default ['en']).
+ *   The first one is the aria-label; the others are saved as data-speech-<locale>.
+ * @param {Array<string>} options.mathToolbar - Items of the toolbar shown on a selected formula
+ * @param {Function} options.recognizeMath - Handwriting / image recognizer: receives a drawn canvas or a pasted
+ *   image Blob and resolves to LaTeX. Enables the dialog's drawing pad and screenshot paste
+ *   (see createStubRecognizer for a local one)
+ * @param {Array} options.mathNormalizeTransforms - Transforms run by the normalizeMath command: names of
+ *   built-in ones (see MATH_TRANSFORMS) or { name, label, apply } objects (default: all built-in ones)
+ * @param {Array} options.mathRewriteRules - LaTeX rewrite rules applied when rendering: names of built-in ones
+ *   (see LATEX_REWRITE_RULES), [name, options] pairs or { name, apply } objects (default: \frac → \cfrac)
  * @returns {Class} MathLivePlugin class
  */
 export default function createMathLivePlugin(CKEditor, options = {}) {
-  const { Plugin, ButtonView, Widget, toWidget } = CKEditor;
-  const { availableFonts, getAvailableFonts, mathRenderFormat = 'markup' } = options;
+  const { Plugin, Command, ButtonView, Widget, WidgetToolbarRepository, toWidget, isWidget, uid } = CKEditor;
+  const { Collection, ViewModel, addListToDropdown, createDropdown } = CKEditor;
+  const { availableFonts, getAvailableFonts, mathRenderFormat = 'markup', mathSnippets, mathMacros, mathAutoConvert = true } = options;
+  const { mathSpeechLocales = ['en'] } = options;
+  const { mathToolbar = ['MathLiveDisplay', '|', 'MathFontFamily', 'MathFontSize', 'MathColor'] } = options;
+  const { mathNormalizeTransforms = DEFAULT_MATH_TRANSFORMS, recognizeMath, mathHistory = {}, mathRewriteRules } = options;
+  const macroNames = getMacroNames(mathMacros);
+
+  // Inline formulas live in text; block (display) formulas are objects on their own line.
+  // Both share the same attributes so they can be switched back and forth.
+  const MATH_ELEMENTS = ['mathFormula', 'mathFormulaBlock'];
+
+  // equationNumber is computed by the numbering post-fixer, never set by hand.
+  // speechText is the author's own spoken description, replacing the generated one.
+  // Font family, size and color of the whole formula are in MATH_STYLE_ATTRIBUTES.
+  const STYLE_ATTRIBUTES = Object.keys(MATH_STYLE_ATTRIBUTES);
+  const MATH_ATTRIBUTES = ['latex', 'display', 'renderFormat', 'numbered', 'equationId', 'equationNumber', 'speechText', ...STYLE_ATTRIBUTES];
+
+  /**
+   * Spoken description for screen readers: the author's text if set,
+   * otherwise generated from the LaTeX (with macros expanded)
+   */
+  const getSpeechText = (element, locale = mathSpeechLocales[0]) => {
+    const speechText = element.getAttribute('speechText');
+    if (speechText && locale === mathSpeechLocales[0]) return speechText;
+    return latexToSpeech(expandMacros(element.getAttribute('latex') || '', mathMacros), locale);
+  };
+
+  const isMathElement = (element) => !!element && MATH_ELEMENTS.includes(element.name);
+
+  const getDisplay = (element) => element.name === 'mathFormulaBlock' ? 'block' : 'inline';
+
+  const getSelectedMathElement = (selection) => {
+    const selectedElement = selection.getSelectedElement();
+    return isMathElement(selectedElement) ? selectedElement : null;
+  };
+
+  /**
+   * The selected formula, or every formula inside the selection
+   */
+  const getMathElementsInSelection = (selection) => {
+    const selectedElement = getSelectedMathElement(selection);
+    if (selectedElement) return [selectedElement];
+
+    const elements = [];
+    for (const range of selection.getRanges()) {
+      for (const item of range.getItems()) {
+        if (isMathElement(item)) elements.push(item);
+      }
+    }
+    return elements;
+  };
+
+  /**
+   * Create the model element matching the requested display mode
+   */
+  const createMathElement = (writer, attrs) => {
+    const display = attrs.display === 'block' ? 'block' : 'inline';
+    const name = display === 'block' ? 'mathFormulaBlock' : 'mathFormula';
+    return writer.createElement(name, { ...attrs, display });
+  };
+
+  /**
+   * Put newElement where oldElement was. Switching between inline and block
+   * splits the surrounding paragraph or wraps the formula in a new one.
+   */
+  const replaceMathElement = (model, writer, oldElement, newElement) => {
+    const position = writer.createPositionBefore(oldElement);
+    writer.remove(oldElement);
+
+    if (newElement.name === oldElement.name) {
+      writer.insert(newElement, position);
+      writer.setSelection(newElement, 'on');
+    } else if (newElement.name === 'mathFormulaBlock') {
+      model.insertObject(newElement, position, null, { setSelection: 'on' });
+    } else if (model.schema.checkChild(position, 'paragraph')) {
+      const paragraph = writer.createElement('paragraph');
+      writer.append(newElement, paragraph);
+      writer.insert(paragraph, position);
+      writer.setSelection(newElement, 'on');
+    } else {
+      model.insertContent(newElement, position);
+    }
+  };
 
   class MathLivePlugin extends Plugin {
     static get pluginName() {
@@ -35,18 +141,54 @@ export default function createMathLivePlugin(CKEditor, options = {}) {
     }
 
     static get requires() {
-      return [Widget];
+      return [Widget, WidgetToolbarRepository];
     }
 
     init() {
       const editor = this.editor;
 
+      // Built-in, consumer and user snippets shown in the dialog's palette
+      this._snippetStore = createSnippetStore(mathSnippets);
+      this._historyStore = mathHistory === false ? null : createHistoryStore(mathHistory);
+
+      // MathLive is imported on demand. Until it arrives formulas show their LaTeX
+      // and are queued here, then re-rendered. 'loading', 'ready' or 'error'.
+      this._pendingElements = new Set();
+      this.set('mathLiveStatus', 'loading');
+      this.loadMathLive();
+
       // Define schema for math formulas
       this._defineSchema();
 
       // Define converters
       this._defineConverters();
 
+      // Command to switch a selected formula between inline and block display
+      editor.commands.add('mathDisplay', new MathDisplayCommand(editor));
+
+      // Command to insert a reference to a numbered equation
+      editor.commands.add('insertEquationRef', new InsertEquationRefCommand(editor));
+
+      // Commands to style whole formulas: mathFontFamily, mathFontSize, mathColor
+      for (const attributeKey of STYLE_ATTRIBUTES) {
+        editor.commands.add(attributeKey, new MathStyleCommand(editor, attributeKey));
+      }
+
+      // Command to apply house-style transforms to every formula
+      editor.commands.add('normalizeMath', new NormalizeMathCommand(editor));
+
+      // Keep equation numbers and references in sync with document order
+      editor.model.document.registerPostFixer(writer => this._fixEquationNumbers(writer));
+
+      if (mathRenderFormat === 'svg') {
+        this._loadSvgRenderer();
+      }
+
+      // Turn raw TeX typed, pasted or loaded as text into formulas
+      if (mathAutoConvert) {
+        this._setupAutoConvert();
+      }
+
       // Add MathLive button to toolbar
       editor.ui.componentFactory.add('MathLive', locale => {
         const view = new ButtonView(locale);
@@ -64,6 +206,88 @@ export default function createMathLivePlugin(CKEditor, options = {}) {
         return view;
       });
 
+      // Toggle button for inline/block display of the selected formula
+      editor.ui.componentFactory.add('MathLiveDisplay', locale => {
+        const view = new ButtonView(locale);
+        const command = editor.commands.get('mathDisplay');
+
+        view.set({
+          label: 'Display Equation as Block',
+          icon: blockMathIcon,
+          tooltip: true,
+          isToggleable: true
+        });
+
+        view.bind('isEnabled').to(command, 'isEnabled');
+        view.bind('isOn').to(command, 'value', value => value === 'block');
+
+        this.listenTo(view, 'execute', () => {
+          editor.execute('mathDisplay');
+          editor.editing.view.focus();
+        });
+
+        return view;
+      });
+
+      // Dropdown listing numbered equations to reference, e.g. "from equation (3)"
+      editor.ui.componentFactory.add('MathEquationRef', locale => {
+        const dropdownView = createDropdown(locale);
+        const command = editor.commands.get('insertEquationRef');
+        const items = new Collection();
+
+        dropdownView.buttonView.set({
+          label: 'Insert Equation Reference',
+          icon: equationRefIcon,
+          tooltip: true
+        });
+
+        dropdownView.bind('isEnabled').to(command, 'isEnabled');
+        addListToDropdown(dropdownView, items);
+
+        // Rebuild the list on open so it reflects the current numbering
+        dropdownView.on('change:isOpen', (evt, name, isOpen) => {
+          if (isOpen) {
+            this._populateEquationRefItems(items);
+          }
+        });
+
+        this.listenTo(dropdownView, 'execute', evt => {
+          if (evt.source.commandParam) {
+            editor.execute('insertEquationRef', { equationId: evt.source.commandParam });
+          }
+          editor.editing.view.focus();
+        });
+
+        dropdownView.set('class', 'ck-math-equation-ref-dropdown');
+
+        return dropdownView;
+      });
+
+      // Font, size and color of the selected formulas, without opening the dialog
+      editor.ui.componentFactory.add('MathFontFamily', locale =>
+        this._createStyleDropdown(locale, 'mathFontFamily', { label: 'Formula Font', icon: mathFontIcon }));
+      editor.ui.componentFactory.add('MathFontSize', locale =>
+        this._createStyleDropdown(locale, 'mathFontSize', { label: 'Formula Size', icon: mathFontSizeIcon }));
+      editor.ui.componentFactory.add('MathColor', locale =>
+        this._createStyleDropdown(locale, 'mathColor', { label: 'Formula Color', icon: mathColorIcon }));
+
+      // Review and apply house-style transforms to all formulas
+      editor.ui.componentFactory.add('MathNormalize', locale => {
+        const view = new ButtonView(locale);
+        const command = editor.commands.get('normalizeMath');
+
+        view.set({
+          label: 'Normalize Equations',
+          icon: normalizeIcon,
+          tooltip: true
+        });
+
+        view.bind('isEnabled').to(command, 'isEnabled');
+        this.listenTo(view, 'execute', () => this._showNormalizeDialog());
+
+        return view;
+      });
+
       // Add double-click handler to edit existing equations
       this.listenTo(editor.editing.view.document, 'dblclick', (evt, data) => {
         const modelElement = this._getSelectedMathElement();
@@ -96,15 +320,78 @@ export default function createMathLivePlugin(CKEditor, options = {}) {
       });
     }
 
+    afterInit() {
+      const editor = this.editor;
+
+      // Contextual toolbar on a selected formula
+      editor.plugins.get(WidgetToolbarRepository).register('mathFormula', {
+        ariaLabel: 'Formula toolbar',
+        items: mathToolbar,
+        getRelatedElement: selection => {
+          const viewElement = selection.getSelectedElement();
+          return viewElement && isWidget(viewElement) && viewElement.hasClass('math-formula-widget') ? viewElement : null;
+        }
+      });
+    }
+
     _getSelectedMathElement() {
-      const selection = this.editor.model.document.selection;
-      const selectedElement = selection.getSelectedElement();
+      return getSelectedMathElement(this.editor.model.document.selection);
+    }
 
-      if (selectedElement && selectedElement.name === 'mathFormula') {
-        return selectedElement;
+    /**
+     * Resolves once the formulas can be rendered as saved: MathLive is loaded
+     * and, while any formula uses the 'svg' format, so is MathJax. Wait for it
+     * before getData(), which has no later re-render. Rejects if a load failed.
+     * @returns {Promise}
+     */
+    get ready() {
+      return Promise.all([this._mathLiveReady, this._svgRendererPromise]).then(() => {});
+    }
+
+    /**
+     * Load MathLive and re-render the formulas that were shown as LaTeX in the
+     * meantime. Called on init; call it again to retry after a failed load.
+     * @returns {Promise} Resolves once MathLive is loaded, rejects if the import failed
+     */
+    loadMathLive() {
+      if (getMathLive()) {
+        this.mathLiveStatus = 'ready';
+        this._mathLiveReady = Promise.resolve();
+        return this._mathLiveReady;
       }
 
-      return null;
+      this.mathLiveStatus = 'loading';
+      this._mathLiveReady = loadMathLive().then(
+        () => {
+          if (this.editor.state === 'destroyed') return;
+          this.mathLiveStatus = 'ready';
+          this._renderPendingFormulas();
+        },
+        error => {
+          console.error('Error loading MathLive:', error);
+          if (this.editor.state !== 'destroyed') {
+            this.mathLiveStatus = 'error';
+            // Show the error badge on the formulas still displayed as LaTeX
+            this._renderPendingFormulas();
+          }
+          throw error;
+        }
+      );
+      // The error is reported above; callers that use `ready` still get the rejection
+      this._mathLiveReady.catch(() => {});
+      return this._mathLiveReady;
+    }
+
+    _renderPendingFormulas() {
+      const pending = [...this._pendingElements];
+      this._pendingElements.clear();
+
+      for (const element of pending) {
+        const root = element.root;
+        if (root.is('rootElement') && root.rootName !== '$graveyard') {
+          this.editor.editing.reconvertItem(element);
+        }
+      }
     }
 
     _defineSchema() {
@@ -114,7 +401,20 @@ export default function createMathLivePlugin(CKEditor, options = {}) {
         allowWhere: '$text',
         isInline: true,
         isObject: true,
-        allowAttributes: ['latex', 'display', 'renderFormat']
+        allowAttributes: MATH_ATTRIBUTES
+      });
+
+      schema.register('mathFormulaBlock', {
+        inheritAllFrom: '$blockObject',
+        allowAttributes: MATH_ATTRIBUTES
+      });
+
+      // Inline reference to a numbered equation, rendered as "(n)"
+      schema.register('mathEquationRef', {
+        allowWhere: '$text',
+        isInline: true,
+        isObject: true,
+        allowAttributes: ['equationRef', 'equationNumber']
       });
     }
 
@@ -128,16 +428,19 @@ export default function createMathLivePlugin(CKEditor, options = {}) {
           name: 'span',
           classes: 'math-tex'
         },
-        model: (viewElement, { writer }) => {
+        model: (viewElement, { writer, consumable }) => {
           let latex = viewElement.getAttribute('data-latex') || '';
           if (!latex) {
             latex = viewElement.getChild(0)?.data || '';
           }
           const format = viewElement.getAttribute('data-render-format') || mathRenderFormat;
-          return writer.createElement('mathFormula', {
+          return createMathElement(writer, {
             latex,
             display: 'inline',
-            renderFormat: format
+            renderFormat: format,
+            ...this._upcastNumbering(viewElement),
+            ...this._upcastSpeech(viewElement),
+            ...this._upcastStyle(viewElement, consumable)
           });
         }
       });
@@ -147,82 +450,514 @@ export default function createMathLivePlugin(CKEditor, options = {}) {
           name: 'span',
           classes: 'math-formula-widget'
         },
-        model: (viewElement, { writer }) => {
+        model: (viewElement, { writer, consumable }) => {
           const latex = viewElement.getAttribute('data-latex') || '';
           const format = viewElement.getAttribute('data-render-format') || mathRenderFormat;
-          return writer.createElement('mathFormula', {
+          return createMathElement(writer, {
             latex,
             display: 'inline',
-            renderFormat: format
+            renderFormat: format,
+            ...this._upcastNumbering(viewElement),
+            ...this._upcastSpeech(viewElement),
+            ...this._upcastStyle(viewElement, consumable)
           });
         }
       });
 
-      // Also support script[type="math/tex"]
+      // Block equations: div.math-tex[data-display="block"] (and the editing widget markup)
+      for (const className of ['math-tex', 'math-formula-widget']) {
+        conversion.for('upcast').elementToElement({
+          view: {
+            name: 'div',
+            classes: className
+          },
+          model: (viewElement, { writer, consumable }) => {
+            let latex = viewElement.getAttribute('data-latex') || '';
+            if (!latex && viewElement.getChild(0)?.is('$text')) {
+              latex = viewElement.getChild(0).data;
+            }
+            const format = viewElement.getAttribute('data-render-format') || mathRenderFormat;
+            return createMathElement(writer, {
+              latex,
+              display: 'block',
+              renderFormat: format,
+              ...this._upcastNumbering(viewElement),
+              ...this._upcastSpeech(viewElement),
+              ...this._upcastStyle(viewElement, consumable)
+            });
+          }
+        });
+      }
+
+      // Also support script[type="math/tex"] and script[type="math/tex; mode=display"]
       conversion.for('upcast').elementToElement({
         view: {
           name: 'script',
           attributes: {
-            type: 'math/tex'
+            type: /^math\/tex(; ?mode=display)?$/
           }
         },
         model: (viewElement, { writer }) => {
           const latex = viewElement.getChild(0)?.data || '';
-          return writer.createElement('mathFormula', {
+          const isDisplay = viewElement.getAttribute('type').includes('mode=display');
+          return createMathElement(writer, {
             latex: latex,
-            display: 'inline'
+            display: isDisplay ? 'block' : 'inline'
           });
         }
       });
 
+      // Reconvert when the formula, its number, description or style changes (e.g. find/replace, renumbering)
+      const reconvertAttributes = ['latex', 'renderFormat', 'numbered', 'equationNumber', 'speechText', ...STYLE_ATTRIBUTES];
+      for (const modelName of MATH_ELEMENTS) {
+        conversion.for('editingDowncast').elementToElement({
+          model: { name: modelName, attributes: reconvertAttributes },
+          view: (modelElement, { writer }) => this._createEditingView(modelElement, writer)
+        });
+
+        conversion.for('dataDowncast').elementToElement({
+          model: { name: modelName, attributes: reconvertAttributes },
+          view: (modelElement, { writer }) => this._createDataView(modelElement, writer)
+        });
+      }
+
+      // Equation references
+      conversion.for('upcast').elementToElement({
+        view: {
+          name: 'span',
+          classes: 'math-eq-ref'
+        },
+        model: (viewElement, { writer }) => writer.createElement('mathEquationRef', {
+          equationRef: viewElement.getAttribute('data-equation-ref') || ''
+        })
+      });
+
       conversion.for('editingDowncast').elementToElement({
-        model: 'mathFormula',
+        model: { name: 'mathEquationRef', attributes: ['equationRef', 'equationNumber'] },
         view: (modelElement, { writer }) => {
-          const latex = modelElement.getAttribute('latex') || '';
-          const format = modelElement.getAttribute('renderFormat') || mathRenderFormat;
+          const span = this._createEquationRefView(modelElement, writer);
+          return toWidget(span, writer, { label: 'equation reference' });
+        }
+      });
 
-          const span = writer.createContainerElement('span', {
-            class: 'math-formula-widget',
-            'data-latex': latex,
-            'data-render-format': format
-          });
+      conversion.for('dataDowncast').elementToElement({
+        model: { name: 'mathEquationRef', attributes: ['equationRef', 'equationNumber'] },
+        view: (modelElement, { writer }) => this._createEquationRefView(modelElement, writer)
+      });
+    }
 
-          const mathSpan = writer.createRawElement('span', {
-            class: 'math-formula-render',
-            style: 'display: inline-block; vertical-align: baseline;'
-          }, (domElement) => {
-            this._renderMath(domElement, latex, format);
-          });
+    _upcastNumbering(viewElement) {
+      if (viewElement.getAttribute('data-numbered') !== 'true') {
+        return {};
+      }
+      const equationId = viewElement.getAttribute('data-equation-id');
+      return { numbered: true, ...(equationId && { equationId }) };
+    }
+
+    _upcastSpeech(viewElement) {
+      const speechText = viewElement.getAttribute('data-speech');
+      return speechText ? { speechText } : {};
+    }
+
+    /**
+     * Whole-formula style from the wrapper's CSS. The styles are consumed so
+     * General HTML Support doesn't keep a second copy.
+     */
+    _upcastStyle(viewElement, consumable) {
+      const attributes = readMathStyle(name => viewElement.getStyle(name));
+      const styles = [...Object.values(MATH_STYLE_ATTRIBUTES), '--text-font-family'].filter(name => viewElement.hasStyle(name));
+      if (styles.length > 0) {
+        consumable.consume(viewElement, { styles });
+      }
+      return attributes;
+    }
+
+    _getStyleAttributes(modelElement) {
+      const style = getMathStyle(key => modelElement.getAttribute(key));
+      return style ? { style } : {};
+    }
 
-          writer.insert(writer.createPositionAt(span, 0), mathSpan);
+    _appendEquationNumber(modelElement, wrapper, writer) {
+      const number = modelElement.getAttribute('equationNumber');
+      if (!modelElement.getAttribute('numbered') || !number) return;
+
+      const label = writer.createContainerElement('span', { class: 'math-equation-number' });
+      writer.insert(writer.createPositionAt(label, 0), writer.createText(`(${number})`));
+      writer.insert(writer.createPositionAt(wrapper, 'end'), label);
+    }
+
+    _getNumberingAttributes(modelElement) {
+      if (!modelElement.getAttribute('numbered')) return {};
+      return {
+        'data-numbered': 'true',
+        'data-equation-id': modelElement.getAttribute('equationId') || ''
+      };
+    }
 
-          return toWidget(span, writer, { label: 'math formula widget' });
+    /**
+     * role="math" with the spoken description as accessible name. Other
+     * languages go in data-speech-<locale> for players that can switch.
+     */
+    _getSpeechAttributes(modelElement) {
+      const attributes = {
+        role: 'math',
+        'aria-label': getSpeechText(modelElement)
+      };
+      if (modelElement.getAttribute('speechText')) {
+        attributes['data-speech'] = modelElement.getAttribute('speechText');
+      }
+      for (const locale of mathSpeechLocales.slice(1)) {
+        attributes[`data-speech-${locale}`] = getSpeechText(modelElement, locale);
+      }
+      return attributes;
+    }
+
+    _createEquationRefView(modelElement, writer) {
+      const number = modelElement.getAttribute('equationNumber');
+      const span = writer.createContainerElement('span', {
+        class: number ? 'math-eq-ref' : 'math-eq-ref math-eq-ref--broken',
+        'data-equation-ref': modelElement.getAttribute('equationRef') || ''
+      });
+      // A reference to a deleted or unnumbered equation shows "(??)" like LaTeX does
+      writer.insert(writer.createPositionAt(span, 0), writer.createText(`(${number || '??'})`));
+      return span;
+    }
+
+    /**
+     * Post-fixer: number flagged equations in document order, give each a unique
+     * equationId (pasted copies keep the original's id) and refresh references.
+     * @returns {boolean} true if the model was changed
+     */
+    _fixEquationNumbers(writer) {
+      const model = this.editor.model;
+      const numbers = new Map();
+      const references = [];
+      let counter = 0;
+      let changed = false;
+
+      for (const root of model.document.getRoots()) {
+        for (const item of model.createRangeIn(root).getItems()) {
+          if (item.is('element', 'mathEquationRef')) {
+            references.push(item);
+            continue;
+          }
+          if (!isMathElement(item)) continue;
+
+          if (!item.getAttribute('numbered')) {
+            if (item.hasAttribute('equationNumber')) {
+              writer.removeAttribute('equationNumber', item);
+              changed = true;
+            }
+            continue;
+          }
+
+          let equationId = item.getAttribute('equationId');
+          if (!equationId || numbers.has(equationId)) {
+            equationId = `eq-${uid()}`;
+            writer.setAttribute('equationId', equationId, item);
+            changed = true;
+          }
+
+          counter++;
+          numbers.set(equationId, counter);
+          if (item.getAttribute('equationNumber') !== counter) {
+            writer.setAttribute('equationNumber', counter, item);
+            changed = true;
+          }
+        }
+      }
+
+      for (const reference of references) {
+        const number = numbers.get(reference.getAttribute('equationRef')) || null;
+        if ((reference.getAttribute('equationNumber') || null) === number) continue;
+
+        if (number) {
+          writer.setAttribute('equationNumber', number, reference);
+        } else {
+          writer.removeAttribute('equationNumber', reference);
         }
+        changed = true;
+      }
+
+      return changed;
+    }
+
+    /**
+     * Convert $...$, $$...$$, \(...\) and \[...\] text into formulas. Like
+     * CKEditor's autoformat, the conversion is its own undoable batch, and
+     * Backspace right after it brings the TeX text back.
+     */
+    _setupAutoConvert() {
+      const editor = this.editor;
+      const model = editor.model;
+      const conversionBatches = new WeakSet();
+
+      this.listenTo(model.document, 'change:data', (evt, batch) => {
+        if (batch.isUndo || !batch.isLocal || conversionBatches.has(batch)) return;
+
+        const segments = this._findAutoConvertSegments();
+        if (segments.length === 0) return;
+
+        // Use enqueueChange to keep the conversion out of the typing/paste batch
+        model.enqueueChange(writer => {
+          conversionBatches.add(writer.batch);
+          let convertedAtCaret = false;
+          const caret = model.document.selection.isCollapsed ? model.document.selection.focus : null;
+
+          // Back to front, so offsets of earlier segments in the same block stay valid
+          for (const { block, start, end, latex, display } of segments.reverse()) {
+            const position = model.createPositionAt(block, start);
+            const isAtCaret = !!caret && caret.parent === block && caret.offset === end;
+            convertedAtCaret = convertedAtCaret || isAtCaret;
+
+            writer.remove(model.createRange(position, model.createPositionAt(block, end)));
+            const mathElement = createMathElement(writer, { latex, display, renderFormat: mathRenderFormat });
+
+            if (mathElement.name === 'mathFormulaBlock') {
+              model.insertObject(mathElement, position, null, isAtCaret ? { setSelection: 'after' } : {});
+            } else {
+              writer.insert(mathElement, position);
+              if (isAtCaret) {
+                writer.setSelection(mathElement, 'after');
+              }
+            }
+          }
+
+          // Only for conversions the user just typed or pasted, not for loaded content
+          if (convertedAtCaret && editor.plugins.has('Delete')) {
+            model.enqueueChange(() => {
+              editor.plugins.get('Delete').requestUndoOnBackspace();
+            });
+          }
+        });
       });
+    }
 
-      conversion.for('dataDowncast').elementToElement({
-        model: 'mathFormula',
-        view: (modelElement, { writer }) => {
-          const latex = modelElement.getAttribute('latex') || '';
-          const format = modelElement.getAttribute('renderFormat') || mathRenderFormat;
+    /**
+     * TeX segments in the text that the last change inserted. Typing only
+     * converts the segment being typed, so undoing a conversion and editing
+     * elsewhere in the paragraph doesn't convert it again.
+     * @returns {Array<Object>} { block, start, end, latex, display } in document order
+     */
+    _findAutoConvertSegments() {
+      const model = this.editor.model;
+      const insertedRanges = new Map();
 
-          const span = writer.createContainerElement('span', {
-            class: 'math-tex',
-            'data-latex': latex,
-            'data-render-format': format
-          });
+      const addBlock = (block, range) => {
+        if (!model.schema.checkChild(block, '$text') || !model.schema.checkChild(block, 'mathFormula')) return;
+        if (!insertedRanges.has(block)) insertedRanges.set(block, []);
+        insertedRanges.get(block).push(range);
+      };
 
-          const renderedContent = writer.createRawElement('span', {
-            class: 'math-formula-render'
-          }, (domElement) => {
-            this._renderMath(domElement, latex, format);
-          });
+      for (const change of model.document.differ.getChanges()) {
+        if (change.type !== 'insert') continue;
+
+        if (change.name === '$text') {
+          addBlock(change.position.parent, { start: change.position.offset, end: change.position.offset + change.length });
+          continue;
+        }
+
+        // Pasted or loaded elements: search all of their text
+        const range = model.createRange(change.position, change.position.getShiftedBy(change.length));
+        for (const item of range.getItems()) {
+          if (item.is('element')) {
+            addBlock(item, null);
+          }
+        }
+      }
+
+      const segments = [];
+      for (const [block, ranges] of insertedRanges) {
+        if (!block.root.is('rootElement') || block.root.rootName === '$graveyard') continue;
+
+        let text = '';
+        for (const child of block.getChildren()) {
+          text += child.is('$text') ? child.data : '\uFFFC';
+        }
+
+        for (const segment of findTexSegments(text)) {
+          const isInserted = ranges.some(range => !range || (range.start < segment.end && range.end > segment.start));
+          if (isInserted) {
+            segments.push({ block, ...segment });
+          }
+        }
+      }
+
+      return segments;
+    }
+
+    /**
+     * Numbered equations in document order, for the reference dropdown
+     */
+    _getNumberedEquations() {
+      const model = this.editor.model;
+      const equations = [];
+
+      for (const root of model.document.getRoots()) {
+        for (const item of model.createRangeIn(root).getItems()) {
+          if (isMathElement(item) && item.getAttribute('numbered') && item.getAttribute('equationId')) {
+            equations.push({
+              id: item.getAttribute('equationId'),
+              number: item.getAttribute('equationNumber'),
+              latex: item.getAttribute('latex') || ''
+            });
+          }
+        }
+      }
+
+      return equations;
+    }
+
+    _populateEquationRefItems(items) {
+      const equations = this._getNumberedEquations();
+      items.clear();
+
+      if (equations.length === 0) {
+        items.add({
+          type: 'button',
+          model: new ViewModel({ label: 'No numbered equations', withText: true, isEnabled: false })
+        });
+        return;
+      }
+
+      for (const { id, number, latex } of equations) {
+        const preview = latex.length > 40 ? `${latex.slice(0, 40)}…` : latex;
+        items.add({
+          type: 'button',
+          model: new ViewModel({
+            commandParam: id,
+            label: `(${number}) ${preview}`,
+            withText: true
+          })
+        });
+      }
+    }
+
+    _createStyleDropdown(locale, commandName, { label, icon }) {
+      const editor = this.editor;
+      const dropdownView = createDropdown(locale);
+      const command = editor.commands.get(commandName);
+      const items = new Collection();
 
-          writer.insert(writer.createPositionAt(span, 0), renderedContent);
+      dropdownView.buttonView.set({ label, icon, tooltip: true });
+      dropdownView.bind('isEnabled').to(command, 'isEnabled');
+      addListToDropdown(dropdownView, items);
 
-          return span;
+      // Built on open: the font list may come from getAvailableFonts
+      dropdownView.on('change:isOpen', (evt, name, isOpen) => {
+        if (isOpen) {
+          this._populateStyleItems(items, commandName, command);
         }
       });
+
+      this.listenTo(dropdownView, 'execute', evt => {
+        editor.execute(commandName, { value: evt.source.commandParam });
+        editor.editing.view.focus();
+      });
+
+      dropdownView.set('class', 'ck-math-style-dropdown');
+
+      return dropdownView;
+    }
+
+    async _populateStyleItems(items, commandName, command) {
+      let options;
+      if (commandName === 'mathFontFamily') {
+        options = (await this._getFontNames()).map(name => ({ label: name, value: name }));
+      } else if (commandName === 'mathFontSize') {
+        options = MATH_FONT_SIZES.map(size => ({ label: size, value: size }));
+      } else {
+        options = MATH_COLORS;
+      }
+
+      items.clear();
+      // "Default" removes the style, so the formula follows the surrounding text
+      for (const { label, value } of [{ label: 'Default', value: null }, ...options]) {
+        const model = new ViewModel({ commandParam: value, label, withText: true });
+        model.bind('isOn').to(command, 'value', current => (current || null) === value);
+        items.add({ type: 'button', model });
+      }
+    }
+
+    _getFontNames() {
+      const fallback = availableFonts && availableFonts.length > 0 ? availableFonts : DEFAULT_MATH_FONTS;
+      if (!getAvailableFonts) return Promise.resolve(fallback);
+
+      return getAvailableFonts()
+        .then(fonts => fonts.map(f => f.name || f).filter(Boolean))
+        .catch(() => fallback);
+    }
+
+    _createEditingView(modelElement, writer) {
+      const latex = modelElement.getAttribute('latex') || '';
+      const format = modelElement.getAttribute('renderFormat') || mathRenderFormat;
+      const display = getDisplay(modelElement);
+      const isBlock = display === 'block';
+
+      const wrapper = writer.createContainerElement(isBlock ? 'div' : 'span', {
+        class: isBlock ? 'math-formula-widget math-formula-widget--block' : 'math-formula-widget',
+        'data-latex': latex,
+        'data-render-format': format,
+        ...(isBlock && { 'data-display': 'block' }),
+        ...this._getNumberingAttributes(modelElement),
+        ...this._getSpeechAttributes(modelElement),
+        ...this._getStyleAttributes(modelElement)
+      });
+
+      // Classes set on the DOM element by the render callback would be reset by
+      // the view, so the loading state goes on the view element
+      const renderClasses = ['math-formula-render'];
+      if (!getMathLive() && latex) {
+        renderClasses.push(this.mathLiveStatus === 'error' ? 'math-formula-render--error' : 'math-formula-render--pending');
+      }
+
+      // The wrapper's aria-label is read instead of the rendered glyphs
+      const mathSpan = writer.createRawElement('span', {
+        class: renderClasses.join(' '),
+        style: 'display: inline-block; vertical-align: baseline;',
+        'aria-hidden': 'true'
+      }, (domElement) => {
+        const rendered = this._renderMath(domElement, latex, format, display);
+        if (!getMathLive()) {
+          this._pendingElements.add(modelElement);
+        }
+        this._markRenderErrors(domElement, latex, rendered);
+      });
+
+      writer.insert(writer.createPositionAt(wrapper, 0), mathSpan);
+      this._appendEquationNumber(modelElement, wrapper, writer);
+
+      return toWidget(wrapper, writer, { label: `Math formula: ${getSpeechText(modelElement)}` });
+    }
+
+    _createDataView(modelElement, writer) {
+      const latex = modelElement.getAttribute('latex') || '';
+      const format = modelElement.getAttribute('renderFormat') || mathRenderFormat;
+      const display = getDisplay(modelElement);
+      const isBlock = display === 'block';
+
+      const wrapper = writer.createContainerElement(isBlock ? 'div' : 'span', {
+        class: 'math-tex',
+        'data-latex': latex,
+        'data-render-format': format,
+        ...(isBlock && { 'data-display': 'block' }),
+        ...this._getNumberingAttributes(modelElement),
+        ...this._getSpeechAttributes(modelElement),
+        ...this._getStyleAttributes(modelElement)
+      });
+
+      // Screen readers read the wrapper's aria-label, not the glyphs
+      const renderedContent = writer.createRawElement('span', {
+        class: 'math-formula-render',
+        'aria-hidden': 'true'
+      }, (domElement) => {
+        this._renderMath(domElement, latex, format, display);
+      });
+
+      writer.insert(writer.createPositionAt(wrapper, 0), renderedContent);
+      this._appendEquationNumber(modelElement, wrapper, writer);
+
+      return wrapper;
     }
 
     _openMathEditor(editor) {
@@ -231,11 +966,12 @@ export default function createMathLivePlugin(CKEditor, options = {}) {
 
       // Get existing LaTeX if editing
       let currentLatex = '';
-      if (selectedElement && selectedElement.name === 'mathFormula') {
-        currentLatex = selectedElement.getAttribute('latex') || '';
+      const mathElement = isMathElement(selectedElement) ? selectedElement : null;
+      if (mathElement) {
+        currentLatex = mathElement.getAttribute('latex') || '';
       }
 
-      this._showMathEditorDialog(editor, currentLatex, selectedElement);
+      this._showMathEditorDialog(editor, currentLatex, mathElement);
     }
 
     _showMathEditorDialog(editor, currentLatex, selectedElement) {
@@ -256,9 +992,9 @@ export default function createMathLivePlugin(CKEditor, options = {}) {
         }
       };
 
-      const handleInsert = (latex, format) => {
+      const handleInsert = (latex, format, attrs) => {
         if (latex !== null && latex !== undefined) {
-          this._insertMath(editor, latex, selectedElement, format);
+          this._insertMath(editor, latex, selectedElement, format, attrs);
         }
       };
 
@@ -267,6 +1003,10 @@ export default function createMathLivePlugin(CKEditor, options = {}) {
       };
 
       const existingFormat = selectedElement?.getAttribute('renderFormat') || mathRenderFormat;
+      const existingDisplay = selectedElement ? getDisplay(selectedElement) : 'inline';
+      const existingNumbered = !!selectedElement?.getAttribute('numbered');
+      const existingSpeechText = selectedElement?.getAttribute('speechText') || '';
+      const existingStyle = Object.fromEntries(STYLE_ATTRIBUTES.map(key => [key, selectedElement?.getAttribute(key) || null]));
 
       root.render(
         <MathLiveErrorBoundary>
@@ -274,104 +1014,188 @@ export default function createMathLivePlugin(CKEditor, options = {}) {
             isOpen={true}
             initialLatex={currentLatex}
             initialRenderFormat={existingFormat}
+            initialDisplay={existingDisplay}
+            initialNumbered={existingNumbered}
+            initialSpeechText={existingSpeechText}
+            initialStyle={existingStyle}
+            getSpeechText={(latex) => latexToSpeech(expandMacros(latex, mathMacros), mathSpeechLocales[0])}
             onInsert={handleInsert}
             onClose={handleClose}
             availableFonts={availableFonts}
             getAvailableFonts={getAvailableFonts}
+            snippetStore={this._snippetStore}
+            historyStore={this._historyStore}
+            mathMacros={mathMacros}
+            recognizeMath={recognizeMath}
           />
         </MathLiveErrorBoundary>
       );
     }
 
-    _insertMath(editor, latex, existingElement, format) {
+    _showNormalizeDialog() {
+      const editor = this.editor;
+      const command = editor.commands.get('normalizeMath');
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const root = createRoot(container);
+      const transforms = resolveTransforms(mathNormalizeTransforms);
+
+      const handleClose = () => {
+        try { root.unmount(); } catch(e) {}
+        container.remove();
+        editor.editing.view.focus();
+      };
+
+      root.render(
+        <MathNormalizeDialog
+          transforms={transforms}
+          initialSelected={transforms.map(t => t.name)}
+          preview={selected => command.preview({ transforms: selected })}
+          onApply={selected => editor.execute('normalizeMath', { transforms: selected })}
+          onClose={handleClose}
+        />
+      );
+    }
+
+    /**
+     * Insert a new formula or replace the edited one.
+     * @param {Object} [options] - { display: 'inline' | 'block', numbered: boolean, speechText: string,
+     *   mathFontFamily, mathFontSize, mathColor: string or null to remove }
+     */
+    _insertMath(editor, latex, existingElement, format, options = {}) {
       const renderFmt = format || mathRenderFormat;
+      // Keep attributes such as equationId so references survive an edit
+      const existingAttrs = existingElement ? Object.fromEntries(existingElement.getAttributes()) : {};
+      const displayMode = options.display || (existingElement ? getDisplay(existingElement) : 'inline');
+      const numbered = options.numbered ?? !!existingAttrs.numbered;
+
       editor.model.change(writer => {
-        const attrs = { latex, display: 'inline', renderFormat: renderFmt };
+        const attrs = { ...existingAttrs, latex, display: displayMode, renderFormat: renderFmt };
+        if (numbered) {
+          attrs.numbered = true;
+        } else {
+          delete attrs.numbered;
+        }
+        if (options.speechText !== undefined) {
+          if (options.speechText) {
+            attrs.speechText = options.speechText;
+          } else {
+            delete attrs.speechText;
+          }
+        }
+        for (const key of STYLE_ATTRIBUTES) {
+          if (options[key] === undefined) continue;
+          if (options[key]) {
+            attrs[key] = options[key];
+          } else {
+            delete attrs[key];
+          }
+        }
+        const mathElement = createMathElement(writer, attrs);
 
         if (existingElement) {
-          const position = writer.createPositionBefore(existingElement);
-          writer.remove(existingElement);
-          const mathElement = writer.createElement('mathFormula', attrs);
-          writer.insert(mathElement, position);
-          writer.setSelection(mathElement, 'on');
+          replaceMathElement(editor.model, writer, existingElement, mathElement);
+        } else if (mathElement.name === 'mathFormulaBlock') {
+          editor.model.insertObject(mathElement, null, null, { setSelection: 'on' });
         } else {
-          const mathElement = writer.createElement('mathFormula', attrs);
           editor.model.insertContent(mathElement);
         }
       });
+
+      if (this._historyStore) {
+        this._historyStore.record(latex).catch(error => console.error('Error recording math history:', error));
+      }
     }
 
-    _renderMath(element, latex, format) {
+    /**
+     * @returns {boolean} false if MathLive failed to convert the formula
+     */
+    _renderMath(element, latex, format, display = 'inline') {
       if (!latex) {
         element.textContent = '(empty formula)';
         element.style.color = '#999';
-        return;
+        return true;
       }
 
-      const latexToRender = replaceFracWithCfrac(latex);
-      const useFormat = format || mathRenderFormat;
-      const renderOptions = {
-        letterShapeStyle: 'upright',
-        defaultMode: 'inline-math',
-        registers: {
-          thinmuskip: { dimension: 0, unit: 'mu' },
-          medmuskip: { dimension: 0, unit: 'mu' },
-          thickmuskip: { dimension: 0, unit: 'mu' },
-          nulldelimiterspace: { dimension: 0, unit: 'mu' }
-        }
-      };
+      let useFormat = format || mathRenderFormat;
 
-      if (useFormat === 'mathml' && convertLatexToMathMl) {
-        try {
-          const cleaned = this._stripHtmlStyle(latexToRender);
-          const ml = convertLatexToMathMl(cleaned, renderOptions);
-          const wrapped = ml.trimStart().startsWith('<math') ? ml : `<math>${ml}</math>`;
-          element.innerHTML = wrapped;
-        } catch (e) {
-          this._renderFallback(element, latex);
-        }
-      } else if (convertLatexToMarkup) {
-        try {
-          element.innerHTML = convertLatexToMarkup(latexToRender, renderOptions);
-        } catch (e) {
-          this._renderFallback(element, latex);
-        }
-      } else {
+      if (useFormat === 'svg' && !svgRenderer) {
+        // Show markup until MathJax has loaded, then the formula is re-rendered.
+        // Data output isn't re-rendered: `ready` waits for the load.
+        this._loadSvgRenderer();
+        useFormat = 'markup';
+      }
+
+      const mathlive = getMathLive();
+      if (!mathlive) {
         this._renderFallback(element, latex);
+        return this.mathLiveStatus !== 'error';
+      }
+
+      try {
+        element.innerHTML = renderLatexToString(mathlive, latex, useFormat, display, { macros: mathMacros, svgRenderer, rewriteRules: mathRewriteRules });
+        return true;
+      } catch (e) {
+        this._renderFallback(element, latex);
+        return false;
       }
     }
 
     /**
-     * Strip \htmlStyle{...}{content} → content
-     * MathML has no equivalent of \htmlStyle, so we unwrap to keep the content.
+     * Load MathJax for the 'svg' format, then re-render the SVG formulas
+     * that were shown as markup in the meantime. After a failed load, the
+     * next SVG formula rendered tries again.
      */
-    _stripHtmlStyle(latex) {
-      let result = latex;
-      let changed = true;
-      while (changed) {
-        changed = false;
-        const idx = result.indexOf('\\htmlStyle');
-        if (idx === -1) break;
-
-        let pos = idx + '\\htmlStyle'.length;
-        while (pos < result.length && result[pos] === ' ') pos++;
-        if (pos >= result.length || result[pos] !== '{') continue;
-
-        const styleEnd = this._findMatchingBrace(result, pos);
-        if (styleEnd === -1) break;
-
-        let contentStart = styleEnd + 1;
-        while (contentStart < result.length && result[contentStart] === ' ') contentStart++;
-        if (contentStart >= result.length || result[contentStart] !== '{') break;
-
-        const contentEnd = this._findMatchingBrace(result, contentStart);
-        if (contentEnd === -1) break;
-
-        const innerContent = result.substring(contentStart + 1, contentEnd);
-        result = result.substring(0, idx) + innerContent + result.substring(contentEnd + 1);
-        changed = true;
+    _loadSvgRenderer() {
+      if (svgRenderer || (this._svgRendererPromise && !this._svgRendererFailed)) return;
+
+      this._svgRendererFailed = false;
+      this._svgRendererPromise = loadSvgRenderer()
+        .then(renderer => {
+          svgRenderer = renderer;
+          const editor = this.editor;
+          if (editor.state === 'destroyed') return;
+
+          for (const root of editor.model.document.getRoots()) {
+            for (const item of editor.model.createRangeIn(root).getItems()) {
+              if (isMathElement(item) && (item.getAttribute('renderFormat') || mathRenderFormat) === 'svg') {
+                editor.editing.reconvertItem(item);
+              }
+            }
+          }
+        })
+        .catch(error => {
+          console.error('Error loading the SVG math renderer:', error);
+          // Kept, so `ready` rejects until a retry succeeds
+          this._svgRendererFailed = true;
+          throw error;
+        });
+      this._svgRendererPromise.catch(() => {});
+    }
+
+    /**
+     * Editing view only: flag formulas that failed to render or contain LaTeX errors
+     * with a visible badge, so they don't reach printed papers unnoticed.
+     */
+    _markRenderErrors(element, latex, rendered) {
+      if (!latex) return;
+
+      let messages;
+      if (this.mathLiveStatus === 'error') {
+        messages = ['The math renderer (MathLive) could not be loaded, so the LaTeX source is shown'];
+      } else if (rendered) {
+        messages = checkLatex(latex, { validate: getMathLive()?.validateLatex, knownCommands: macroNames }).map(e => e.message);
+      } else {
+        messages = ['Formula could not be rendered'];
       }
-      return result;
+      if (messages.length === 0) return;
+
+      element.classList.add('math-formula-render--error');
+      const badge = document.createElement('span');
+      badge.className = 'math-formula-error-badge';
+      badge.textContent = '!';
+      badge.title = messages.join('\n');
+      element.appendChild(badge);
     }
 
     _renderFallback(element, latex) {
@@ -388,5 +1212,161 @@ export default function createMathLivePlugin(CKEditor, options = {}) {
     }
   }
 
+  /**
+   * Switches the selected formula between inline and block display.
+   * Pass { value: 'inline' | 'block' } to force a mode, otherwise it toggles.
+   */
+  class MathDisplayCommand extends Command {
+    refresh() {
+      const element = getSelectedMathElement(this.editor.model.document.selection);
+
+      this.isEnabled = !!element;
+      this.value = element ? getDisplay(element) : null;
+    }
+
+    execute(options = {}) {
+      const model = this.editor.model;
+      const element = getSelectedMathElement(model.document.selection);
+      if (!element) return;
+
+      const current = getDisplay(element);
+      const display = options.value || (current === 'block' ? 'inline' : 'block');
+      if (display === current) return;
+
+      model.change(writer => {
+        const attrs = Object.fromEntries(element.getAttributes());
+        const newElement = createMathElement(writer, { ...attrs, display });
+        replaceMathElement(model, writer, element, newElement);
+      });
+    }
+  }
+
+  /**
+   * Inserts a reference to the numbered equation with the given id.
+   * The number itself is filled in by the numbering post-fixer.
+   */
+  class InsertEquationRefCommand extends Command {
+    refresh() {
+      const model = this.editor.model;
+      const position = model.document.selection.getFirstPosition();
+
+      this.isEnabled = !!position && model.schema.findAllowedParent(position, 'mathEquationRef') !== null;
+    }
+
+    execute(options = {}) {
+      const model = this.editor.model;
+      if (!options.equationId) return;
+
+      model.change(writer => {
+        const reference = writer.createElement('mathEquationRef', { equationRef: options.equationId });
+        model.insertContent(reference);
+        writer.setSelection(reference, 'after');
+      });
+    }
+  }
+
+  /**
+   * Sets one whole-formula style (mathFontFamily, mathFontSize or mathColor)
+   * on the selected formula, or on every formula in the selection.
+   * Pass { value: null } to remove it.
+   */
+  class MathStyleCommand extends Command {
+    constructor(editor, attributeKey) {
+      super(editor);
+      this.attributeKey = attributeKey;
+    }
+
+    refresh() {
+      const elements = getMathElementsInSelection(this.editor.model.document.selection);
+      const values = new Set(elements.map(element => element.getAttribute(this.attributeKey) || null));
+
+      this.isEnabled = elements.length > 0;
+      // Mixed values show as none selected
+      this.value = values.size === 1 ? [...values][0] : null;
+    }
+
+    execute(options = {}) {
+      const model = this.editor.model;
+      const elements = getMathElementsInSelection(model.document.selection);
+
+      model.change(writer => {
+        for (const element of elements) {
+          if (options.value) {
+            writer.setAttribute(this.attributeKey, options.value, element);
+          } else {
+            writer.removeAttribute(this.attributeKey, element);
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Runs house-style transforms over every formula in the document, as one
+   * undo step. Pass { transforms } to override the mathNormalizeTransforms option.
+   * Returns the same summary as preview().
+   */
+  class NormalizeMathCommand extends Command {
+    /**
+     * What execute() would change, without changing it
+     * @returns {Object} { total, changes: [{ element, before, after, applied }], counts: { transformName: formulas } }
+     */
+    preview(options = {}) {
+      const model = this.editor.model;
+      const transforms = resolveTransforms(options.transforms || mathNormalizeTransforms);
+      const counts = Object.fromEntries(transforms.map(t => [t.name, 0]));
+      const changes = [];
+      let total = 0;
+
+      for (const root of model.document.getRoots()) {
+        for (const element of model.createRangeIn(root).getItems()) {
+          if (!isMathElement(element)) continue;
+          total++;
+
+          const before = element.getAttribute('latex') || '';
+          // The formula's own style makes matching \htmlStyle declarations redundant
+          const style = getMathStyleDeclarations(key => element.getAttribute(key));
+          const { latex: after, applied } = normalizeLatex(before, transforms, { style, rewriteRules: mathRewriteRules });
+          if (applied.length === 0) continue;
+
+          changes.push({ element, before, after, applied });
+          for (const name of applied) counts[name]++;
+        }
+      }
+
+      return { total, changes, counts };
+    }
+
+    execute(options = {}) {
+      const summary = this.preview(options);
+      if (summary.changes.length === 0) return summary;
+
+      this.editor.model.change(writer => {
+        for (const { element, after } of summary.changes) {
+          writer.setAttribute('latex', after, element);
+        }
+      });
+      return summary;
+    }
+  }
+
+  // Centered formula between two text lines
+  const blockMathIcon = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><path d="M2 2h16v2H2V2zm0 14h16v2H2v-2z"/><path d="M6 7h8v1.5h-3.2l2 1.5-2 1.5H14V13H6v-1.2L8.8 10 6 8.2V7z"/></svg>';
+
+  // "(1)" with a link arrow
+  const equationRefIcon = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><path d="M5 3c-2 2-2.5 4-2.5 7s.5 5 2.5 7l1-1c-1.5-1.8-2-3.5-2-6s.5-4.2 2-6L5 3zm10 0l-1 1c1.5 1.8 2 3.5 2 6s-.5 4.2-2 6l1 1c2-2 2.5-4 2.5-7s-.5-5-2.5-7z"/><path d="M10.8 5v10H9.2V7.4L7.6 8.3V6.6L9.6 5h1.2z"/></svg>';
+
+  // Formula font: "f(x)" in a serif
+  const mathFontIcon = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><path d="M9.6 3c-1.7 0-2.7 1-3.1 2.9L6.1 8H4.5v1.5h1.3l-1.1 5.6c-.2.9-.5 1.4-1.1 1.4-.2 0-.4 0-.6-.1v1.5c.3.1.6.1.9.1 1.5 0 2.4-.9 2.8-2.8l1.1-5.7h1.9V8H7.9l.3-1.8c.2-1 .6-1.7 1.4-1.7.2 0 .4 0 .6.1V3.1C10 3 9.8 3 9.6 3z"/><path d="M12.4 7c-1.2 1.6-1.8 3.3-1.8 5s.6 3.4 1.8 5l1-.7c-1-1.4-1.4-2.8-1.4-4.3s.4-2.9 1.4-4.3l-1-.7zm4.2 0l-1 .7c1 1.4 1.4 2.8 1.4 4.3s-.4 2.9-1.4 4.3l1 .7c1.2-1.6 1.8-3.3 1.8-5s-.6-3.4-1.8-5z"/></svg>';
+
+  // Formula size: large and small "x"
+  const mathFontSizeIcon = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><path d="M2 5h2.2l2.3 3.6L8.8 5H11L7.6 10l3.6 5H9L6.5 11.3 4 15H1.8l3.6-5L2 5zm10.5 4h1.6l1.3 2 1.3-2h1.6l-2.1 3 2.2 3h-1.6l-1.4-2.1-1.4 2.1h-1.6l2.2-3-2.1-3z"/></svg>';
+
+  // Formula color: "x" above a color bar
+  const mathColorIcon = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><path d="M5 2h2.4L10 6l2.6-4H15l-3.7 5.5L15.2 13h-2.4L10 8.9 7.2 13H4.8l3.9-5.5L5 2z"/><path d="M2 15h16v3H2z" opacity=".6"/></svg>';
+
+  // Broom over "x²"
+  const normalizeIcon = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><path d="M15.6 1.3l1.1 1.1-4.9 4.9.9.9c.7.7.7 1.8 0 2.5l-.4.4-4.4-4.4.4-.4c.7-.7 1.8-.7 2.5 0l.9.9 4.9-4.9z"/><path d="M6.6 7.5l4.9 4.9-1.1 1.1c-1.3 1.3-3.1 2.2-5 2.4l-2.9.4 1.3-1.8-1.2.2.9-1.4-1.3.1 1.4-1.9c.7-1 1.5-1.9 2.4-2.8l.6-1.2z"/><path d="M12 14h1.8l1 1.5 1-1.5h1.8l-1.9 2.6 2 2.4h-1.8l-1.1-1.5-1.1 1.5h-1.8l2-2.4-1.9-2.6z"/></svg>';
+
   return MathLivePlugin;
 }
@@ -0,0 +1,85 @@
+import React, { useState, useMemo } from 'react';
+import styles from './MathLivePlugin.module.css';
+
+/**
+ * Preview of the normalizeMath command: pick the transforms, review what
+ * each formula becomes, then apply everything as one undo step.
+ */
+const MathNormalizeDialog = ({ transforms, initialSelected, preview, onApply, onClose }) => {
+  const [selected, setSelected] = useState(initialSelected);
+  const summary = useMemo(
+    () => preview(transforms.filter(t => selected.includes(t.name))),
+    [preview, transforms, selected]
+  );
+
+  const toggle = (name) => {
+    setSelected(current => current.includes(name) ? current.filter(n => n !== name) : [...current, name]);
+  };
+
+  const handleApply = () => {
+    onApply(transforms.filter(t => selected.includes(t.name)));
+    onClose();
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const labels = Object.fromEntries(transforms.map(t => [t.name, t.label || t.name]));
+
+  return (
+    <div className={styles.overlay} data-mathlive-overlay="true" onClick={handleOverlayClick}>
+      <div className={`${styles.dialog} ${styles.normalizeDialog}`} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.header}>
+          <h3 className={styles.headerTitle}>Normalize Equations</h3>
+          <button className={styles.closeButton} onClick={onClose}>
+            &times;
+          </button>
+        </div>
+
+        <div className={styles.content}>
+          <div className={styles.normalizeTransforms}>
+            {transforms.map(({ name }) => (
+              <label key={name} className={styles.toolbarCheckbox}>
+                <input type="checkbox" checked={selected.includes(name)} onChange={() => toggle(name)} />
+                {labels[name]}
+                {summary.counts[name] > 0 && <span className={styles.normalizeCount}>{summary.counts[name]}</span>}
+              </label>
+            ))}
+          </div>
+
+          <div className={styles.normalizeSummary}>
+            {summary.changes.length === 0
+              ? `All ${summary.total} formula(s) already follow the selected rules.`
+              : `${summary.changes.length} of ${summary.total} formula(s) will change.`}
+          </div>
+
+          <ul className={styles.normalizeList}>
+            {summary.changes.map(({ before, after, applied }, index) => (
+              <li key={index} className={styles.normalizeItem}>
+                <div className={styles.normalizeApplied}>{applied.map(name => labels[name]).join(' · ')}</div>
+                <pre className={styles.normalizeBefore}>{before}</pre>
+                <pre className={styles.normalizeAfter}>{after}</pre>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className={styles.footer}>
+          <div className={styles.buttonGroup}>
+            <button className={styles.cancelButton} onClick={onClose}>
+              Cancel
+            </button>
+            <button className={styles.insertButton} onClick={handleApply} disabled={summary.changes.length === 0}>
+              Apply
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MathNormalizeDialog;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import styles from './MathLivePlugin.module.css';
+import { useMathLive } from '../hooks/useMathLive.js';
+import { snippetPreviewLatex, USER_SNIPPET_CATEGORY } from '../utils/mathSnippets.js';
+
+// Shown as LaTeX source until MathLive has loaded
+export const SnippetPreview = ({ latex }) => {
+  const { mathlive } = useMathLive();
+  const markup = useMemo(() => {
+    if (!mathlive) return null;
+    try {
+      return mathlive.convertLatexToMarkup(snippetPreviewLatex(latex));
+    } catch (e) {
+      return null;
+    }
+  }, [latex, mathlive]);
+
+  if (!markup) {
+    return <code className={styles.snippetCode}>{latex}</code>;
+  }
+  return <span className={styles.snippetPreview} dangerouslySetInnerHTML={{ __html: markup }} />;
+};
+
+/**
+ * Snippet palette shown inside MathLiveDialog
+ * @param {Object} store - Snippet store from createSnippetStore
+ * @param {string} currentLatex - Formula in the dialog, used by "Save current"
+ * @param {Function} onInsert - Called with the snippet's LaTeX
+ */
+const MathSnippetPalette = ({ store, currentLatex, onInsert }) => {
+  const [userSnippets, setUserSnippets] = useState(() => store.getUserSnippets());
+  const [newLabel, setNewLabel] = useState('');
+  const [saving, setSaving] = useState(false);
+  // 'loading', 'loaded' or 'error'; saving waits for the saved snippets
+  const [loadState, setLoadState] = useState(() => (store.isLoaded() ? 'loaded' : 'loading'));
+
+  useEffect(() => {
+    let isMounted = true;
+    store.loadUserSnippets().then(list => {
+      if (!isMounted) return;
+      setUserSnippets(list);
+      setLoadState(store.isLoaded() ? 'loaded' : 'error');
+    });
+    return () => { isMounted = false; };
+  }, [store]);
+
+  // Group fixed and user snippets by category, keeping first-seen order
+  const groups = useMemo(() => {
+    const map = new Map();
+    for (const snippet of [...store.getSnippets(), ...userSnippets]) {
+      const category = snippet.category || 'Other';
+      if (!map.has(category)) map.set(category, []);
+      map.get(category).push(snippet);
+    }
+    return Array.from(map.entries());
+  }, [store, userSnippets]);
+
+  const handleSave = async () => {
+    const label = newLabel.trim();
+    if (!label || !currentLatex || loadState !== 'loaded') return;
+
+    setSaving(true);
+    try {
+      setUserSnippets(await store.addUserSnippet({ label, latex: currentLatex }));
+      setNewLabel('');
+    } catch (error) {
+      console.error('Error saving math snippet:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (id) => {
+    try {
+      setUserSnippets(await store.removeUserSnippet(id));
+    } catch (error) {
+      console.error('Error removing math snippet:', error);
+    }
+  };
+
+  return (
+    <div className={styles.snippetPalette}>
+      {groups.map(([category, snippets]) => (
+        <div key={category} className={styles.snippetGroup}>
+          <div className={styles.snippetCategory}>{category}</div>
+          <div className={styles.snippetList}>
+            {snippets.map(snippet => (
+              <div key={snippet.id} className={styles.snippetItem}>
+                <button
+                  className={styles.snippetButton}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => onInsert(snippet.latex)}
+                  title={snippet.label}
+                >
+                  <SnippetPreview latex={snippet.latex} />
+                  <span className={styles.snippetLabel}>{snippet.label}</span>
+                </button>
+                {category === USER_SNIPPET_CATEGORY && (
+                  <button
+                    className={styles.snippetRemove}
+                    onClick={() => handleRemove(snippet.id)}
+                    title="Remove snippet"
+                  >
+                    &times;
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {loadState === 'error' && (
+        <div className={styles.snippetLoadError}>Your saved snippets could not be loaded, so new ones can't be saved.</div>
+      )}
+
+      <div className={styles.snippetSaveRow}>
+        <input
+          type="text"
+          className={styles.snippetInput}
+          value={newLabel}
+          onChange={(e) => setNewLabel(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+          placeholder="Name for current formula"
+        />
+        <button
+          className={styles.toolbarButton}
+          onClick={handleSave}
+          disabled={saving || loadState !== 'loaded' || !newLabel.trim() || !currentLatex}
+          title={loadState === 'loading' ? 'Loading your saved snippets…' : 'Save the current formula as a snippet'}
+        >
+          Save current
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MathSnippetPalette;
@@ -0,0 +1,148 @@
+import React, { useState, useRef, useCallback } from 'react';
+import styles from './MathLivePlugin.module.css';
+import { configureMathfield } from '../utils/mathfieldSetup.js';
+import { useMathLive } from '../hooks/useMathLive.js';
+import { STEP_ENVIRONMENTS } from '../utils/alignedSteps.js';
+
+let nextRowId = 0;
+const withIds = (rows) => rows.map(cells => ({ id: nextRowId++, cells }));
+
+/**
+ * One cell of a step: a mathfield that reports its LaTeX on every edit
+ */
+const StepCell = ({ value, onChange, mathMacros, label }) => {
+  const elementRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  const setup = useCallback((element) => {
+    if (!element || elementRef.current === element) return;
+    elementRef.current = element;
+
+    configureMathfield(element, mathMacros);
+    element.value = value;
+    element.addEventListener('input', () => onChangeRef.current(element.value || ''));
+  }, []);
+
+  return <math-field ref={setup} className={styles.stepField} aria-label={label} />;
+};
+
+/**
+ * Steps mode of MathLiveDialog: one row per line of an aligned, cases or
+ * gathered environment, each cell its own mathfield. The cells of a row
+ * are separated by its alignment points (&).
+ * @param {Object} steps - { before, environment, rows } (see parseAlignedSteps)
+ * @param {Function} onChange - Called with the new { before, environment, rows }
+ * @param {Object} [mathMacros] - Custom macros for the cells
+ */
+const MathStepsEditor = ({ steps, onChange, mathMacros }) => {
+  const [rows, setRows] = useState(() => withIds(steps.rows.length > 0 ? steps.rows : [['']]));
+  const [environment, setEnvironment] = useState(steps.environment);
+  const [before, setBefore] = useState(steps.before);
+  // The cells are mathfields, which MathLive defines when it loads
+  const { mathlive, error: mathLiveError } = useMathLive();
+
+  const columns = Math.max(STEP_ENVIRONMENTS[environment].columns, ...rows.map(row => row.cells.length));
+
+  const update = (nextRows, nextEnvironment = environment, nextBefore = before) => {
+    setRows(nextRows);
+    setEnvironment(nextEnvironment);
+    setBefore(nextBefore);
+    onChange({ before: nextBefore, environment: nextEnvironment, rows: nextRows.map(row => row.cells) });
+  };
+
+  const setCell = (rowId, column, value) => {
+    update(rows.map(row => {
+      if (row.id !== rowId) return row;
+      const cells = [...row.cells];
+      while (cells.length <= column) cells.push('');
+      cells[column] = value;
+      return { ...row, cells };
+    }));
+  };
+
+  const addRow = (index) => {
+    const next = [...rows];
+    next.splice(index + 1, 0, ...withIds([Array(columns).fill('')]));
+    update(next);
+  };
+
+  const removeRow = (index) => {
+    update(rows.length > 1 ? rows.filter((_, i) => i !== index) : withIds([Array(columns).fill('')]));
+  };
+
+  const moveRow = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rows.length) return;
+    const next = [...rows];
+    [next[index], next[target]] = [next[target], next[index]];
+    update(next);
+  };
+
+  // Gathered has no alignment points, so switching to it joins each row's cells
+  const changeEnvironment = (value) => {
+    const next = STEP_ENVIRONMENTS[value].columns === 1
+      ? rows.map(row => ({ id: nextRowId++, cells: [row.cells.filter(Boolean).join(' ')] }))
+      : rows;
+    update(next, value);
+  };
+
+  return (
+    <div className={`${styles.snippetPalette} ${styles.stepsEditor}`}>
+      <div className={styles.snippetSaveRow}>
+        <span className={styles.toolbarLabel}>Layout:</span>
+        <select
+          className={styles.toolbarSelect}
+          value={environment}
+          onChange={(e) => changeEnvironment(e.target.value)}
+        >
+          {Object.entries(STEP_ENVIRONMENTS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <span className={styles.toolbarLabel}>Before:</span>
+        <input
+          type="text"
+          className={`${styles.snippetInput} ${styles.chemistryInput}`}
+          value={before}
+          onChange={(e) => update(rows, environment, e.target.value)}
+          placeholder="LaTeX before the steps, e.g. f(x)="
+          spellCheck={false}
+        />
+      </div>
+
+      {!mathlive && (
+        <div className={mathLiveError ? `${styles.mathfieldStatus} ${styles.mathfieldStatusError}` : styles.mathfieldStatus}>
+          {mathLiveError
+            ? 'The steps editor could not be loaded. You can still edit the LaTeX code.'
+            : 'Loading the steps editor…'}
+        </div>
+      )}
+
+      {mathlive && rows.map((row, index) => (
+        <div key={row.id} className={styles.stepRow}>
+          <span className={styles.stepNumber}>{index + 1}</span>
+          {Array.from({ length: columns }, (_, column) => (
+            <React.Fragment key={column}>
+              {column > 0 && <span className={styles.stepAlignMarker} title="Alignment point (&)">&amp;</span>}
+              <StepCell
+                value={row.cells[column] || ''}
+                onChange={(value) => setCell(row.id, column, value)}
+                mathMacros={mathMacros}
+                label={`Step ${index + 1}, part ${column + 1}`}
+              />
+            </React.Fragment>
+          ))}
+          <div className={styles.stepActions}>
+            <button className={styles.toolbarButton} onClick={() => moveRow(index, -1)} disabled={index === 0} title="Move up">↑</button>
+            <button className={styles.toolbarButton} onClick={() => moveRow(index, 1)} disabled={index === rows.length - 1} title="Move down">↓</button>
+            <button className={styles.toolbarButton} onClick={() => addRow(index)} title="Add a step below">+</button>
+            <button className={styles.toolbarButton} onClick={() => removeRow(index)} title="Remove this step">&times;</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MathStepsEditor;
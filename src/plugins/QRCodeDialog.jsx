@@ -0,0 +1,427 @@
+import React, { useState, useEffect, useRef } from 'react';
+import CodeDialog from './CodeDialog.jsx';
+import VariableInput from './VariableInput.jsx';
+import { generateQRCodeImage, QRCODE_DEFAULTS, QRCODE_STYLE_DEFAULTS, QR_ERROR_CORRECTION_LEVELS } from '../utils/codeImages.js';
+import { QR_PAYLOAD_TYPES, DEFAULT_QR_PAYLOAD, buildQRPayload } from '../utils/qrPayloads.js';
+import { fillSampleValues } from '../utils/variableCodes.js';
+import styles from './CodeDialog.module.css';
+
+// Size limits per output: millimetres for SVG, pixels for PNG
+const SIZE_LIMITS = {
+  svg: { min: 5, max: 200, step: 1, unit: 'mm' },
+  png: { min: 1, max: 1000, step: 1, unit: 'pixels' }
+};
+const MM_PER_PIXEL = 25.4 / 96;
+const MARGIN_LIMITS = { min: 0, max: 10 };
+// Logos are stored in the document as data URLs
+const MAX_LOGO_BYTES = 200 * 1024;
+
+// The color inputs give #rrggbb, but stored colors may be anything; the QR code
+// generator only takes hex colors. Returns the [r, g, b] channels, or null.
+function parseColor(color) {
+  const match = String(color || '').trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16));
+}
+
+// Relative luminance of parsed channels, 0 (black) to 1 (white)
+function luminance(channels) {
+  const [r, g, b] = channels.map(value => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Size, quiet zone and colors as entered; returns a message if they can't be used
+ */
+function settingsError({ output, size, margin, color, background }) {
+  const limits = SIZE_LIMITS[output];
+  const sizeValue = parseFloat(size);
+  if (isNaN(sizeValue) || sizeValue < limits.min || sizeValue > limits.max) {
+    return `Please enter a valid size between ${limits.min} and ${limits.max} ${limits.unit}.`;
+  }
+
+  const marginValue = parseInt(margin, 10);
+  if (isNaN(marginValue) || marginValue < MARGIN_LIMITS.min || marginValue > MARGIN_LIMITS.max) {
+    return `Please enter a quiet zone between ${MARGIN_LIMITS.min} and ${MARGIN_LIMITS.max} modules.`;
+  }
+
+  const colorChannels = parseColor(color);
+  const backgroundChannels = parseColor(background);
+  if (!colorChannels || !backgroundChannels) {
+    return 'Please choose the color and background with the color pickers.';
+  }
+
+  // Scanners expect dark modules on a light background
+  if ((luminance(backgroundChannels) + 0.05) / (luminance(colorChannels) + 0.05) < 3) {
+    return 'The color must be clearly darker than the background for the QR code to scan.';
+  }
+  return null;
+}
+
+/**
+ * The filled-in fields of a payload form, as buildQRPayload takes them.
+ * Selects default to their first option; checked checkboxes are 'true'.
+ */
+function readFields(type, stored = {}) {
+  const fields = {};
+  for (const field of QR_PAYLOAD_TYPES[type].fields) {
+    const value = field.type === 'select'
+      ? stored[field.name] || field.options[0][0]
+      : (stored[field.name] || '').trim();
+    if (value) fields[field.name] = value;
+  }
+  return fields;
+}
+
+// Logos are only drawn on SVG QR codes; the logo is kept while PNG is chosen
+function hasLogo(values) {
+  return values.output === 'svg' && !!values.logo;
+}
+
+function imageOptions(values) {
+  return {
+    output: values.output,
+    size: parseFloat(values.size),
+    // A logo covers modules, so it forces error correction H
+    level: hasLogo(values) ? 'H' : values.level,
+    margin: parseInt(values.margin, 10),
+    color: values.color,
+    background: values.background,
+    logo: hasLogo(values) ? values.logo : null
+  };
+}
+
+/**
+ * QR code dialog: text or structured content (with @variables), size and style
+ * @param {Object} props
+ * @param {Object} props.initialValues - { text, output, size, level, margin, color, background, logo, payload, fields }
+ *   of the edited QR code, or null
+ * @param {string} props.defaultOutput - Output of new QR codes
+ * @param {Array<Object>} props.variables - qrCodeVariables config
+ * @param {Function} props.onInsert - (image attributes) => void
+ * @param {Function} props.onClose
+ */
+const QRCodeDialog = ({ initialValues, defaultOutput, variables, onInsert, onClose }) => {
+  const isEditing = !!initialValues;
+  const [values, setValues] = useState(() => {
+    // New QR codes get the current style; edited ones keep theirs
+    const initial = { ...QRCODE_STYLE_DEFAULTS, logo: null, ...initialValues };
+    const output = initialValues?.output || defaultOutput;
+    const payload = initialValues?.payload || DEFAULT_QR_PAYLOAD;
+    return {
+      payload,
+      text: initialValues?.text || '',
+      // Values typed in each form are kept when switching to another type and back
+      fields: { [payload]: initialValues?.fields || {} },
+      output,
+      size: String(initialValues?.size || QRCODE_DEFAULTS[output].size),
+      margin: String(initial.margin),
+      // The level chosen without a logo, restored when the logo is removed
+      level: initial.logo ? QRCODE_STYLE_DEFAULTS.level : initial.level,
+      color: initial.color,
+      background: initial.background,
+      logo: initial.logo
+    };
+  });
+  const [logoError, setLogoError] = useState(null);
+  const formRef = useRef(null);
+  const logoInputRef = useRef(null);
+  const focusedPayload = useRef(null);
+
+  const setValue = (name, value) => setValues(current => ({ ...current, [name]: value }));
+
+  const setField = (name, value) => setValues(current => ({
+    ...current,
+    fields: { ...current.fields, [current.payload]: { ...current.fields[current.payload], [name]: value } }
+  }));
+
+  // Switching output converts the size between millimetres and pixels
+  const setOutput = (output) => setValues(current => {
+    const limits = SIZE_LIMITS[output];
+    const size = parseFloat(current.size);
+    if (isNaN(size) || output === current.output) return { ...current, output };
+    const converted = output === 'svg' ? size * MM_PER_PIXEL : size / MM_PER_PIXEL;
+    return { ...current, output, size: String(Math.min(limits.max, Math.max(limits.min, Math.round(converted)))) };
+  });
+
+  // Focus the first field of the form, and select the text when editing
+  useEffect(() => {
+    const first = formRef.current.querySelector('#qrcode-text, [data-field]');
+    if (!first) return;
+    first.focus();
+    if (focusedPayload.current === null && isEditing && first.select) first.select();
+    focusedPayload.current = values.payload;
+  }, [values.payload]);
+
+  const handleLogoChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (file.size > MAX_LOGO_BYTES) {
+      setLogoError(`The logo is too large; please use an image under ${MAX_LOGO_BYTES / 1024} KB.`);
+      e.target.value = '';
+      return;
+    }
+    setLogoError(null);
+    const reader = new FileReader();
+    reader.onload = () => setValue('logo', reader.result);
+    reader.readAsDataURL(file);
+  };
+
+  const removeLogo = () => {
+    setValue('logo', null);
+    if (logoInputRef.current) logoInputRef.current.value = '';
+  };
+
+  const payloadType = QR_PAYLOAD_TYPES[values.payload];
+  const isText = values.payload === DEFAULT_QR_PAYLOAD;
+  const storedFields = values.fields[values.payload] || {};
+  const limits = SIZE_LIMITS[values.output];
+  const hasVariables = variables.length > 0;
+
+  // The QR code as it will scan, with sample values for @variables. Forms are
+  // built again from sampled fields, escaping the values as renderVariableCodes does.
+  const getPreview = () => {
+    let sample;
+    if (isText) {
+      const text = values.text.trim();
+      if (!text) return null;
+      sample = fillSampleValues(text, variables);
+    } else {
+      // Selects and checkboxes always have a value; wait for something to be typed
+      const fields = readFields(values.payload, storedFields);
+      const typed = payloadType.fields.some(field => field.type !== 'select' && field.type !== 'checkbox' && fields[field.name]);
+      if (!typed) return null;
+      const built = buildQRPayload(values.payload, fields);
+      if (built.error) return { error: built.error };
+
+      const sampledFields = {};
+      let sampled = false;
+      for (const [name, value] of Object.entries(fields)) {
+        const filled = fillSampleValues(value, variables);
+        sampledFields[name] = filled.text;
+        sampled = sampled || filled.sampled;
+      }
+      const rebuilt = buildQRPayload(values.payload, sampledFields, { keepVariables: false });
+      if (rebuilt.error) return { error: `With the sample values: ${rebuilt.error}` };
+      sample = { text: rebuilt.text, sampled };
+    }
+
+    const error = settingsError(values);
+    if (error) return { error };
+
+    return { src: generateQRCodeImage(sample.text, imageOptions(values)), value: sample.text, format: 'qrcode', sampled: sample.sampled };
+  };
+
+  const getCode = () => {
+    const fields = isText ? null : readFields(values.payload, storedFields);
+
+    let text;
+    if (fields) {
+      const built = buildQRPayload(values.payload, fields);
+      if (built.error) return { error: built.error };
+      text = built.text;
+    } else {
+      text = values.text.trim();
+      if (!text) return { error: 'Please enter text or URL for the QR code.' };
+    }
+
+    const error = settingsError(values);
+    if (error) return { error };
+
+    // The image encodes the @variables as typed until renderVariableCodes fills them in
+    const options = imageOptions(values);
+    let src;
+    try {
+      src = generateQRCodeImage(text, options);
+    } catch (e) {
+      return { error: `Error generating QR code: ${e.message}` };
+    }
+
+    // PNG codes are sized by the img in pixels; SVG ones carry their size in mm
+    return {
+      attributes: {
+        src,
+        alt: `QR Code: ${text}`,
+        ...(options.output === 'png' ? { width: String(options.size), height: String(options.size) } : {}),
+        'data-qrcode-value': text,
+        'data-qrcode-size': String(options.size),
+        'data-qrcode-output': options.output,
+        'data-qrcode-level': options.level,
+        'data-qrcode-margin': String(options.margin),
+        'data-qrcode-color': options.color,
+        'data-qrcode-background': options.background,
+        ...(options.logo ? { 'data-qrcode-logo': options.logo } : {}),
+        ...(fields ? { 'data-qrcode-payload': values.payload, 'data-qrcode-fields': JSON.stringify(fields) } : {})
+      }
+    };
+  };
+
+  const renderField = (field) => {
+    const id = `qrcode-field-${field.name}`;
+    const value = storedFields[field.name] || '';
+    const label = `${field.label}${field.required ? ' *' : ''}`;
+
+    if (field.type === 'checkbox') {
+      return (
+        <div key={field.name} className={styles.field}>
+          <label className={styles.checkbox}>
+            <input
+              type="checkbox"
+              id={id}
+              data-field={field.name}
+              checked={value === 'true'}
+              onChange={(e) => setField(field.name, e.target.checked ? 'true' : '')}
+            />
+            {label}
+          </label>
+        </div>
+      );
+    }
+
+    return (
+      <div key={field.name} className={styles.field}>
+        <label className={styles.label} htmlFor={id}>{label}</label>
+        {field.type === 'select' ? (
+          <select id={id} data-field={field.name} className={styles.select} value={value || field.options[0][0]} onChange={(e) => setField(field.name, e.target.value)}>
+            {field.options.map(([optionValue, optionLabel]) => <option key={optionValue} value={optionValue}>{optionLabel}</option>)}
+          </select>
+        ) : (
+          <VariableInput
+            id={id}
+            data-field={field.name}
+            value={value}
+            onChange={(fieldValue) => setField(field.name, fieldValue)}
+            variables={variables}
+            multiline={field.type === 'textarea'}
+            placeholder={field.placeholder || ''}
+          />
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <CodeDialog
+      title={isEditing ? 'Edit QR Code' : 'Insert QR Code'}
+      isEditing={isEditing}
+      values={values}
+      getPreview={getPreview}
+      getCode={getCode}
+      onInsert={onInsert}
+      onClose={onClose}
+    >
+      <div ref={formRef}>
+        <div className={styles.field}>
+          <label className={styles.label} htmlFor="qrcode-payload">Content:</label>
+          <select id="qrcode-payload" className={styles.select} value={values.payload} onChange={(e) => setValue('payload', e.target.value)}>
+            {Object.entries(QR_PAYLOAD_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+        </div>
+
+        {isText ? (
+          <div className={styles.field}>
+            <label className={styles.label} htmlFor="qrcode-text">
+              Text/URL:{hasVariables && <span className={styles.hint}> (Type @ to insert variables)</span>}
+            </label>
+            <VariableInput
+              id="qrcode-text"
+              value={values.text}
+              onChange={(text) => setValue('text', text)}
+              variables={variables}
+              placeholder={hasVariables ? 'Type @ to insert variables, e.g. @parcel_id' : 'Enter text or URL...'}
+            />
+          </div>
+        ) : (
+          payloadType.fields.map(renderField)
+        )}
+      </div>
+
+      <div className={styles.field}>
+        <label className={styles.label} htmlFor="qrcode-output">Output:</label>
+        <select id="qrcode-output" className={styles.select} value={values.output} onChange={(e) => setOutput(e.target.value)}>
+          <option value="svg">Vector (SVG, sized in mm for print)</option>
+          <option value="png">Bitmap (PNG, sized in pixels)</option>
+        </select>
+      </div>
+
+      <div className={styles.fieldRow}>
+        <div className={styles.field}>
+          <label className={styles.label} htmlFor="qrcode-size">Size ({limits.unit}):</label>
+          <input
+            type="number"
+            id="qrcode-size"
+            className={styles.input}
+            value={values.size}
+            min={limits.min}
+            max={limits.max}
+            step={limits.step}
+            onChange={(e) => setValue('size', e.target.value)}
+          />
+        </div>
+        <div className={styles.field}>
+          <label className={styles.label} htmlFor="qrcode-margin">Quiet zone (modules):</label>
+          <input
+            type="number"
+            id="qrcode-margin"
+            className={styles.input}
+            value={values.margin}
+            min={MARGIN_LIMITS.min}
+            max={MARGIN_LIMITS.max}
+            step="1"
+            onChange={(e) => setValue('margin', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className={styles.field}>
+        <label className={styles.label} htmlFor="qrcode-level">Error correction:</label>
+        <select
+          id="qrcode-level"
+          className={styles.select}
+          value={hasLogo(values) ? 'H' : values.level}
+          disabled={hasLogo(values)}
+          onChange={(e) => setValue('level', e.target.value)}
+        >
+          {Object.entries(QR_ERROR_CORRECTION_LEVELS).map(([level, label]) => <option key={level} value={level}>{level} — {label}</option>)}
+        </select>
+      </div>
+
+      <div className={styles.fieldRow}>
+        <div className={styles.field}>
+          <label className={styles.label} htmlFor="qrcode-color">Color:</label>
+          <input type="color" id="qrcode-color" className={styles.colorInput} value={values.color} onChange={(e) => setValue('color', e.target.value)} />
+        </div>
+        <div className={styles.field}>
+          <label className={styles.label} htmlFor="qrcode-background">Background:</label>
+          <input type="color" id="qrcode-background" className={styles.colorInput} value={values.background} onChange={(e) => setValue('background', e.target.value)} />
+        </div>
+      </div>
+
+      {values.output === 'svg' && (
+        <div className={styles.field}>
+          <label className={styles.label} htmlFor="qrcode-logo">
+            Logo: <span className={styles.hint}>(centered; uses error correction H)</span>
+          </label>
+          <div className={styles.logoRow}>
+            {values.logo && <img className={styles.logoPreview} src={values.logo} alt="" />}
+            <input
+              ref={logoInputRef}
+              type="file"
+              id="qrcode-logo"
+              accept="image/png,image/jpeg,image/svg+xml,image/gif,image/webp"
+              onChange={handleLogoChange}
+            />
+            {values.logo && <button type="button" className={styles.smallButton} onClick={removeLogo}>Remove</button>}
+          </div>
+          {logoError && <div className={styles.error}>{logoError}</div>}
+        </div>
+      )}
+    </CodeDialog>
+  );
+};
+
+export default QRCodeDialog;
@@ -0,0 +1,132 @@
+import React, { useState, useRef, useEffect } from 'react';
+import styles from './CodeDialog.module.css';
+
+/**
+ * Find the @mention being typed before the cursor
+ * @returns {Object|null} { start, matches, index } or null when there is nothing to suggest
+ */
+function findMention(text, cursor, variables) {
+  for (let i = cursor - 1; i >= 0; i--) {
+    if (text[i] === '@') {
+      const search = text.substring(i + 1, cursor).toLowerCase();
+      const matches = variables.filter(variable =>
+        variable.key.toLowerCase().includes(search) ||
+        (variable.label && variable.label.toLowerCase().includes(search))
+      );
+      return matches.length > 0 ? { start: i, matches, index: 0 } : null;
+    }
+    if (/\s/.test(text[i])) break;
+  }
+  return null;
+}
+
+/**
+ * Text field with @variable autocomplete, for barcode and QR code values.
+ * Typing @ lists the matching qrCodeVariables entries: ArrowUp/ArrowDown move
+ * through them, Enter or Tab inserts one, Escape closes the list. Keys the list
+ * handles don't reach the dialog, so Enter and Escape only insert or close it
+ * when the list is closed.
+ */
+const VariableInput = ({ id, value, onChange, variables = [], multiline = false, placeholder, autoFocus = false, autoSelect = false, 'data-field': dataField }) => {
+  const [mention, setMention] = useState(null);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const listId = `${id}-variables`;
+
+  useEffect(() => {
+    if (!autoFocus) return;
+    inputRef.current.focus();
+    if (autoSelect) inputRef.current.select();
+  }, []);
+
+  // Keep the highlighted variable in view
+  useEffect(() => {
+    if (mention) listRef.current?.children[mention.index]?.scrollIntoView({ block: 'nearest' });
+  }, [mention?.index]);
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    setMention(variables.length > 0 ? findMention(e.target.value, e.target.selectionStart, variables) : null);
+  };
+
+  const selectVariable = (variable) => {
+    const input = inputRef.current;
+    const before = value.substring(0, mention.start);
+    const after = value.substring(input.selectionStart);
+    const cursor = before.length + variable.key.length + 1;
+
+    // Set the DOM value first so the cursor can be placed after the variable
+    input.value = `${before}@${variable.key}${after}`;
+    input.setSelectionRange(cursor, cursor);
+    onChange(input.value);
+    setMention(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!mention) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMention(current => ({ ...current, index: Math.min(Math.max(current.index + step, 0), current.matches.length - 1) }));
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      e.stopPropagation();
+      selectVariable(mention.matches[mention.index]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      setMention(null);
+    }
+  };
+
+  const Field = multiline ? 'textarea' : 'input';
+
+  return (
+    <>
+      <Field
+        ref={inputRef}
+        id={id}
+        data-field={dataField}
+        className={multiline ? styles.textarea : styles.input}
+        type={multiline ? undefined : 'text'}
+        rows={multiline ? 3 : undefined}
+        value={value}
+        placeholder={placeholder}
+        autoComplete="off"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={!!mention}
+        aria-controls={mention ? listId : undefined}
+        aria-activedescendant={mention ? `${listId}-${mention.index}` : undefined}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setMention(null)}
+      />
+      {mention && (
+        <ul id={listId} ref={listRef} role="listbox" className={styles.variableList}>
+          {mention.matches.map((variable, index) => (
+            <li
+              key={variable.key}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === mention.index}
+              className={index === mention.index ? `${styles.variableItem} ${styles.variableItemActive}` : styles.variableItem}
+              // Keep the focus in the field so the click can insert at its cursor
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectVariable(variable);
+              }}
+              onMouseEnter={() => setMention(current => ({ ...current, index }))}
+            >
+              <div className={styles.variableKey}>@{variable.key}</div>
+              <div className={styles.variableLabel}>{variable.label || variable.key}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+};
+
+export default VariableInput;
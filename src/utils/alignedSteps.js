@@ -0,0 +1,125 @@
+/**
+ * Step-by-step (multi-row) formulas as rows of cells.
+ *
+ * A formula like  x^2-1 &= (x-1)(x+1) \\ &= 0  is edited as a list of rows,
+ * each split into cells at its alignment points (&), and written back as a
+ * single aligned, cases or gathered environment.
+ */
+
+export const STEP_ENVIRONMENTS = {
+  aligned: { label: 'Aligned', columns: 2 },
+  cases: { label: 'Cases', columns: 2 },
+  // gather itself is a display environment; gathered works inside a formula
+  gathered: { label: 'Gathered', columns: 1 }
+};
+
+const ENVIRONMENT_RE = /\\begin\s*\{(aligned|cases|gather|gathered|align\*?)\}/;
+
+/**
+ * Split at a separator that is outside braces and nested environments
+ * @param {string} latex
+ * @param {RegExp} separatorRe - Sticky regex tried at each position, e.g. /&/y
+ * @returns {Array<string>}
+ */
+function splitTopLevel(latex, separatorRe) {
+  const parts = [];
+  let depth = 0;
+  let envDepth = 0;
+  let start = 0;
+  let i = 0;
+
+  while (i < latex.length) {
+    if (depth === 0 && envDepth === 0) {
+      separatorRe.lastIndex = i;
+      const match = separatorRe.exec(latex);
+      if (match && match[0].length > 0) {
+        parts.push(latex.substring(start, i));
+        i = start = i + match[0].length;
+        continue;
+      }
+    }
+
+    const ch = latex[i];
+    if (ch === '\\') {
+      if (latex.startsWith('\\begin', i)) envDepth++;
+      else if (latex.startsWith('\\end', i)) envDepth--;
+      // Commands and escapes such as \{ and \& are skipped whole
+      const command = /^\\([a-zA-Z]+|[^a-zA-Z])/.exec(latex.substring(i, i + 40));
+      i += command ? command[0].length : 1;
+      continue;
+    }
+    if (ch === '{') depth++;
+    else if (ch === '}') depth--;
+    i++;
+  }
+  parts.push(latex.substring(start));
+  return parts;
+}
+
+const splitRows = (body) => splitTopLevel(body, /\\\\(\s*\[[^\]]*\])?/y);
+const splitCells = (row) => splitTopLevel(row, /&/y);
+
+/**
+ * Read a formula that is one step environment, optionally after a prefix
+ * such as f(x)= before \begin{cases}
+ * @param {string} latex - Formula source
+ * @returns {Object|null} { before, environment, rows: Array<Array<string>> } or null if the formula is anything else.
+ *   Row spacing such as \\[1em] is not kept.
+ */
+export function parseAlignedSteps(latex) {
+  const source = (latex || '').trim();
+  const begin = ENVIRONMENT_RE.exec(source);
+  if (!begin) return null;
+
+  const name = begin[1];
+  const endTag = `\\end{${name}}`;
+  if (!source.endsWith(endTag)) return null;
+
+  const body = source.substring(begin.index + begin[0].length, source.length - endTag.length);
+  // A second environment of the same kind at the top level isn't one step list
+  if (splitTopLevel(body, /\\end\b/y).length > 1) return null;
+
+  const environment = name === 'cases' ? 'cases' : name.startsWith('gather') ? 'gathered' : 'aligned';
+  const rows = splitRows(body)
+    .map(row => splitCells(row).map(cell => cell.trim()))
+    .filter(cells => cells.some(cell => cell !== ''));
+
+  return { before: source.substring(0, begin.index).trim(), environment, rows };
+}
+
+/**
+ * Rows for a formula that isn't a step environment yet: a single row, split
+ * at its first = so the steps can be aligned on it
+ * @param {string} latex - Formula source
+ * @param {string} environment - Key of STEP_ENVIRONMENTS
+ * @returns {Array<Array<string>>}
+ */
+export function startAlignedSteps(latex, environment = 'aligned') {
+  const source = (latex || '').trim();
+  if (STEP_ENVIRONMENTS[environment].columns === 1) return [[source]];
+
+  const equals = splitTopLevel(source, /=/y);
+  if (environment === 'aligned' && equals.length > 1) {
+    const [left, ...right] = equals;
+    return [[left.trim(), `=${right.join('=')}`.trim()]];
+  }
+  return [[source, '']];
+}
+
+/**
+ * Write rows back as one environment
+ * @param {Object} steps - { before, environment, rows } as returned by parseAlignedSteps
+ * @returns {string} e.g. \begin{aligned}x&=1\\y&=2\end{aligned}
+ */
+export function serializeAlignedSteps({ before = '', environment = 'aligned', rows }) {
+  const body = rows
+    .map(cells => {
+      // Trailing empty cells add nothing
+      const used = [...cells];
+      while (used.length > 1 && used[used.length - 1] === '') used.pop();
+      return used.join('&');
+    })
+    .filter(row => row !== '')
+    .join('\\\\');
+  return `${before}\\begin{${environment}}${body}\\end{${environment}}`;
+}
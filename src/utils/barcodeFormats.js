@@ -0,0 +1,261 @@
+/**
+ * Barcode symbologies offered by the barcode dialog, with per-format
+ * validation and check digits.
+ *
+ * Every JsBarcode format is listed. EAN, UPC and ITF-14 values may be typed
+ * without their check digit (it is calculated and added) or with it (it is
+ * verified). Values containing @variables are only checked once the variables
+ * have been filled in.
+ */
+
+const digits = (count) => new RegExp(`^\\d{${count}}$`);
+
+/**
+ * GS1 mod-10 check digit, as used by EAN-13, EAN-8, UPC-A and ITF-14
+ * @param {string} payload - The digits without the check digit
+ * @returns {string} A single digit
+ */
+export function gs1CheckDigit(payload) {
+  let sum = 0;
+  // Weights 3, 1, 3, ... from the rightmost payload digit
+  for (let i = 0; i < payload.length; i++) {
+    const digit = +payload[payload.length - 1 - i];
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * UPC-E to the UPC-A payload (11 digits, without check digit) it abbreviates
+ * @param {string} numberSystem - '0' or '1'
+ * @param {string} middle - The 6 UPC-E digits
+ */
+function expandUpcE(numberSystem, middle) {
+  const [d1, d2, d3, d4, d5, last] = middle;
+  switch (last) {
+    case '0': case '1': case '2':
+      return `${numberSystem}${d1}${d2}${last}0000${d3}${d4}${d5}`;
+    case '3':
+      return `${numberSystem}${d1}${d2}${d3}00000${d4}${d5}`;
+    case '4':
+      return `${numberSystem}${d1}${d2}${d3}${d4}00000${d5}`;
+    default:
+      return `${numberSystem}${d1}${d2}${d3}${d4}${d5}0000${last}`;
+  }
+}
+
+/**
+ * Check digit handling for fixed-length GS1 codes: with `length - 1` digits
+ * the check digit is added, with `length` digits it is verified
+ */
+const gs1Format = (name, length) => (value) => {
+  if (digits(length - 1).test(value)) {
+    const check = gs1CheckDigit(value);
+    return { value: value + check, checkDigit: check, checkDigitAdded: true };
+  }
+  if (digits(length).test(value)) {
+    const check = gs1CheckDigit(value.slice(0, -1));
+    if (value[length - 1] !== check) {
+      return { error: `Wrong check digit: the last digit of this ${name} should be ${check}.` };
+    }
+    return { value, checkDigit: check, checkDigitAdded: false };
+  }
+  return { error: `${name} needs ${length - 1} digits (the check digit is added) or ${length} digits.` };
+};
+
+const pattern = (re, error) => (value) => (re.test(value) ? { value } : { error });
+
+/**
+ * Formats by JsBarcode name, in the order the dialog lists them.
+ * Each is { label, group, help, example, prepare(value) → { value, checkDigit, checkDigitAdded } | { error } }.
+ */
+export const BARCODE_FORMATS = {
+  CODE128: {
+    label: 'Code 128 (auto)',
+    group: 'General purpose',
+    help: 'Any ASCII text. The densest general-purpose barcode; switches character sets automatically.',
+    example: 'ABC-12345',
+    prepare: pattern(/^[\x00-\x7f]+$/, 'Code 128 only supports ASCII characters.')
+  },
+  CODE128A: {
+    label: 'Code 128 A',
+    group: 'General purpose',
+    help: 'Uppercase letters, digits, punctuation and control characters.',
+    example: 'ABC-123',
+    prepare: pattern(/^[\x00-\x5f]+$/, 'Code 128 A supports uppercase letters, digits, punctuation and control characters only.')
+  },
+  CODE128B: {
+    label: 'Code 128 B',
+    group: 'General purpose',
+    help: 'Upper- and lowercase letters, digits and punctuation.',
+    example: 'Abc-123',
+    prepare: pattern(/^[\x20-\x7f]+$/, 'Code 128 B supports printable ASCII characters only.')
+  },
+  CODE128C: {
+    label: 'Code 128 C',
+    group: 'General purpose',
+    help: 'Digits only, an even number of them (encoded in pairs).',
+    example: '12345678',
+    prepare: pattern(/^(\d{2})+$/, 'Code 128 C needs an even number of digits.')
+  },
+  CODE39: {
+    label: 'Code 39',
+    group: 'General purpose',
+    help: 'A-Z, 0-9 and - . space $ / + %. Lowercase letters are printed as uppercase.',
+    example: 'CODE-39',
+    prepare: pattern(/^[A-Z0-9\-. $/+%]+$/i, 'Code 39 only supports: A-Z, 0-9, -, ., space, $, /, +, %')
+  },
+  CODE93: {
+    label: 'Code 93',
+    group: 'General purpose',
+    help: 'A-Z, 0-9 and - . space $ / + %. More compact than Code 39.',
+    example: 'CODE-93',
+    prepare: pattern(/^[A-Z0-9\-. $/+%]+$/, 'Code 93 only supports: A-Z, 0-9, -, ., space, $, /, +, %')
+  },
+  CODE93FullASCII: {
+    label: 'Code 93 (full ASCII)',
+    group: 'General purpose',
+    help: 'Any ASCII text, in Code 93.',
+    example: 'Code-93',
+    prepare: pattern(/^[\x00-\x7f]+$/, 'Code 93 full ASCII only supports ASCII characters.')
+  },
+  EAN13: {
+    label: 'EAN-13',
+    group: 'Retail (EAN / UPC)',
+    help: '12 digits, the check digit is added; or all 13 digits, the check digit is verified.',
+    example: '590123412345',
+    prepare: gs1Format('EAN-13', 13)
+  },
+  EAN8: {
+    label: 'EAN-8',
+    group: 'Retail (EAN / UPC)',
+    help: '7 digits, the check digit is added; or all 8 digits, the check digit is verified.',
+    example: '9638507',
+    prepare: gs1Format('EAN-8', 8)
+  },
+  UPC: {
+    label: 'UPC-A',
+    group: 'Retail (EAN / UPC)',
+    help: '11 digits, the check digit is added; or all 12 digits, the check digit is verified.',
+    example: '12345678999',
+    prepare: gs1Format('UPC-A', 12)
+  },
+  UPCE: {
+    label: 'UPC-E',
+    group: 'Retail (EAN / UPC)',
+    help: '6 digits; or the number system (0 or 1) and 6 digits, the check digit is added; or all 8 digits, the check digit is verified.',
+    example: '01245714',
+    prepare(value) {
+      if (digits(6).test(value)) return { value };
+      if (!/^[01]\d{6,7}$/.test(value)) {
+        return { error: 'UPC-E needs 6 digits, or 0 or 1 followed by 6 digits and optionally the check digit.' };
+      }
+      const check = gs1CheckDigit(expandUpcE(value[0], value.substring(1, 7)));
+      if (value.length === 7) return { value: value + check, checkDigit: check, checkDigitAdded: true };
+      if (value[7] !== check) {
+        return { error: `Wrong check digit: the last digit of this UPC-E should be ${check}.` };
+      }
+      return { value, checkDigit: check, checkDigitAdded: false };
+    }
+  },
+  EAN5: {
+    label: 'EAN-5 (add-on)',
+    group: 'Retail (EAN / UPC)',
+    help: '5 digits, e.g. a book price printed beside an EAN-13.',
+    example: '52495',
+    prepare: pattern(digits(5), 'EAN-5 needs exactly 5 digits.')
+  },
+  EAN2: {
+    label: 'EAN-2 (add-on)',
+    group: 'Retail (EAN / UPC)',
+    help: '2 digits, e.g. a magazine issue number.',
+    example: '05',
+    prepare: pattern(digits(2), 'EAN-2 needs exactly 2 digits.')
+  },
+  ITF14: {
+    label: 'ITF-14',
+    group: 'Logistics',
+    help: 'Carton code (GTIN-14): 13 digits, the check digit is added; or all 14 digits, the check digit is verified.',
+    example: '1540014128876',
+    prepare: gs1Format('ITF-14', 14)
+  },
+  ITF: {
+    label: 'ITF (Interleaved 2 of 5)',
+    group: 'Logistics',
+    help: 'Digits only, an even number of them.',
+    example: '123456',
+    prepare: pattern(/^(\d{2})+$/, 'ITF needs an even number of digits; add a leading 0 if needed.')
+  },
+  codabar: {
+    label: 'Codabar',
+    group: 'Other',
+    help: 'Digits and - $ : . / +, optionally between start and stop letters A-D (A...A is used otherwise). Libraries and blood banks.',
+    example: 'A40156B',
+    prepare: pattern(/^([A-D][0-9\-$:./+]+[A-D]|[0-9\-$:./+]+)$/i, 'Codabar supports digits and - $ : . / +, with both or neither of the start and stop letters A-D.')
+  },
+  MSI: {
+    label: 'MSI Plessey',
+    group: 'Other',
+    help: 'Digits only, without a check digit.',
+    example: '1234',
+    prepare: pattern(/^\d+$/, 'MSI needs digits only.')
+  },
+  MSI10: {
+    label: 'MSI (mod 10 check)',
+    group: 'Other',
+    help: 'Digits only; a mod 10 check digit is added to the barcode.',
+    example: '1234',
+    prepare: pattern(/^\d+$/, 'MSI needs digits only.')
+  },
+  MSI11: {
+    label: 'MSI (mod 11 check)',
+    group: 'Other',
+    help: 'Digits only; a mod 11 check digit is added to the barcode.',
+    example: '1234',
+    prepare: pattern(/^\d+$/, 'MSI needs digits only.')
+  },
+  MSI1010: {
+    label: 'MSI (mod 10 + mod 10)',
+    group: 'Other',
+    help: 'Digits only; two mod 10 check digits are added to the barcode.',
+    example: '1234',
+    prepare: pattern(/^\d+$/, 'MSI needs digits only.')
+  },
+  MSI1110: {
+    label: 'MSI (mod 11 + mod 10)',
+    group: 'Other',
+    help: 'Digits only; mod 11 and mod 10 check digits are added to the barcode.',
+    example: '1234',
+    prepare: pattern(/^\d+$/, 'MSI needs digits only.')
+  },
+  pharmacode: {
+    label: 'Pharmacode',
+    group: 'Other',
+    help: 'A whole number from 3 to 131070. Pharmaceutical packaging control.',
+    example: '1234',
+    prepare(value) {
+      const number = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+      return number >= 3 && number <= 131070
+        ? { value: String(number) }
+        : { error: 'Pharmacode needs a whole number from 3 to 131070.' };
+    }
+  }
+};
+
+export const DEFAULT_BARCODE_FORMAT = 'CODE128';
+
+/**
+ * Check a value for a format and complete its check digit
+ * @param {string} value - Value as typed (values with @variables are not checked)
+ * @param {string} format - Key of BARCODE_FORMATS
+ * @returns {Object} { value, checkDigit, checkDigitAdded } to encode, or { error } with a message for the user
+ */
+export function prepareBarcodeValue(value, format = DEFAULT_BARCODE_FORMAT) {
+  const text = (value || '').trim();
+  if (!text) return { error: 'Please enter a value for the barcode.' };
+  if (text.includes('@')) return { value: text };
+
+  const barcodeFormat = BARCODE_FORMATS[format];
+  if (!barcodeFormat) return { error: `Unknown barcode format: ${format}` };
+  return barcodeFormat.prepare(text);
+}
@@ -0,0 +1,372 @@
+/**
+ * Barcode and QR code images for the editor.
+ *
+ * 'svg' output is vector: an image/svg+xml data URL sized in millimetres, with
+ * crisp (non-antialiased) module edges, so codes print sharp and scan at small
+ * sizes. 'png' is the older bitmap output, sized in pixels.
+ */
+
+import JsBarcode from 'jsbarcode';
+import * as QRCode from 'qrcode';
+import { DEFAULT_BARCODE_FORMAT } from './barcodeFormats.js';
+
+export const CODE_OUTPUTS = ['svg', 'png'];
+export const DEFAULT_CODE_OUTPUT = 'svg';
+
+// Defaults per output: SVG sizes are millimetres, PNG sizes pixels
+export const BARCODE_DEFAULTS = {
+  svg: { height: 15, moduleWidth: 0.33 },
+  png: { height: 50 }
+};
+export const QRCODE_DEFAULTS = {
+  svg: { size: 20 },
+  png: { size: 15 }
+};
+
+// Quiet zone around an SVG barcode, in modules (narrow bars)
+const BARCODE_QUIET_ZONE = 10;
+// Height of the human-readable text under an SVG barcode, in mm
+const BARCODE_TEXT_HEIGHT = 2.5;
+
+// Width of a monospace digit, in em, for laying out barcode text
+const MONOSPACE_CHAR_WIDTH = 0.6;
+const MM_PER_PIXEL = 25.4 / 96;
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * SVG markup as an <img> source
+ * @param {string} svg
+ * @returns {string}
+ */
+export function svgToDataUrl(svg) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Give an SVG a physical size and crisp edges
+ * @param {string} svg - Markup with a viewBox
+ * @param {number} width - mm
+ * @param {number} height - mm
+ */
+function sizeSvg(svg, width, height) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return svg.replace(/<svg\b[^>]*>/, (tag) => tag
+    .replace(/\s(?:width|height|x|y|shape-rendering)="[^"]*"/g, '')
+    .replace(/^<svg/, `<svg width="${round(width)}mm" height="${round(height)}mm" shape-rendering="crispEdges"`));
+}
+
+/**
+ * SVG markup for JsBarcode encodings, laid out like its SVG renderer. Written
+ * as a string so it works without a DOM (in Node), with text widths estimated
+ * for a monospace font.
+ * @param {Array<Object>} encodings - From JsBarcode's object renderer, each { data, text, options }
+ */
+function encodingsToSvg(encodings) {
+  const { marginLeft, marginRight, background } = encodings[0].options;
+  const layouts = encodings.map(({ data, text = '', options }) => {
+    const showText = options.displayValue && text.length > 0;
+    const textWidth = options.displayValue ? text.length * options.fontSize * MONOSPACE_CHAR_WIDTH : 0;
+    const barsWidth = data.length * options.width;
+    return {
+      width: Math.ceil(Math.max(textWidth, barsWidth)),
+      height: options.height + (showText ? options.fontSize + options.textMargin : 0) + options.marginTop + options.marginBottom,
+      padding: options.displayValue && barsWidth < textWidth ? Math.floor((textWidth - barsWidth) / 2) : 0
+    };
+  });
+  const width = layouts.reduce((total, layout) => total + layout.width, 0) + marginLeft + marginRight;
+  const height = Math.max(...layouts.map(layout => layout.height));
+
+  let x = marginLeft;
+  const groups = encodings.map(({ data, text = '', options }, i) => {
+    const { width: encodingWidth, padding } = layouts[i];
+    const parts = [];
+    // One rect per run of bars
+    for (const run of data.matchAll(/1+/g)) {
+      parts.push(`<rect x="${run.index * options.width + padding}" y="0" width="${run[0].length * options.width}" height="${options.height}"/>`);
+    }
+    if (options.displayValue && text) {
+      const [textX, anchor] = options.textAlign === 'left' || padding > 0 ? [0, 'start']
+        : options.textAlign === 'right' ? [encodingWidth - 1, 'end']
+          : [encodingWidth / 2, 'middle'];
+      parts.push(`<text font-family="${escapeXml(options.font)}" font-size="${options.fontSize}" text-anchor="${anchor}" x="${textX}" y="${options.height + options.textMargin + options.fontSize}">${escapeXml(text)}</text>`);
+    }
+    const group = `<g transform="translate(${x}, ${options.marginTop})" fill="${options.lineColor}">${parts.join('')}</g>`;
+    x += encodingWidth;
+    return group;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" viewBox="0 0 ${width} ${height}">` +
+    `<rect x="0" y="0" width="${width}" height="${height}" fill="${background}"/>${groups.join('')}</svg>`;
+}
+
+/**
+ * Barcode as SVG markup. Works in the browser and in Node.
+ * @param {string} text - Value to encode
+ * @param {Object} [options]
+ * @param {string} [options.format='CODE128'] - JsBarcode format
+ * @param {number} [options.moduleWidth=0.33] - Width of the narrowest bar, mm
+ * @param {number} [options.height=15] - Bar height, mm
+ * @param {boolean} [options.displayValue=true] - Print the value under the bars
+ * @returns {string}
+ * @throws If the value can't be encoded in the format
+ */
+export function generateBarcodeSvg(text, options = {}) {
+  const { format = 'CODE128', moduleWidth = BARCODE_DEFAULTS.svg.moduleWidth, height = BARCODE_DEFAULTS.svg.height, displayValue = true } = options;
+
+  // Encoded with one unit per module, then scaled to millimetres
+  const result = {};
+  let valid = true;
+  JsBarcode(result, text, {
+    format,
+    width: 1,
+    height: height / moduleWidth,
+    displayValue,
+    fontSize: BARCODE_TEXT_HEIGHT / moduleWidth,
+    textMargin: 1,
+    margin: BARCODE_QUIET_ZONE,
+    valid: (isValid) => { valid = isValid; }
+  });
+  if (!valid || !result.encodings) {
+    throw new Error(`"${text}" is not a valid input for ${format}`);
+  }
+
+  const svg = encodingsToSvg(result.encodings);
+  const [, , width, totalHeight] = svg.match(/viewBox="([^"]*)"/)[1].split(' ').map(Number);
+  return sizeSvg(svg, width * moduleWidth, totalHeight * moduleWidth);
+}
+
+/**
+ * Barcode as an image source
+ * @param {string} text - Value to encode
+ * @param {Object} [options] - { output, format, height, displayValue }, plus moduleWidth for 'svg'.
+ *   height is mm for 'svg' and pixels for 'png'. Without a canvas (in Node), 'png'
+ *   barcodes are drawn as SVG of the same size.
+ * @returns {string} Data URL
+ * @throws If the value can't be encoded in the format
+ */
+export function generateBarcodeImage(text, options = {}) {
+  const { output = DEFAULT_CODE_OUTPUT } = options;
+  if (output === 'svg') {
+    return svgToDataUrl(generateBarcodeSvg(text, options));
+  }
+  if (typeof document === 'undefined') {
+    const { width = 2, height = BARCODE_DEFAULTS.png.height } = options;
+    return svgToDataUrl(generateBarcodeSvg(text, { ...options, moduleWidth: width * MM_PER_PIXEL, height: height * MM_PER_PIXEL }));
+  }
+
+  const {
+    format = 'CODE128',
+    width = 2,
+    height = BARCODE_DEFAULTS.png.height,
+    displayValue = true,
+    fontSize = 12,
+    margin = 5
+  } = options;
+
+  // Create a canvas element
+  const canvas = document.createElement('canvas');
+  JsBarcode(canvas, text, {
+    format,
+    width,
+    height,
+    displayValue,
+    fontSize,
+    margin,
+    textMargin: 2
+  });
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Barcode image for the editor, whose value may contain @variables. A value
+ * that can't be encoded until its variables are filled in gets a placeholder
+ * barcode; renderVariableCodes draws the real one.
+ * @param {string} text
+ * @param {Object} [options] - As for generateBarcodeImage
+ * @returns {string} Data URL
+ * @throws If a value without variables can't be encoded in the format
+ */
+export function generateBarcodeTemplateImage(text, options = {}) {
+  try {
+    return generateBarcodeImage(text, options);
+  } catch (error) {
+    if (!text.includes('@')) throw error;
+    return generateBarcodeImage('PLACEHOLDER', { ...options, format: DEFAULT_BARCODE_FORMAT });
+  }
+}
+
+/**
+ * Image options stored on a barcode image element (model element or DOM img).
+ * Barcodes without data-barcode-output are older PNG ones, sized in pixels.
+ * @param {Function} getAttribute - (name) => value
+ * @returns {Object} Options for generateBarcodeImage
+ */
+export function readBarcodeOptions(getAttribute) {
+  const output = getAttribute('data-barcode-output') || 'png';
+  const defaults = BARCODE_DEFAULTS[output] || BARCODE_DEFAULTS.png;
+  return {
+    output,
+    format: getAttribute('data-barcode-format') || DEFAULT_BARCODE_FORMAT,
+    height: parseFloat(getAttribute('data-barcode-height')) || defaults.height,
+    moduleWidth: parseFloat(getAttribute('data-barcode-module')) || defaults.moduleWidth,
+    displayValue: getAttribute('data-barcode-showtext') !== 'false'
+  };
+}
+
+/**
+ * QR code error-correction levels, by how much of the code can be damaged
+ * (or covered by a logo) and still scan
+ */
+export const QR_ERROR_CORRECTION_LEVELS = {
+  L: 'Low (7%)',
+  M: 'Medium (15%)',
+  Q: 'Quartile (25%)',
+  H: 'High (30%)'
+};
+
+// Style of new QR codes from the dialog. The generators default to the older
+// look instead (no quiet zone), so stored QR codes regenerate unchanged.
+export const QRCODE_STYLE_DEFAULTS = {
+  level: 'M',
+  margin: 4,
+  color: '#000000',
+  background: '#ffffff'
+};
+
+// Side of a logo overlay as a fraction of the code, within what level H recovers
+const QR_LOGO_SCALE = 0.22;
+
+/**
+ * qrcode library options for the shared QR code options
+ */
+function qrCodeRenderOptions(options) {
+  const { level = 'M', margin = 0, color = '#000000', background = '#ffffff', logo } = options;
+  return {
+    // A logo hides modules, which only level H reliably recovers
+    errorCorrectionLevel: logo ? 'H' : level,
+    margin,
+    color: {
+      dark: color,
+      light: background
+    }
+  };
+}
+
+/**
+ * Center a logo on QR code markup, on a background-colored square
+ * @param {string} svg - qrcode library markup, one viewBox unit per module
+ * @param {string} logo - Image URL (normally a data URL)
+ * @param {Object} options - { margin, background }
+ */
+function addQRCodeLogo(svg, logo, { margin = 0, background = '#ffffff' }) {
+  const side = Number(svg.match(/viewBox="0 0 (\d+)/)[1]);
+  const modules = side - 2 * margin;
+  const logoSide = Math.ceil(modules * QR_LOGO_SCALE);
+  const offset = (side - logoSide) / 2;
+  const href = logo.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  const overlay = `<rect x="${offset - 0.5}" y="${offset - 0.5}" width="${logoSide + 1}" height="${logoSide + 1}" fill="${background}"/>` +
+    `<image href="${href}" x="${offset}" y="${offset}" width="${logoSide}" height="${logoSide}" preserveAspectRatio="xMidYMid meet"/>`;
+  return svg.replace(/<\/svg>\s*$/, `${overlay}</svg>`);
+}
+
+/**
+ * QR code as SVG markup
+ * @param {string} text - Value to encode
+ * @param {Object} [options]
+ * @param {number} [options.size=20] - Width and height including the quiet zone, mm
+ * @param {string} [options.level='M'] - Error-correction level, see QR_ERROR_CORRECTION_LEVELS
+ * @param {number} [options.margin=0] - Quiet zone, in modules
+ * @param {string} [options.color='#000000'] - Module color
+ * @param {string} [options.background='#ffffff'] - Background color
+ * @param {string} [options.logo] - Image URL centered on the code; forces level H
+ * @returns {string}
+ * @throws If the value doesn't fit in a QR code
+ */
+export function generateQRCodeSvg(text, options = {}) {
+  const { size = QRCODE_DEFAULTS.svg.size, logo } = options;
+
+  // The callback form renders synchronously, which post-fixers require
+  let svg = null;
+  let failure = null;
+  QRCode.toString(text, {
+    type: 'svg',
+    ...qrCodeRenderOptions(options)
+  }, (error, markup) => {
+    failure = error;
+    svg = markup;
+  });
+  if (failure) throw failure;
+
+  if (logo) svg = addQRCodeLogo(svg, logo, options);
+  return sizeSvg(svg, size, size);
+}
+
+/**
+ * QR code as an image source
+ * @param {string} text - Value to encode
+ * @param {Object} [options] - { output, size } and the style options of generateQRCodeSvg.
+ *   size is mm for 'svg' and pixels for 'png'. Logos are only drawn on 'svg' QR codes.
+ * @returns {string} Data URL
+ * @throws If the value doesn't fit in a QR code
+ */
+export function generateQRCodeImage(text, options = {}) {
+  const { output = DEFAULT_CODE_OUTPUT } = options;
+  if (output === 'svg') {
+    return svgToDataUrl(generateQRCodeSvg(text, options));
+  }
+
+  const { size = QRCODE_DEFAULTS.png.size } = options;
+  let dataUrl = null;
+  let failure = null;
+  QRCode.toDataURL(text, {
+    width: size,
+    ...qrCodeRenderOptions({ ...options, logo: null })
+  }, (error, url) => {
+    failure = error;
+    dataUrl = url;
+  });
+  if (failure) throw failure;
+  return dataUrl;
+}
+
+/**
+ * Image options stored on a QR code image element (model element or DOM img).
+ * QR codes without data-qrcode-output are older PNG ones, sized in pixels;
+ * without data-qrcode-margin they have no quiet zone.
+ * @param {Function} getAttribute - (name) => value
+ * @returns {Object} Options for generateQRCodeImage
+ */
+export function readQRCodeOptions(getAttribute) {
+  const output = getAttribute('data-qrcode-output') || 'png';
+  const size = parseFloat(getAttribute('data-qrcode-size'));
+  const margin = parseInt(getAttribute('data-qrcode-margin'), 10);
+  const level = getAttribute('data-qrcode-level');
+  return {
+    output,
+    size: size > 0 ? size : (QRCODE_DEFAULTS[output] || QRCODE_DEFAULTS.png).size,
+    level: QR_ERROR_CORRECTION_LEVELS[level] ? level : 'M',
+    margin: margin >= 0 ? margin : 0,
+    color: getAttribute('data-qrcode-color') || QRCODE_STYLE_DEFAULTS.color,
+    background: getAttribute('data-qrcode-background') || QRCODE_STYLE_DEFAULTS.background,
+    logo: getAttribute('data-qrcode-logo') || null
+  };
+}
+
+/**
+ * generateQRCodeImage for callers that can wait, such as renderVariableCodes:
+ * in Node the qrcode library only draws PNGs asynchronously
+ * @param {string} text - Value to encode
+ * @param {Object} [options] - As for generateQRCodeImage
+ * @returns {Promise<string>} Data URL
+ */
+export async function generateQRCodeImageAsync(text, options = {}) {
+  const { output = DEFAULT_CODE_OUTPUT, size = QRCODE_DEFAULTS.png.size } = options;
+  if (output === 'svg') {
+    return generateQRCodeImage(text, options);
+  }
+  return QRCode.toDataURL(text, {
+    width: size,
+    ...qrCodeRenderOptions({ ...options, logo: null })
+  });
+}
@@ -0,0 +1,175 @@
+/**
+ * Scan-back check for generated barcodes and QR codes.
+ *
+ * The image is decoded with ZXing, so the dialogs can warn when a code won't
+ * scan at its size, or scans as something other than what was typed. SVG
+ * codes are drawn at print resolutions; PNG ones are checked pixel for pixel,
+ * as they print. decodeLuminance runs anywhere; verifyCodeImage
+ * needs a browser canvas.
+ */
+
+import {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  Exception,
+  HybridBinarizer,
+  MultiFormatReader,
+  RGBLuminanceSource
+} from '@zxing/library';
+
+// Resolutions SVG images are decoded at, in pixels per mm (about 200, 250 and
+// 300 dpi). Near the limit, antialiasing makes decoding at any one resolution
+// hit-and-miss, so a code is readable if any of them decodes it.
+const SCAN_PIXELS_PER_MM = [8, 10, 12];
+
+// White border drawn around the image, in pixels
+const SCAN_PADDING = 16;
+
+// JsBarcode formats ZXing can read back. UPC-E, Codabar, MSI, Pharmacode and
+// the EAN add-ons aren't read reliably and are not checked.
+const ZXING_FORMATS = {
+  CODE128: BarcodeFormat.CODE_128,
+  CODE128A: BarcodeFormat.CODE_128,
+  CODE128B: BarcodeFormat.CODE_128,
+  CODE128C: BarcodeFormat.CODE_128,
+  CODE39: BarcodeFormat.CODE_39,
+  CODE93: BarcodeFormat.CODE_93,
+  CODE93FullASCII: BarcodeFormat.CODE_93,
+  EAN13: BarcodeFormat.EAN_13,
+  EAN8: BarcodeFormat.EAN_8,
+  UPC: BarcodeFormat.UPC_A,
+  ITF14: BarcodeFormat.ITF,
+  ITF: BarcodeFormat.ITF,
+  qrcode: BarcodeFormat.QR_CODE
+};
+
+// Code 39 prints lowercase letters as uppercase
+const normalizeDecoded = {
+  CODE39: (value) => value.toUpperCase()
+};
+
+/**
+ * Whether codes of a format can be checked
+ * @param {string} format - JsBarcode format, or 'qrcode'
+ * @returns {boolean}
+ */
+export function canVerifyCode(format) {
+  return Object.prototype.hasOwnProperty.call(ZXING_FORMATS, format);
+}
+
+/**
+ * Decode a grayscale image
+ * @param {Uint8ClampedArray} luminance - One byte per pixel, row by row
+ * @param {number} width
+ * @param {number} height
+ * @param {string} format - JsBarcode format, or 'qrcode'
+ * @returns {string|null} The decoded text, or null if no code was found
+ */
+export function decodeLuminance(luminance, width, height, format) {
+  const reader = new MultiFormatReader();
+  const hints = new Map([
+    [DecodeHintType.POSSIBLE_FORMATS, [ZXING_FORMATS[format]]],
+    [DecodeHintType.TRY_HARDER, true]
+  ]);
+  const bitmap = new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(luminance, width, height)));
+  try {
+    return reader.decode(bitmap, hints).getText();
+  } catch (error) {
+    if (error instanceof Exception) return null;
+    throw error;
+  }
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('The image could not be loaded.'));
+    image.src = src;
+  });
+}
+
+/**
+ * Pixel sizes to decode a code image at. SVG codes carry their printed size
+ * in mm and are drawn at each scan resolution. PNG codes are decoded at their
+ * own size: scaling them up would smooth over modules too small to print.
+ */
+function scanSizes(src, image) {
+  if (src.startsWith('data:image/svg+xml')) {
+    const svg = decodeURIComponent(src.substring(src.indexOf(',') + 1));
+    const width = svg.match(/<svg\b[^>]*\swidth="([\d.]+)mm"/);
+    const height = svg.match(/<svg\b[^>]*\sheight="([\d.]+)mm"/);
+    if (width && height) {
+      return SCAN_PIXELS_PER_MM.map(pixelsPerMm => ({
+        width: Math.round(parseFloat(width[1]) * pixelsPerMm),
+        height: Math.round(parseFloat(height[1]) * pixelsPerMm)
+      }));
+    }
+  }
+  return [{ width: image.naturalWidth, height: image.naturalHeight }];
+}
+
+/**
+ * Draw an image on white and return its luminance
+ */
+function rasterize(image, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width + SCAN_PADDING * 2;
+  canvas.height = height + SCAN_PADDING * 2;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, SCAN_PADDING, SCAN_PADDING, width, height);
+
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+  const luminance = new Uint8ClampedArray(canvas.width * canvas.height);
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return { luminance, width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Decode a generated code image and compare it with the value it should hold
+ * @param {string} src - Image data URL, as made by codeImages
+ * @param {string} expected - The encoded value (after check digits are added)
+ * @param {string} format - JsBarcode format, or 'qrcode'
+ * @returns {Promise<Object>} { status, message, decoded? } — status is 'ok', 'mismatch',
+ *   'unreadable', 'unsupported' (the format can't be checked) or 'error'
+ */
+export async function verifyCodeImage(src, expected, format) {
+  if (!canVerifyCode(format)) {
+    return { status: 'unsupported', message: 'This barcode type can\'t be checked here; test a printed sample with a scanner.' };
+  }
+
+  let image;
+  try {
+    image = await loadImage(src);
+  } catch (error) {
+    return { status: 'error', message: error.message };
+  }
+
+  const sizes = scanSizes(src, image);
+  const normalize = normalizeDecoded[format] || ((value) => value);
+  let mismatch = null;
+
+  try {
+    for (const size of sizes) {
+      const raster = rasterize(image, size.width, size.height);
+      const decoded = decodeLuminance(raster.luminance, raster.width, raster.height, format);
+      if (decoded === null) continue;
+      if (normalize(decoded) === normalize(expected)) {
+        return { status: 'ok', decoded, message: `Checked: scans as "${decoded}".` };
+      }
+      mismatch = decoded;
+    }
+  } catch (error) {
+    return { status: 'error', message: `The code could not be checked: ${error.message || error}` };
+  }
+
+  if (mismatch !== null) {
+    return { status: 'mismatch', decoded: mismatch, message: `The code scans as "${mismatch}" instead of "${expected}".` };
+  }
+  return { status: 'unreadable', message: 'The code could not be read at this size. Try making it larger.' };
+}
@@ -0,0 +1,53 @@
+/**
+ * Attribute helpers for the string-based HTML processing in prerenderMath and
+ * variableCodes, which run in Node without a DOM.
+ */
+
+const ATTRIBUTE_RE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+export function escapeAttribute(text) {
+  return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Attributes of an opening tag, by lowercase name, with entities decoded
+ * @param {string} attributeText - The tag without its name and brackets
+ * @returns {Object}
+ */
+export function parseAttributes(attributeText) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted, unquoted] of attributeText.matchAll(ATTRIBUTE_RE)) {
+    attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Set an attribute on an opening tag, replacing its current value if any
+ * @param {string} openTag - e.g. '<img src="..." alt="...">'
+ * @param {string} name
+ * @param {string} value - Unescaped
+ * @returns {string}
+ */
+export function setTagAttribute(openTag, name, value) {
+  const attribute = `${name}="${escapeAttribute(value)}"`;
+  const nameEnd = openTag.match(/^<[^\s/>]+/)[0].length;
+  for (const match of openTag.substring(nameEnd).matchAll(ATTRIBUTE_RE)) {
+    if (match[1].toLowerCase() !== name.toLowerCase()) continue;
+    const start = nameEnd + match.index;
+    return openTag.substring(0, start) + attribute + openTag.substring(start + match[0].length);
+  }
+  return openTag.replace(/\s*(\/?)>$/, (match, slash) => ` ${attribute}${slash ? ' /' : ''}>`);
+}
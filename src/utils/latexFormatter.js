@@ -2,7 +2,8 @@ export function formatLatexForEditor(latex) {
   if (!latex) return '';
   
   // Add newline and indent after \begin{...}
-  let formatted = latex.replace(/\\begin{([^}]+)}/g, '\\begin{$1}\n  ');
+  // (whitespace already there is replaced, so formatting twice changes nothing)
+  let formatted = latex.replace(/\\begin{([^}]+)}\s*/g, '\\begin{$1}\n  ');
   
   // Add newline and indent after \\ or \\[1em]
   formatted = formatted.replace(/(\\\\(?:\[[^\]]*\])?)\s*/g, '$1\n  ');
@@ -0,0 +1,174 @@
+/**
+ * Configurable rewrite pipeline applied to formulas before they are rendered.
+ *
+ * Each rule works on the node tree from parseLatex, so comments, escaped
+ * braces and the contents of \text{...} are never rewritten. A pipeline is a
+ * list of rule names, [name, options] pairs or custom rule objects, e.g.
+ *   ['fracSize', ['numericFractions', { raise: '0.4ex' }]]
+ * The mathRewriteRules option sets the pipeline per editor, so primary and
+ * senior papers can size fractions differently.
+ */
+
+import { parseLatex, serializeLatex, walkLatex, readArgument, createGroup } from './latexTokenizer.js';
+
+// Operator commands render upright regardless of \mathit/\mathbf wrapping.
+// Decomposed to plain letters, the font style commands actually take effect.
+export const OPERATOR_COMMANDS = [
+  'ln', 'log', 'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'exp', 'lim',
+  'min', 'max', 'inf', 'sup', 'det', 'dim', 'gcd', 'hom', 'ker', 'lg', 'deg', 'arg', 'sinh', 'cosh', 'tanh', 'coth'
+];
+
+const isDigits = (node) => /^\d+$/.test(node.type === 'group' ? serializeLatex(node.children) : node.value || '');
+
+// Rewritten commands remember the name they were written with, so later
+// rules can tell a \cfrac made from \frac from one the author typed
+const setCommand = (node, name) => Object.assign(node, { name, value: `\\${name}`, writtenAs: node.writtenAs || node.name });
+
+/**
+ * Replace operator commands (\sin → sin) anywhere in the nodes
+ */
+function decomposeOperatorNodes(nodes, operators) {
+  walkLatex(nodes, (list, index) => {
+    const node = list[index];
+    if (node.type !== 'command' || !operators.includes(node.name)) return;
+    list[index] = { type: 'text', value: node.name };
+  });
+}
+
+/**
+ * Built-in rules, each { label, defaults, apply(nodes, options) }.
+ * apply changes the node tree in place.
+ */
+export const LATEX_REWRITE_RULES = {
+  fracSize: {
+    label: 'Fraction size: \\frac → \\cfrac',
+    defaults: { from: ['frac'], command: 'cfrac' },
+    apply(nodes, { from, command }) {
+      walkLatex(nodes, (list, index) => {
+        const node = list[index];
+        if (node.type === 'command' && from.includes(node.name)) setCommand(node, command);
+      });
+    }
+  },
+
+  numericFractions: {
+    label: 'Raise the denominator of numeric fractions',
+    // Matched against the command as written: a \cfrac typed by the author is left alone
+    defaults: { commands: ['frac'], raise: '0.5ex' },
+    apply(nodes, { commands, raise }) {
+      walkLatex(nodes, (list, index) => {
+        const node = list[index];
+        if (node.type !== 'command' || !commands.includes(node.writtenAs || node.name)) return;
+
+        const numerator = readArgument(list, index + 1);
+        const denominator = numerator && readArgument(list, numerator.index + 1);
+        if (!denominator || !isDigits(numerator.node) || !isDigits(denominator.node)) return;
+
+        const content = (argument) => argument.node.type === 'group' ? argument.node.children : [argument.node];
+        const raised = [
+          { type: 'command', name: 'raisebox', value: '\\raisebox' },
+          { ...createGroup([{ type: 'text', value: raise }]), verbatim: true },
+          createGroup(content(denominator))
+        ];
+        // \frac12 and \frac{1} {2} are written out as \cfrac{1}{\raisebox{...}{2}}
+        list.splice(index + 1, denominator.index - index, createGroup(content(numerator)), createGroup(raised));
+      });
+    }
+  },
+
+  operators: {
+    label: 'Decompose operators inside \\mathbf / \\mathit',
+    defaults: { styles: ['mathbf', 'mathit', 'mathbfit'], operators: OPERATOR_COMMANDS },
+    apply(nodes, { styles, operators }) {
+      walkLatex(nodes, (list, index) => {
+        const node = list[index];
+        if (node.type !== 'command' || !styles.includes(node.name)) return;
+        const argument = readArgument(list, index + 1);
+        if (argument?.node.type === 'group') decomposeOperatorNodes(argument.node.children, operators);
+      });
+    }
+  },
+
+  spacing: {
+    label: 'Remove spaces that don\'t change the output',
+    defaults: {},
+    apply(nodes) {
+      walkLatex(nodes, (list, index) => {
+        const node = list[index];
+        if (node.type !== 'space') return;
+
+        const previous = list[index - 1];
+        const next = list[index + 1];
+        if (previous?.type === 'comment') {
+          // The line break ends the comment
+          node.value = '\n';
+        } else if ((previous?.type === 'command' || previous?.type === 'text') && next && /^[a-zA-Z]/.test(next.value || '')) {
+          // \alpha b and sin x still need one space
+          node.value = ' ';
+        } else if (previous?.type === 'escape' && previous.value === '\\\\' && next?.value === '[') {
+          // Without the space, \\ [a,b) would read [a,b) as the row's extra spacing
+          node.value = ' ';
+        } else {
+          node.value = '';
+        }
+      });
+    }
+  }
+};
+
+export const DEFAULT_REWRITE_RULES = ['fracSize', 'numericFractions'];
+
+/**
+ * Resolve a rule list into { name, label, apply, options }
+ * @param {Array} rules - Names, [name, options] pairs or { name, label, apply(nodes, options) } objects
+ * @returns {Array<Object>}
+ */
+export function resolveRewriteRules(rules = DEFAULT_REWRITE_RULES) {
+  return rules.map(rule => {
+    const [name, options] = Array.isArray(rule) ? rule : typeof rule === 'string' ? [rule, {}] : [null, null];
+    if (name === null) return { options: {}, ...rule };
+
+    const builtIn = LATEX_REWRITE_RULES[name];
+    if (!builtIn) throw new Error(`Unknown LaTeX rewrite rule: ${name}`);
+    return { name, label: builtIn.label, apply: builtIn.apply, options: { ...builtIn.defaults, ...options } };
+  });
+}
+
+/**
+ * Build a rewrite function for a rule list, resolved once
+ * @param {Array} [rules] - See resolveRewriteRules (default: fracSize and numericFractions)
+ * @returns {Function} (latex) => rewritten LaTeX
+ */
+export function createLatexRewriter(rules) {
+  const resolved = resolveRewriteRules(rules);
+  return (latex) => {
+    if (!latex || resolved.length === 0) return latex;
+    const nodes = parseLatex(latex);
+    for (const { apply, options } of resolved) {
+      apply(nodes, options);
+    }
+    return serializeLatex(nodes);
+  };
+}
+
+/**
+ * Rewrite one formula
+ * @param {string} latex
+ * @param {Array} [rules] - See resolveRewriteRules
+ * @returns {string}
+ */
+export function rewriteLatex(latex, rules) {
+  return createLatexRewriter(rules)(latex);
+}
+
+/**
+ * \sin → sin everywhere outside text, for a selection about to be wrapped
+ * in \mathbf or \mathit
+ * @param {string} latex
+ * @returns {string}
+ */
+export function decomposeOperators(latex) {
+  const nodes = parseLatex(latex);
+  decomposeOperatorNodes(nodes, OPERATOR_COMMANDS);
+  return serializeLatex(nodes);
+}
@@ -0,0 +1,164 @@
+/**
+ * LaTeX tokenizer and group tree for source rewrites.
+ *
+ * Rewrites that work on raw strings trip over comments, escaped braces and
+ * the contents of \text{...}. Here a formula is split into tokens, the
+ * tokens are nested into brace groups, and arguments that aren't math (text,
+ * CSS, colors, environment names) are marked so rewrites leave them alone.
+ * serializeLatex(parseLatex(latex)) always gives back the original source.
+ */
+
+// Arguments (by position) that are text or a value rather than math
+const VERBATIM_ARGUMENTS = {
+  text: [0], textrm: [0], textbf: [0], textit: [0], textsf: [0], texttt: [0], textup: [0], mbox: [0],
+  operatorname: [0], htmlStyle: [0], htmlClass: [0], htmlId: [0], htmlData: [0],
+  color: [0], textcolor: [0], colorbox: [0], raisebox: [0], hspace: [0], vspace: [0],
+  begin: [0], end: [0], label: [0], ref: [0], eqref: [0], tag: [0]
+};
+
+const COMMAND_NAME_RE = /[a-zA-Z]+/y;
+
+/**
+ * Split LaTeX into tokens
+ * @param {string} latex
+ * @returns {Array<Object>} { type, value } with type one of
+ *   'command' (\frac, also has name), 'escape' (\{ \\ \, ...), 'open', 'close',
+ *   'comment' (% up to the line end), 'space' or 'char'
+ */
+export function tokenizeLatex(latex) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < latex.length) {
+    const ch = latex[i];
+
+    if (ch === '\\') {
+      COMMAND_NAME_RE.lastIndex = i + 1;
+      const name = COMMAND_NAME_RE.exec(latex);
+      if (name) {
+        tokens.push({ type: 'command', name: name[0], value: `\\${name[0]}` });
+        i += 1 + name[0].length;
+      } else {
+        tokens.push({ type: 'escape', value: latex.substring(i, i + 2) });
+        i += 2;
+      }
+    } else if (ch === '%') {
+      const lineEnd = latex.indexOf('\n', i);
+      const end = lineEnd === -1 ? latex.length : lineEnd;
+      tokens.push({ type: 'comment', value: latex.substring(i, end) });
+      i = end;
+    } else if (/\s/.test(ch)) {
+      let end = i + 1;
+      while (end < latex.length && /\s/.test(latex[end])) end++;
+      tokens.push({ type: 'space', value: latex.substring(i, end) });
+      i = end;
+    } else {
+      const type = ch === '{' ? 'open' : ch === '}' ? 'close' : 'char';
+      tokens.push({ type, value: ch });
+      i++;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Nest tokens into brace groups: { type: 'group', children, closed }.
+ * A stray } stays a 'close' token; an unclosed { becomes a group with closed: false.
+ * Groups that are text or value arguments (see VERBATIM_ARGUMENTS) get verbatim: true.
+ * @param {string} latex
+ * @returns {Array<Object>} Top-level nodes
+ */
+export function parseLatex(latex) {
+  const root = [];
+  const stack = [root];
+
+  for (const token of tokenizeLatex(latex)) {
+    const list = stack[stack.length - 1];
+    if (token.type === 'open') {
+      const group = { type: 'group', children: [], closed: false };
+      list.push(group);
+      stack.push(group.children);
+    } else if (token.type === 'close' && stack.length > 1) {
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      parent[parent.length - 1].closed = true;
+    } else {
+      list.push(token);
+    }
+  }
+
+  markVerbatim(root);
+  return root;
+}
+
+function markVerbatim(nodes) {
+  nodes.forEach((node, index) => {
+    if (node.type === 'group') {
+      markVerbatim(node.children);
+    } else if (node.type === 'command' && VERBATIM_ARGUMENTS[node.name]) {
+      let position = index;
+      for (let argument = 0; argument <= Math.max(...VERBATIM_ARGUMENTS[node.name]); argument++) {
+        const found = readArgument(nodes, position + 1);
+        if (!found) break;
+        if (found.node.type === 'group' && VERBATIM_ARGUMENTS[node.name].includes(argument)) {
+          found.node.verbatim = true;
+        }
+        position = found.index;
+      }
+    }
+  });
+}
+
+/**
+ * The next argument at or after `index`, skipping spaces and comments:
+ * a group or a single token
+ * @returns {Object|null} { node, index }
+ */
+export function readArgument(nodes, index) {
+  for (let i = index; i < nodes.length; i++) {
+    const node = nodes[i];
+    if (node.type === 'space' || node.type === 'comment') continue;
+    if (node.type === 'close') return null;
+    return { node, index: i };
+  }
+  return null;
+}
+
+/**
+ * Back to LaTeX source
+ * @param {Array<Object>} nodes
+ * @returns {string}
+ */
+export function serializeLatex(nodes) {
+  let result = '';
+  for (const node of nodes) {
+    result += node.type === 'group'
+      ? `{${serializeLatex(node.children)}${node.closed ? '}' : ''}`
+      : node.value;
+  }
+  return result;
+}
+
+/**
+ * Visit every node in math mode: depth first, not inside verbatim groups.
+ * The visitor may replace nodes in `list` at and after `index`.
+ * @param {Array<Object>} nodes
+ * @param {Function} visit - (list, index) => void
+ */
+export function walkLatex(nodes, visit) {
+  for (let i = 0; i < nodes.length; i++) {
+    visit(nodes, i);
+    const node = nodes[i];
+    if (node && node.type === 'group' && !node.verbatim) {
+      walkLatex(node.children, visit);
+    }
+  }
+}
+
+/**
+ * A group node, e.g. to wrap a single-token argument
+ * @param {Array<Object>} children
+ */
+export function createGroup(children) {
+  return { type: 'group', children, closed: true };
+}
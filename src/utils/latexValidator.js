@@ -0,0 +1,147 @@
+/**
+ * LaTeX validation for the equation dialog.
+ *
+ * Reports unbalanced braces, \begin/\end mismatches and unknown commands
+ * with 1-based line and column numbers, so errors can be shown next to
+ * the raw LaTeX editor.
+ */
+
+function createPositionLookup(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return (index) => {
+    let line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= index) line++;
+    return { line: line + 1, column: index - lineStarts[line] + 1 };
+  };
+}
+
+/**
+ * Read the {name} group following \begin or \end
+ * @returns {Object|null} { name, end } where end is the index after '}'
+ */
+function readEnvironmentName(latex, pos) {
+  while (pos < latex.length && /\s/.test(latex[pos])) pos++;
+  if (latex[pos] !== '{') return null;
+
+  const close = latex.indexOf('}', pos);
+  if (close === -1) return null;
+
+  return { name: latex.substring(pos + 1, close).trim(), end: close + 1 };
+}
+
+/**
+ * Check LaTeX source for structural errors.
+ * @param {string} latex - LaTeX source, may span several lines
+ * @param {Object} [options]
+ * @param {Function} [options.validate] - MathLive's validateLatex, used to detect unknown commands
+ * @param {Array<string>} [options.knownCommands] - Extra command names (without backslash) to accept
+ * @returns {Array<Object>} Errors as { line, column, code, message }, in source order
+ */
+export function checkLatex(latex, options = {}) {
+  if (!latex) return [];
+
+  const { validate, knownCommands = [] } = options;
+  const toPosition = createPositionLookup(latex);
+  const errors = [];
+  const braces = [];
+  const environments = [];
+  const commands = [];
+
+  const addError = (index, code, message) => {
+    errors.push({ ...toPosition(index), index, code, message });
+  };
+
+  let i = 0;
+  while (i < latex.length) {
+    const ch = latex[i];
+
+    if (ch === '%') {
+      // Comment runs to the end of the line
+      const newline = latex.indexOf('\n', i);
+      i = newline === -1 ? latex.length : newline + 1;
+      continue;
+    }
+
+    if (ch === '\\') {
+      const match = /^[a-zA-Z]+/.exec(latex.substring(i + 1));
+      if (!match) {
+        // Escaped character such as \{ \} \\ \,
+        i += 2;
+        continue;
+      }
+
+      const name = match[0];
+      const nameEnd = i + 1 + name.length;
+      commands.push({ name, index: i });
+
+      if (name === 'begin' || name === 'end') {
+        const environment = readEnvironmentName(latex, nameEnd);
+        if (!environment) {
+          addError(i, 'environment-mismatch', `\\${name} is missing its {environment} name`);
+          i = nameEnd;
+          continue;
+        }
+
+        if (name === 'begin') {
+          environments.push({ name: environment.name, index: i });
+        } else {
+          const open = environments.pop();
+          if (!open) {
+            addError(i, 'environment-mismatch', `\\end{${environment.name}} has no matching \\begin`);
+          } else if (open.name !== environment.name) {
+            const { line } = toPosition(open.index);
+            addError(i, 'environment-mismatch',
+              `\\end{${environment.name}} does not match \\begin{${open.name}} on line ${line}`);
+          }
+        }
+        i = environment.end;
+        continue;
+      }
+
+      i = nameEnd;
+      continue;
+    }
+
+    if (ch === '{') {
+      braces.push(i);
+    } else if (ch === '}') {
+      if (braces.length === 0) {
+        addError(i, 'unbalanced-braces', 'Unmatched closing brace }');
+      } else {
+        braces.pop();
+      }
+    }
+    i++;
+  }
+
+  for (const index of braces) {
+    addError(index, 'unbalanced-braces', 'Opening brace { is never closed');
+  }
+
+  for (const environment of environments) {
+    addError(environment.index, 'environment-mismatch', `\\begin{${environment.name}} is never closed`);
+  }
+
+  if (validate) {
+    let unknown = new Set();
+    try {
+      unknown = new Set(validate(latex)
+        .filter(e => e.code === 'unknown-command')
+        .map(e => e.arg));
+    } catch (_) { /* validation is best effort */ }
+
+    for (const command of commands) {
+      if (unknown.has(`\\${command.name}`) && !knownCommands.includes(command.name)) {
+        addError(command.index, 'unknown-command', `Unknown command \\${command.name}`);
+      }
+    }
+  }
+
+  return errors
+    .sort((a, b) => a.index - b.index)
+    .map(({ index, ...error }) => error);
+}
@@ -0,0 +1,202 @@
+/**
+ * History of inserted formulas, for one-click reuse in the equation dialog.
+ *
+ * Keeps the last N distinct expressions and how often each symbol (\alpha,
+ * \Omega, °, ...) was used. Storage is an adapter, so the history can live in
+ * localStorage (the default) or follow the user through the app's own API.
+ */
+
+import { findMatchingBrace } from './fracReplace.js';
+
+export const DEFAULT_HISTORY_KEY = 'ckeditor-math-history';
+
+// Commands that structure or style a formula rather than being a symbol in it
+const STRUCTURAL_COMMANDS = new Set([
+  'begin', 'end', 'left', 'right', 'middle', 'frac', 'cfrac', 'dfrac', 'tfrac', 'sqrt', 'raisebox',
+  'text', 'textrm', 'textbf', 'textit', 'mathrm', 'mathbf', 'mathit', 'mathbfit', 'mathsf', 'mathtt',
+  'mathcal', 'mathbb', 'boldsymbol', 'operatorname', 'htmlStyle', 'textcolor', 'color', 'ce', 'pu',
+  'displaystyle', 'textstyle', 'scriptstyle', 'limits', 'nolimits', 'overset', 'underset', 'stackrel',
+  'quad', 'qquad', 'hspace', 'vspace', 'placeholder'
+]);
+
+// Commands whose argument is text, not symbols
+const TEXT_COMMANDS = ['text', 'textrm', 'textbf', 'textit', 'textsf', 'texttt', 'mbox', 'mathrm', 'operatorname'];
+const TEXT_COMMAND_RE = new RegExp(`\\\\(?:${TEXT_COMMANDS.join('|')})(?![a-zA-Z])\\s*\\{`, 'g');
+
+// Characters typed as themselves that count as symbols: Greek letters and
+// Unicode symbols (°, ×, ∞, ₹), but not letters of other scripts
+const SYMBOL_CHARACTER = /^[\p{S}\u0370-\u03ff]$/u;
+
+const EMPTY_HISTORY = { expressions: [], symbols: {} };
+
+// Symbol counts kept; the least used are dropped beyond this
+const SYMBOL_LIMIT = 100;
+
+/**
+ * A formula without the arguments of \text, \mathrm and the like
+ */
+function removeTextArguments(latex) {
+  let result = '';
+  let cursor = 0;
+  TEXT_COMMAND_RE.lastIndex = 0;
+  let match;
+  while ((match = TEXT_COMMAND_RE.exec(latex)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const close = findMatchingBrace(latex, open);
+    if (close === -1) break;
+    result += latex.substring(cursor, open + 1);
+    cursor = close;
+    TEXT_COMMAND_RE.lastIndex = close;
+  }
+  return result + latex.substring(cursor);
+}
+
+/**
+ * Symbols used in a formula: symbol commands, Greek letters and Unicode
+ * symbols. Text in \text{...} and \mathrm{...} is skipped.
+ * @param {string} latex - Formula source
+ * @returns {Array<string>} e.g. ['\\alpha', '\\times', '°']
+ */
+export function extractMathSymbols(latex) {
+  const symbols = [];
+  // \\, \, and \{ are matched as a whole so they aren't read as the start of a command
+  for (const [token, name] of removeTextArguments(latex).matchAll(/\\([a-zA-Z]+|[^a-zA-Z])|[^\x00-\x7f]/gu)) {
+    if (name === undefined ? SYMBOL_CHARACTER.test(token) : /^[a-zA-Z]/.test(name) && !STRUCTURAL_COMMANDS.has(name)) {
+      symbols.push(token);
+    }
+  }
+  return symbols;
+}
+
+/**
+ * Storage adapter over window.localStorage
+ * @param {string} [key] - Storage key
+ * @returns {Object} { load, save }
+ */
+export function createLocalStorageAdapter(key = DEFAULT_HISTORY_KEY) {
+  const storage = () => (typeof window !== 'undefined' ? window.localStorage : null);
+  return {
+    load() {
+      const value = storage()?.getItem(key);
+      return value ? JSON.parse(value) : null;
+    },
+    save(history) {
+      storage()?.setItem(key, JSON.stringify(history));
+    }
+  };
+}
+
+/**
+ * Create the formula history behind the dialog's "Recent" palette.
+ *
+ * @param {Object} [options] - The mathHistory plugin option
+ * @param {number} [options.limit=20] - Expressions to keep
+ * @param {string} [options.userId] - Keeps a separate history per user in the default storage
+ * @param {Object} [options.storage] - { load(), save(history) }, either may be async.
+ *   Defaults to localStorage under 'ckeditor-math-history' (plus ':<userId>')
+ * @returns {Object} Store with load, isLoaded, record, getRecent, getTopSymbols and clear
+ */
+export function createHistoryStore(options = {}) {
+  const { limit = 20, userId } = options;
+  const storage = options.storage ||
+    createLocalStorageAdapter(userId ? `${DEFAULT_HISTORY_KEY}:${userId}` : DEFAULT_HISTORY_KEY);
+
+  let history = EMPTY_HISTORY;
+  let loadPromise = null;
+  let loaded = false;
+
+  const persist = async () => {
+    try {
+      await storage.save(history);
+    } catch (error) {
+      console.error('Error saving math history:', error);
+    }
+    return history;
+  };
+
+  // Don't overwrite the saved history with one that hasn't been read
+  const requireLoaded = async () => {
+    await store.load();
+    if (!loaded) {
+      throw new Error('The math history could not be loaded, so it isn\'t changed.');
+    }
+  };
+
+  const store = {
+    load() {
+      if (!loadPromise) {
+        loadPromise = Promise.resolve()
+          .then(() => storage.load())
+          .then(saved => {
+            if (saved && Array.isArray(saved.expressions)) {
+              history = { expressions: saved.expressions, symbols: saved.symbols || {} };
+            }
+            loaded = true;
+            return history;
+          })
+          .catch(error => {
+            console.error('Error loading math history:', error);
+            loadPromise = null;
+            return history;
+          });
+      }
+      return loadPromise;
+    },
+
+    /**
+     * Add an inserted formula: it moves to the front, and its symbols are counted.
+     * Rejects if the saved history could not be loaded.
+     */
+    async record(latex) {
+      const source = (latex || '').trim();
+      if (!source) return history;
+      await requireLoaded();
+
+      const previous = history.expressions.find(entry => entry.latex === source);
+      const entry = { latex: source, count: (previous?.count || 0) + 1, lastUsed: Date.now() };
+      const symbols = { ...history.symbols };
+      for (const symbol of extractMathSymbols(source)) {
+        symbols[symbol] = (symbols[symbol] || 0) + 1;
+      }
+
+      history = {
+        expressions: [entry, ...history.expressions.filter(e => e.latex !== source)].slice(0, limit),
+        symbols: Object.fromEntries(Object.entries(symbols).sort((a, b) => b[1] - a[1]).slice(0, SYMBOL_LIMIT))
+      };
+      return persist();
+    },
+
+    /**
+     * @returns {Array<Object>} { latex, count, lastUsed }, most recent first
+     */
+    getRecent() {
+      return history.expressions;
+    },
+
+    /**
+     * @param {number} [count=16]
+     * @returns {Array<Object>} { symbol, count }, most used first
+     */
+    getTopSymbols(count = 16) {
+      return Object.entries(history.symbols)
+        .map(([symbol, uses]) => ({ symbol, count: uses }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, count);
+    },
+
+    /**
+     * @returns {boolean} Whether the saved history was loaded, so it can be changed
+     */
+    isLoaded() {
+      return loaded;
+    },
+
+    async clear() {
+      await requireLoaded();
+      history = EMPTY_HISTORY;
+      return persist();
+    }
+  };
+
+  return store;
+}
@@ -0,0 +1,141 @@
+/**
+ * Custom LaTeX macros (the mathMacros plugin option).
+ *
+ * Macros use MathLive's dictionary format, e.g.
+ *   { vect: '\\mathbf{#1}', degC: '{}^\\circ\\mathrm{C}', rupee: { def: '\\unicode{"20B9}', args: 0 } }
+ *
+ * The mathfield gets the dictionary directly. For rendering, macros are
+ * expanded here instead: MathLive's own macros option replaces its built-in
+ * macros, and convertLatexToMathMl doesn't accept macros at all.
+ */
+
+import { findMatchingBrace } from './fracReplace.js';
+
+// Guards against macros that (directly or indirectly) expand to themselves
+const MAX_EXPANSION_PASSES = 10;
+
+/**
+ * Normalize a macro dictionary to { name: { def, args } }
+ * @param {Object} macros - Macro names (without backslash) mapped to a definition string or { def, args }
+ * @returns {Object} Normalized dictionary
+ */
+export function normalizeMacros(macros) {
+  const normalized = {};
+  if (!macros) return normalized;
+
+  for (const [name, value] of Object.entries(macros)) {
+    const def = typeof value === 'string' ? value : value?.def;
+    if (typeof def !== 'string') continue;
+
+    // Without an explicit count, the highest #n in the definition decides
+    let args = typeof value === 'object' && Number.isInteger(value.args) ? value.args : null;
+    if (args === null) {
+      args = 0;
+      for (const [, n] of def.matchAll(/#([1-9])/g)) {
+        args = Math.max(args, Number(n));
+      }
+    }
+    normalized[name.replace(/^\\/, '')] = { def, args };
+  }
+  return normalized;
+}
+
+/**
+ * Read one macro argument: a {group}, a \command or a single character
+ * @returns {Object|null} { value, end } where end is the index after the argument
+ */
+function readArgument(latex, pos) {
+  while (pos < latex.length && /\s/.test(latex[pos])) pos++;
+  if (pos >= latex.length) return null;
+
+  if (latex[pos] === '{') {
+    const close = findMatchingBrace(latex, pos);
+    if (close === -1) return null;
+    return { value: latex.substring(pos + 1, close), end: close + 1 };
+  }
+
+  if (latex[pos] === '\\') {
+    const match = /^\\([a-zA-Z]+|.)/.exec(latex.substring(pos));
+    if (!match) return null;
+    return { value: match[0], end: pos + match[0].length };
+  }
+
+  return { value: latex[pos], end: pos + 1 };
+}
+
+function expandOnce(latex, macros) {
+  let result = '';
+  let changed = false;
+  let i = 0;
+
+  while (i < latex.length) {
+    if (latex[i] !== '\\') {
+      result += latex[i++];
+      continue;
+    }
+
+    const match = /^[a-zA-Z]+/.exec(latex.substring(i + 1));
+    const macro = match && Object.prototype.hasOwnProperty.call(macros, match[0]) ? macros[match[0]] : null;
+    if (!macro) {
+      // Not a macro: copy the command (or escaped character) as-is
+      const length = match ? match[0].length + 1 : 2;
+      result += latex.substring(i, i + length);
+      i += length;
+      continue;
+    }
+
+    let end = i + 1 + match[0].length;
+    const args = [];
+    for (let n = 0; n < macro.args; n++) {
+      const arg = readArgument(latex, end);
+      if (!arg) break;
+      args.push(arg.value);
+      end = arg.end;
+    }
+    if (args.length < macro.args) {
+      // Missing arguments; leave it for MathLive to report
+      result += latex.substring(i, end);
+      i = end;
+      continue;
+    }
+
+    let expansion = macro.def.replace(/#([1-9])/g, (placeholder, n) => args[n - 1] ?? placeholder);
+    // Keep a following letter from merging into a command at the end of the expansion
+    if (/\\[a-zA-Z]+$/.test(expansion) && /^[a-zA-Z]/.test(latex.substring(end))) {
+      expansion += ' ';
+    }
+    result += expansion;
+    changed = true;
+    i = end;
+  }
+
+  return { result, changed };
+}
+
+/**
+ * Expand custom macros in LaTeX source
+ * @param {string} latex - LaTeX using the macros
+ * @param {Object} macros - Macro dictionary (raw or normalized)
+ * @returns {string} LaTeX with every known macro replaced by its definition
+ */
+export function expandMacros(latex, macros) {
+  if (!latex || !macros) return latex;
+
+  const normalized = normalizeMacros(macros);
+  if (Object.keys(normalized).length === 0) return latex;
+
+  let result = latex;
+  for (let pass = 0; pass < MAX_EXPANSION_PASSES; pass++) {
+    const expanded = expandOnce(result, normalized);
+    result = expanded.result;
+    if (!expanded.changed) break;
+  }
+  return result;
+}
+
+/**
+ * Macro names (without backslash), e.g. for the validator's knownCommands
+ */
+export function getMacroNames(macros) {
+  return Object.keys(normalizeMacros(macros));
+}
@@ -0,0 +1,167 @@
+/**
+ * House-style transforms for formula sources.
+ *
+ * Each transform takes the LaTeX of one formula and returns it rewritten;
+ * the normalizeMath command runs a list of them over every formula in the
+ * document. The built-in ones bake in what rendering would otherwise do on
+ * the fly, undo dialog side effects, and give the source one canonical layout.
+ */
+
+import { findMatchingBrace } from './fracReplace.js';
+import { rewriteLatex } from './latexRewrite.js';
+import { formatLatexForEditor } from './latexFormatter.js';
+
+/**
+ * Read \htmlStyle{style}{content} starting at `start`
+ * @returns {Object|null} { style, content, end }
+ */
+function readHtmlStyle(latex, start) {
+  let pos = start + '\\htmlStyle'.length;
+  while (latex[pos] === ' ') pos++;
+  const styleEnd = findMatchingBrace(latex, pos);
+  if (styleEnd === -1) return null;
+
+  let contentStart = styleEnd + 1;
+  while (latex[contentStart] === ' ') contentStart++;
+  const contentEnd = findMatchingBrace(latex, contentStart);
+  if (contentEnd === -1) return null;
+
+  return {
+    style: latex.substring(pos + 1, styleEnd),
+    content: latex.substring(contentStart + 1, contentEnd),
+    end: contentEnd + 1
+  };
+}
+
+// Compare values the way the browser would: case and quotes don't matter
+const normalizeValue = (value) => value.replace(/['"]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+function parseDeclarations(style) {
+  const declarations = new Map();
+  for (const declaration of style.split(';')) {
+    const colon = declaration.indexOf(':');
+    if (colon === -1) continue;
+    const property = declaration.substring(0, colon).trim().toLowerCase();
+    const value = declaration.substring(colon + 1).trim();
+    if (property && value) declarations.set(property, value);
+  }
+  return declarations;
+}
+
+/**
+ * Remove \htmlStyle wrappers that change nothing: an empty style or content,
+ * or only declarations the enclosing \htmlStyle (or the formula itself) already sets
+ * @param {string} latex - Formula source
+ * @param {Object} [context]
+ * @param {Array<Array<string>>} [context.style] - The formula's own [property, value] declarations
+ * @returns {string}
+ */
+export function removeRedundantHtmlStyle(latex, context = {}) {
+  const inherited = new Map((context.style || []).map(([property, value]) => [property, normalizeValue(value)]));
+  return cleanHtmlStyle(latex, inherited);
+}
+
+function cleanHtmlStyle(latex, inherited) {
+  let result = '';
+  let cursor = 0;
+  let index;
+
+  while ((index = latex.indexOf('\\htmlStyle', cursor)) !== -1) {
+    const parsed = readHtmlStyle(latex, index);
+    if (!parsed) {
+      result += latex.substring(cursor, index + '\\htmlStyle'.length);
+      cursor = index + '\\htmlStyle'.length;
+      continue;
+    }
+
+    result += latex.substring(cursor, index);
+    cursor = parsed.end;
+
+    const declarations = parseDeclarations(parsed.style);
+    const own = [...declarations].filter(([property, value]) => inherited.get(property) !== normalizeValue(value));
+    const scope = new Map(inherited);
+    for (const [property, value] of own) scope.set(property, normalizeValue(value));
+
+    const content = cleanHtmlStyle(parsed.content, scope);
+    if (!content.trim()) continue;
+
+    if (own.length === 0) {
+      // A script argument needs its group: x^\htmlStyle{...}{ab} → x^{ab}
+      result += /[_^]\s*$/.test(result) ? `{${content}}` : content;
+    } else {
+      const style = own.length === declarations.size
+        ? parsed.style
+        : own.map(([property, value]) => `${property}: ${value}`).join('; ');
+      result += `\\htmlStyle{${style}}{${content}}`;
+    }
+  }
+  return result + latex.substring(cursor);
+}
+
+/**
+ * Canonical layout: the code editor's line breaks and indentation around
+ * environments and row breaks
+ */
+export function canonicalizeLatex(latex) {
+  return formatLatexForEditor(latex.trim());
+}
+
+/**
+ * Built-in transforms, applied in this order. Each is
+ * { label, apply(latex, context) → latex }.
+ */
+export const MATH_TRANSFORMS = {
+  cfrac: {
+    label: 'Apply the LaTeX rewrite rules (\\frac → \\cfrac, ...)',
+    apply: (latex, context) => rewriteLatex(latex, context.rewriteRules)
+  },
+  operators: {
+    label: 'Decompose operators inside \\mathbf / \\mathit',
+    apply: (latex) => rewriteLatex(latex, ['operators'])
+  },
+  htmlStyle: {
+    label: 'Remove redundant \\htmlStyle',
+    apply: removeRedundantHtmlStyle
+  },
+  format: {
+    label: 'Canonical line breaks and indentation',
+    apply: (latex) => canonicalizeLatex(latex)
+  }
+};
+
+export const DEFAULT_MATH_TRANSFORMS = Object.keys(MATH_TRANSFORMS);
+
+/**
+ * Resolve a transform list: names of built-in transforms, or custom
+ * { name, label, apply } objects
+ * @returns {Array<Object>} { name, label, apply }
+ */
+export function resolveTransforms(transforms = DEFAULT_MATH_TRANSFORMS) {
+  return transforms.map(transform => {
+    if (typeof transform !== 'string') return transform;
+    const builtIn = MATH_TRANSFORMS[transform];
+    if (!builtIn) throw new Error(`Unknown math transform: ${transform}`);
+    return { name: transform, ...builtIn };
+  });
+}
+
+/**
+ * Run transforms over one formula
+ * @param {string} latex - Formula source
+ * @param {Array} [transforms] - Names or { name, label, apply } objects (default: all built-in ones)
+ * @param {Object} [context] - Passed to each transform: { style } for removeRedundantHtmlStyle,
+ *   { rewriteRules } for cfrac
+ * @returns {Object} { latex, applied } — the new source and the names of the transforms that changed it
+ */
+export function normalizeLatex(latex, transforms, context = {}) {
+  let result = latex;
+  const applied = [];
+  for (const { name, apply } of resolveTransforms(transforms)) {
+    const next = apply(result, context);
+    if (next !== result) {
+      applied.push(name);
+      result = next;
+    }
+  }
+  return { latex: result, applied };
+}
@@ -0,0 +1,70 @@
+/**
+ * Local stand-in for a handwriting / image-to-LaTeX service.
+ *
+ * The recognizeMath plugin option takes any async function from a canvas
+ * or image Blob to LaTeX. This stub needs no network and always gives the
+ * same answer for the same pixels, so tests and demos can exercise the
+ * dialog's drawing pad and screenshot paste.
+ *
+ * Usage:
+ *   const recognizeMath = createStubRecognizer({ answers: { [fingerprint]: 'x^2' } });
+ *   createMathLivePlugin(CKEditor, { recognizeMath });
+ */
+
+/**
+ * Bytes of a drawn canvas or an image Blob
+ * @returns {Promise<Uint8Array>}
+ */
+async function readInputBytes(input) {
+  if (input && typeof input.arrayBuffer === 'function') {
+    return new Uint8Array(await input.arrayBuffer());
+  }
+  if (input && typeof input.getContext === 'function') {
+    const ctx = input.getContext('2d');
+    if (ctx) {
+      return new Uint8Array(ctx.getImageData(0, 0, input.width, input.height).data.buffer);
+    }
+    return new TextEncoder().encode(input.toDataURL());
+  }
+  throw new TypeError('recognizeMath expects a canvas or an image Blob');
+}
+
+/**
+ * Stable id of a recognizer input: FNV-1a hash of its bytes, as 8 hex digits
+ * @param {HTMLCanvasElement|Blob} input
+ * @returns {Promise<string>}
+ */
+export async function fingerprintMathInput(input) {
+  const bytes = await readInputBytes(input);
+  let hash = 0x811c9dc5;
+  for (const byte of bytes) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Create a deterministic recognizer
+ * @param {Object} [options]
+ * @param {Object} [options.answers] - LaTeX by input fingerprint (see fingerprintMathInput)
+ * @param {string|Function} [options.fallback] - LaTeX for other inputs, or a function of the fingerprint.
+ *   Defaults to \mathrm{recognized}_{<fingerprint>}, so different drawings give different formulas.
+ * @param {number} [options.delay=0] - Milliseconds to wait, to simulate a remote service
+ * @returns {Function} async (canvas | Blob) => LaTeX
+ */
+export function createStubRecognizer(options = {}) {
+  const { answers = {}, delay = 0 } = options;
+  const fallback = options.fallback ?? (fingerprint => `\\mathrm{recognized}_{${fingerprint}}`);
+
+  return async function recognizeMath(input) {
+    const fingerprint = await fingerprintMathInput(input);
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    if (Object.prototype.hasOwnProperty.call(answers, fingerprint)) {
+      return answers[fingerprint];
+    }
+    return typeof fallback === 'function' ? fallback(fingerprint) : fallback;
+  };
+}
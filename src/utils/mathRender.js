@@ -0,0 +1,98 @@
+/**
+ * Shared MathLive rendering pipeline.
+ *
+ * Used by MathLivePlugin in the browser and by prerenderMathHtml in Node,
+ * so printed output matches what the editor shows. Has no DOM dependency.
+ */
+
+import { findMatchingBrace } from './fracReplace.js';
+import { rewriteLatex } from './latexRewrite.js';
+import { expandMacros } from './mathMacros.js';
+import { expandMhchem } from './mhchem.js';
+
+// Zero spacing around operators and delimiters, matching the dialog's mathfield
+export const MATH_REGISTERS = {
+  thinmuskip: { dimension: 0, unit: 'mu' },
+  medmuskip: { dimension: 0, unit: 'mu' },
+  thickmuskip: { dimension: 0, unit: 'mu' },
+  nulldelimiterspace: { dimension: 0, unit: 'mu' }
+};
+
+/**
+ * MathLive layout options for a formula.
+ * 'math' is MathLive's display-math mode (displaystyle).
+ */
+export function getMathRenderOptions(display = 'inline') {
+  return {
+    letterShapeStyle: 'upright',
+    defaultMode: display === 'block' ? 'math' : 'inline-math',
+    registers: MATH_REGISTERS
+  };
+}
+
+/**
+ * Strip \htmlStyle{...}{content} → content
+ * MathML has no equivalent of \htmlStyle, so we unwrap to keep the content.
+ */
+export function stripHtmlStyle(latex) {
+  let result = latex;
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const idx = result.indexOf('\\htmlStyle');
+    if (idx === -1) break;
+
+    let pos = idx + '\\htmlStyle'.length;
+    while (pos < result.length && result[pos] === ' ') pos++;
+    if (pos >= result.length || result[pos] !== '{') break;
+
+    const styleEnd = findMatchingBrace(result, pos);
+    if (styleEnd === -1) break;
+
+    let contentStart = styleEnd + 1;
+    while (contentStart < result.length && result[contentStart] === ' ') contentStart++;
+    if (contentStart >= result.length || result[contentStart] !== '{') break;
+
+    const contentEnd = findMatchingBrace(result, contentStart);
+    if (contentEnd === -1) break;
+
+    const innerContent = result.substring(contentStart + 1, contentEnd);
+    result = result.substring(0, idx) + innerContent + result.substring(contentEnd + 1);
+    changed = true;
+  }
+  return result;
+}
+
+/**
+ * Render LaTeX to an HTML string.
+ * @param {Object} mathlive - MathLive module (browser or SSR build)
+ * @param {string} latex - Formula source as stored in data-latex
+ * @param {string} format - 'markup', 'mathml' or 'svg'
+ * @param {string} display - 'inline' or 'block'
+ * @param {Object} [options]
+ * @param {Object} [options.macros] - Custom macros (the mathMacros plugin option)
+ * @param {Object} [options.svgRenderer] - Renderer from loadSvgRenderer(), required for 'svg'
+ * @param {Array} [options.rewriteRules] - LaTeX rewrite rules (the mathRewriteRules plugin option, default \frac → \cfrac)
+ * @returns {string} Rendered markup, a <math> element or an <svg> element
+ * @throws If the formula cannot be converted
+ */
+export function renderLatexToString(mathlive, latex, format = 'markup', display = 'inline', options = {}) {
+  const latexToRender = rewriteLatex(expandMacros(latex, options.macros), options.rewriteRules);
+  const renderOptions = getMathRenderOptions(display);
+
+  if (format === 'svg') {
+    if (!options.svgRenderer) {
+      throw new Error('SVG output needs the renderer from loadSvgRenderer()');
+    }
+    return options.svgRenderer.render(latexToRender, display);
+  }
+
+  if (format === 'mathml') {
+    // MathLive's MathML drops \ce and \pu, so chemistry is expanded to plain LaTeX first
+    const ml = mathlive.convertLatexToMathMl(stripHtmlStyle(expandMhchem(latexToRender)), renderOptions);
+    if (ml.trimStart().startsWith('<math')) return ml;
+    return display === 'block' ? `<math display="block">${ml}</math>` : `<math>${ml}</math>`;
+  }
+
+  return mathlive.convertLatexToMarkup(latexToRender, renderOptions);
+}
@@ -0,0 +1,138 @@
+/**
+ * Math snippet library for the equation dialog.
+ *
+ * Snippets are LaTeX templates; #? marks a placeholder the cursor jumps to
+ * after insertion (MathLive syntax).
+ */
+
+export const USER_SNIPPET_CATEGORY = 'My Snippets';
+
+export const BUILT_IN_SNIPPETS = [
+  // Matrices
+  { id: 'matrix-2x2', category: 'Matrices', label: 'Matrix 2×2 (आव्यूह)', latex: '\\begin{bmatrix}#?&#?\\\\#?&#?\\end{bmatrix}' },
+  { id: 'matrix-3x3', category: 'Matrices', label: 'Matrix 3×3 (आव्यूह)', latex: '\\begin{bmatrix}#?&#?&#?\\\\#?&#?&#?\\\\#?&#?&#?\\end{bmatrix}' },
+  { id: 'determinant-2x2', category: 'Matrices', label: 'Determinant 2×2 (सारणिक)', latex: '\\begin{vmatrix}#?&#?\\\\#?&#?\\end{vmatrix}' },
+  { id: 'column-vector', category: 'Matrices', label: 'Column vector', latex: '\\begin{pmatrix}#?\\\\#?\\\\#?\\end{pmatrix}' },
+
+  // Piecewise functions
+  { id: 'piecewise-2', category: 'Piecewise', label: 'Two cases', latex: 'f(x)=\\begin{cases}#?&\\text{if }#?\\\\#?&\\text{otherwise}\\end{cases}' },
+  { id: 'piecewise-3', category: 'Piecewise', label: 'Three cases', latex: 'f(x)=\\begin{cases}#?&#?\\\\#?&#?\\\\#?&#?\\end{cases}' },
+  { id: 'absolute-value', category: 'Piecewise', label: 'Absolute value', latex: '|x|=\\begin{cases}x&x\\ge0\\\\-x&x<0\\end{cases}' },
+
+  // Calculus
+  { id: 'definite-integral', category: 'Calculus', label: 'Definite integral (निश्चित समाकल)', latex: '\\int_{#?}^{#?}#?\\,d#?' },
+  { id: 'double-integral', category: 'Calculus', label: 'Double integral', latex: '\\int_{#?}^{#?}\\int_{#?}^{#?}#?\\,d#?\\,d#?' },
+  { id: 'limit', category: 'Calculus', label: 'Limit (सीमा)', latex: '\\lim_{#?\\to#?}#?' },
+  { id: 'sum', category: 'Calculus', label: 'Summation', latex: '\\sum_{#?=#?}^{#?}#?' },
+  { id: 'derivative', category: 'Calculus', label: 'Derivative', latex: '\\frac{d#?}{d#?}' },
+
+  // Chemistry
+  { id: 'reaction', category: 'Chemistry', label: 'Reaction (अभिक्रिया)', latex: '\\mathrm{#?}+\\mathrm{#?}\\rightarrow\\mathrm{#?}' },
+  { id: 'reaction-conditions', category: 'Chemistry', label: 'Reaction with conditions', latex: '\\mathrm{#?}\\xrightarrow[#?]{#?}\\mathrm{#?}' },
+  { id: 'equilibrium', category: 'Chemistry', label: 'Equilibrium', latex: '\\mathrm{#?}\\rightleftharpoons\\mathrm{#?}' },
+
+  // Fractions
+  { id: 'mixed-fraction', category: 'Fractions', label: 'Mixed fraction (मिश्र भिन्न)', latex: '#?\\frac{#?}{#?}' },
+  { id: 'fraction', category: 'Fractions', label: 'Fraction (भिन्न)', latex: '\\frac{#?}{#?}' },
+  { id: 'ratio', category: 'Fractions', label: 'Ratio', latex: '#?:#?' }
+];
+
+/**
+ * Replace MathLive insertion placeholders so a snippet can be rendered as a preview
+ */
+export function snippetPreviewLatex(latex) {
+  return latex.replace(/#[?@]/g, '\\placeholder{}');
+}
+
+/**
+ * Create the snippet store behind the dialog's palette.
+ *
+ * @param {Object|Array} [options] - The mathSnippets plugin option, or just an array of snippets
+ * @param {Array<Object>} [options.snippets] - Consumer snippets as { id, label, latex, category }
+ * @param {boolean} [options.includeBuiltIn=true] - Show the built-in templates
+ * @param {Function} [options.loadSnippets] - async () => user snippets, e.g. from a team API
+ * @param {Function} [options.saveSnippets] - async (userSnippets) => void, called after every change
+ * @returns {Object} Store with getSnippets, loadUserSnippets, isLoaded, addUserSnippet and removeUserSnippet.
+ *   Adding and removing wait for the user snippets to load, and fail if they couldn't be.
+ */
+export function createSnippetStore(options = {}) {
+  const {
+    snippets = [],
+    includeBuiltIn = true,
+    loadSnippets,
+    saveSnippets
+  } = Array.isArray(options) ? { snippets: options } : options;
+
+  const fixedSnippets = [...(includeBuiltIn ? BUILT_IN_SNIPPETS : []), ...snippets];
+  let userSnippets = [];
+  let loadPromise = null;
+  let loaded = false;
+
+  const persist = async () => {
+    if (saveSnippets) {
+      await saveSnippets(userSnippets);
+    }
+    return userSnippets;
+  };
+
+  // Don't overwrite the saved snippets with a list that hasn't been read
+  const requireLoaded = async () => {
+    await store.loadUserSnippets();
+    if (!loaded) {
+      throw new Error('The saved math snippets could not be loaded, so they can\'t be changed.');
+    }
+  };
+
+  const store = {
+    getSnippets() {
+      return fixedSnippets;
+    },
+
+    getUserSnippets() {
+      return userSnippets;
+    },
+
+    loadUserSnippets() {
+      if (!loadPromise) {
+        loadPromise = Promise.resolve(loadSnippets ? loadSnippets() : [])
+          .then(list => {
+            userSnippets = Array.isArray(list) ? list : [];
+            loaded = true;
+            return userSnippets;
+          })
+          .catch(error => {
+            console.error('Error loading math snippets:', error);
+            loadPromise = null;
+            return userSnippets;
+          });
+      }
+      return loadPromise;
+    },
+
+    /**
+     * @returns {boolean} Whether the user snippets were loaded, so they can be changed
+     */
+    isLoaded() {
+      return loaded;
+    },
+
+    async addUserSnippet({ label, latex }) {
+      await requireLoaded();
+      userSnippets = [...userSnippets, {
+        id: `user-${Date.now().toString(36)}`,
+        category: USER_SNIPPET_CATEGORY,
+        label,
+        latex
+      }];
+      return persist();
+    },
+
+    async removeUserSnippet(id) {
+      await requireLoaded();
+      userSnippets = userSnippets.filter(snippet => snippet.id !== id);
+      return persist();
+    }
+  };
+
+  return store;
+}
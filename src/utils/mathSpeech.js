@@ -0,0 +1,577 @@
+/**
+ * Spoken descriptions of LaTeX formulas for screen readers.
+ *
+ * Rule-based, so the same text comes out in the browser and in Node, and a
+ * second language only needs a vocabulary. Supports English ('en') and
+ * Hindi ('hi'). Templates use {0}, {1} for their arguments because word
+ * order differs between languages ("square root of x" / "x का वर्गमूल").
+ */
+
+import { expandMhchem } from './mhchem.js';
+
+const GREEK = {
+  alpha: ['alpha', 'अल्फा'], beta: ['beta', 'बीटा'], gamma: ['gamma', 'गामा'], delta: ['delta', 'डेल्टा'],
+  epsilon: ['epsilon', 'एप्सिलॉन'], varepsilon: ['epsilon', 'एप्सिलॉन'], zeta: ['zeta', 'ज़ीटा'], eta: ['eta', 'ईटा'],
+  theta: ['theta', 'थीटा'], vartheta: ['theta', 'थीटा'], iota: ['iota', 'आयोटा'], kappa: ['kappa', 'कैपा'],
+  lambda: ['lambda', 'लैम्ब्डा'], mu: ['mu', 'म्यू'], nu: ['nu', 'न्यू'], xi: ['xi', 'ज़ाई'], pi: ['pi', 'पाई'],
+  rho: ['rho', 'रो'], sigma: ['sigma', 'सिग्मा'], tau: ['tau', 'टाउ'], upsilon: ['upsilon', 'अपसाइलॉन'],
+  phi: ['phi', 'फाई'], varphi: ['phi', 'फाई'], chi: ['chi', 'काई'], psi: ['psi', 'साई'], omega: ['omega', 'ओमेगा'],
+  Gamma: ['capital gamma', 'कैपिटल गामा'], Delta: ['capital delta', 'कैपिटल डेल्टा'], Theta: ['capital theta', 'कैपिटल थीटा'],
+  Lambda: ['capital lambda', 'कैपिटल लैम्ब्डा'], Pi: ['capital pi', 'कैपिटल पाई'], Sigma: ['capital sigma', 'कैपिटल सिग्मा'],
+  Phi: ['capital phi', 'कैपिटल फाई'], Psi: ['capital psi', 'कैपिटल साई'], Omega: ['capital omega', 'कैपिटल ओमेगा']
+};
+
+// Operators, relations and other symbols, by command name or character
+const SYMBOLS = {
+  '+': ['plus', 'धन'], '-': ['minus', 'ऋण'], '=': ['equals', 'बराबर'], '<': ['is less than', 'से कम है'],
+  '>': ['is greater than', 'से अधिक है'], '/': ['divided by', 'भाग'], '*': ['times', 'गुणा'], '!': ['factorial', 'क्रमगुणित'],
+  ',': [',', ','], ';': [';', ';'], ':': ['ratio', 'अनुपात'], '|': ['vertical bar', 'ऊर्ध्व रेखा'], "'": ['prime', 'डैश'],
+  '%': ['percent', 'प्रतिशत'], '.': ['point', 'दशमलव'],
+  times: ['times', 'गुणा'], cdot: ['times', 'गुणा'], div: ['divided by', 'भाग'], pm: ['plus or minus', 'धन या ऋण'],
+  mp: ['minus or plus', 'ऋण या धन'], ne: ['is not equal to', 'के बराबर नहीं है'], neq: ['is not equal to', 'के बराबर नहीं है'],
+  le: ['is less than or equal to', 'से कम या उसके बराबर है'], leq: ['is less than or equal to', 'से कम या उसके बराबर है'],
+  ge: ['is greater than or equal to', 'से अधिक या उसके बराबर है'], geq: ['is greater than or equal to', 'से अधिक या उसके बराबर है'],
+  approx: ['is approximately equal to', 'के लगभग बराबर है'], equiv: ['is equivalent to', 'सर्वसम'], sim: ['is similar to', 'समरूप'],
+  cong: ['is congruent to', 'सर्वांगसम'], propto: ['is proportional to', 'समानुपाती'], infty: ['infinity', 'अनंत'],
+  to: ['tends to', 'की ओर'], rightarrow: ['gives', 'देता है'], longrightarrow: ['gives', 'देता है'],
+  leftarrow: ['from', 'से'], Rightarrow: ['implies', 'तात्पर्य है'], implies: ['implies', 'तात्पर्य है'],
+  Leftrightarrow: ['if and only if', 'यदि और केवल यदि'], iff: ['if and only if', 'यदि और केवल यदि'],
+  rightleftharpoons: ['is in equilibrium with', 'साम्यावस्था में'], rightleftarrows: ['is in equilibrium with', 'साम्यावस्था में'],
+  uparrow: ['up arrow', 'ऊपर तीर'], downarrow: ['down arrow', 'नीचे तीर'], leftrightarrow: ['is in equilibrium with', 'साम्यावस्था में'],
+  in: ['is an element of', 'का अवयव है'], notin: ['is not an element of', 'का अवयव नहीं है'], subset: ['is a subset of', 'का उपसमुच्चय है'],
+  subseteq: ['is a subset of or equal to', 'का उपसमुच्चय या बराबर है'], cup: ['union', 'सम्मिलन'], cap: ['intersection', 'सर्वनिष्ठ'],
+  emptyset: ['the empty set', 'रिक्त समुच्चय'], forall: ['for all', 'प्रत्येक के लिए'], exists: ['there exists', 'अस्तित्व है'],
+  angle: ['angle', 'कोण'], triangle: ['triangle', 'त्रिभुज'], perp: ['is perpendicular to', 'पर लंब है'], parallel: ['is parallel to', 'के समांतर है'],
+  circ: ['degrees', 'डिग्री'], degree: ['degrees', 'डिग्री'], therefore: ['therefore', 'अतः'], because: ['because', 'क्योंकि'],
+  ldots: ['dot dot dot', 'इत्यादि'], cdots: ['dot dot dot', 'इत्यादि'], dots: ['dot dot dot', 'इत्यादि'],
+  partial: ['partial', 'आंशिक'], nabla: ['del', 'डेल'], prime: ['prime', 'डैश']
+};
+
+// Relations Hindi says after the compared value: x > 0 is "x, 0 से अधिक है"
+const RELATIONS = ['<', '>', 'ne', 'neq', 'le', 'leq', 'ge', 'geq', 'approx', 'in', 'notin', 'subset', 'subseteq',
+  'perp', 'parallel'];
+
+// Function names read as words
+const FUNCTIONS = {
+  sin: ['sine', 'साइन'], cos: ['cosine', 'कोसाइन'], tan: ['tangent', 'टैन'], cot: ['cotangent', 'कोट'],
+  sec: ['secant', 'सेक'], csc: ['cosecant', 'कोसेक'], cosec: ['cosecant', 'कोसेक'],
+  log: ['log', 'लॉग'], ln: ['natural log', 'प्राकृतिक लॉग'], exp: ['exponential', 'घातांकी'],
+  max: ['maximum', 'अधिकतम'], min: ['minimum', 'न्यूनतम'], det: ['determinant', 'सारणिक'], gcd: ['gcd', 'म.स.'],
+  arcsin: ['inverse sine', 'व्युत्क्रम साइन'], arccos: ['inverse cosine', 'व्युत्क्रम कोसाइन'], arctan: ['inverse tangent', 'व्युत्क्रम टैन']
+};
+
+// Big operators whose sub/superscripts are limits
+const BIG_OPERATORS = {
+  sum: ['sum', 'योग'], prod: ['product', 'गुणनफल'], int: ['integral', 'समाकल'], iint: ['double integral', 'द्वि समाकल'],
+  oint: ['contour integral', 'कंटूर समाकल'], lim: ['limit', 'सीमा'], bigcup: ['union', 'सम्मिलन'], bigcap: ['intersection', 'सर्वनिष्ठ']
+};
+
+const TEMPLATES = {
+  fraction: ['{0} over {1}', '{0} बटा {1}'],
+  fractionComplex: ['fraction, {0}, over {1}, end fraction', 'भिन्न, {0}, बटा {1}, भिन्न समाप्त'],
+  squared: ['{0} squared', '{0} का वर्ग'],
+  cubed: ['{0} cubed', '{0} का घन'],
+  power: ['{0} to the power {1}', '{0} की घात {1}'],
+  powerComplex: ['{0} to the power {1}, end power', '{0} की घात {1}, घात समाप्त'],
+  charge: ['{0} with charge {1}', '{0}, आवेश {1}'],
+  subscript: ['{0} sub {1}', '{0} पाद {1}'],
+  sqrt: ['square root of {0}', '{0} का वर्गमूल'],
+  sqrtComplex: ['square root of {0}, end root', '{0} का वर्गमूल, मूल समाप्त'],
+  root: ['root {1} of {0}', '{0} का {1} वाँ मूल'],
+  limits: ['{0} from {1} to {2} of', '{0}, {1} से {2} तक,'],
+  lowerLimit: ['{0} over {1} of', '{0}, {1} पर,'],
+  limit: ['limit as {0} of', 'सीमा, जब {0},'],
+  limitApproach: ['limit as {0} tends to {1} of', '{0} के {1} की ओर जाने पर सीमा,'],
+  relation: ['{0} {1} {2}', '{0}, {2} {1}'],
+  function: ['{0} of {1}', '{0} {1}'],
+  openParen: ['open paren', 'कोष्ठक खुला'],
+  closeParen: ['close paren', 'कोष्ठक बंद'],
+  openBracket: ['open bracket', 'वर्ग कोष्ठक खुला'],
+  closeBracket: ['close bracket', 'वर्ग कोष्ठक बंद'],
+  openBrace: ['open brace', 'धनु कोष्ठक खुला'],
+  closeBrace: ['close brace', 'धनु कोष्ठक बंद'],
+  vector: ['vector {0}', 'सदिश {0}'],
+  bar: ['{0} bar', '{0} बार'],
+  hat: ['{0} hat', '{0} हैट'],
+  dot: ['{0} dot', '{0} डॉट'],
+  overset: ['{1} with {0} above', '{1}, ऊपर {0}'],
+  underset: ['{1} with {0} below', '{1}, नीचे {0}'],
+  matrix: ['matrix with {0} rows: {1}, end matrix', 'आव्यूह, {0} पंक्तियाँ: {1}, आव्यूह समाप्त'],
+  determinant: ['determinant with {0} rows: {1}, end determinant', 'सारणिक, {0} पंक्तियाँ: {1}, सारणिक समाप्त'],
+  cases: ['cases: {1}, end cases', 'स्थितियाँ: {1}, स्थितियाँ समाप्त'],
+  rows: ['{0} rows: {1}', '{0} पंक्तियाँ: {1}'],
+  row: ['row {0}: {1}', 'पंक्ति {0}: {1}']
+};
+
+const MATRIX_ENVIRONMENTS = ['matrix', 'pmatrix', 'bmatrix', 'Bmatrix', 'smallmatrix', 'array'];
+const DETERMINANT_ENVIRONMENTS = ['vmatrix', 'Vmatrix'];
+const CASES_ENVIRONMENTS = ['cases', 'dcases', 'rcases'];
+
+// Commands that only change appearance; their (last) argument is read as-is
+const STYLE_COMMANDS = ['mathrm', 'mathbf', 'mathit', 'mathsf', 'mathtt', 'mathcal', 'mathbb', 'boldsymbol',
+  'displaystyle', 'textstyle', 'operatorname', 'mathord', 'mathop', 'mathbin', 'mathrel'];
+const TEXT_COMMANDS = ['text', 'textrm', 'textbf', 'textit', 'mbox'];
+// Commands that are not read: spacing, delimiter sizing and \( \) \[ \] math delimiters
+const SILENT_COMMANDS = [',', ':', ';', '!', ' ', 'quad', 'qquad', 'enspace', 'thinspace', 'left', 'right',
+  'big', 'Big', 'bigg', 'Bigg', 'limits', 'nolimits', 'placeholder', '(', ')', '[', ']'];
+
+function localeIndex(locale) {
+  return locale === 'hi' ? 1 : 0;
+}
+
+function fill(template, args) {
+  return template.replace(/\{(\d)\}/g, (match, n) => args[n] ?? '');
+}
+
+/**
+ * Split LaTeX into tokens. \text{...} arguments are kept as raw text.
+ */
+function tokenize(latex) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < latex.length) {
+    const ch = latex[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '\\') {
+      const match = /^\\([a-zA-Z]+|.)/.exec(latex.substring(i));
+      const name = match ? match[1] : '';
+      i += name.length + 1;
+
+      if (TEXT_COMMANDS.includes(name)) {
+        while (/\s/.test(latex[i] || '')) i++;
+        if (latex[i] === '{') {
+          let depth = 1;
+          let end = i + 1;
+          while (end < latex.length && depth > 0) {
+            if (latex[end] === '{') depth++;
+            else if (latex[end] === '}') depth--;
+            end++;
+          }
+          tokens.push({ type: 'text', value: latex.substring(i + 1, end - 1) });
+          i = end;
+          continue;
+        }
+      }
+      tokens.push(name === '\\' ? { type: 'newline' } : { type: 'command', value: name });
+    } else if (/[0-9]/.test(ch)) {
+      const match = /^[0-9]+(\.[0-9]+)?/.exec(latex.substring(i));
+      tokens.push({ type: 'number', value: match[0] });
+      i += match[0].length;
+    } else {
+      const types = { '{': 'open', '}': 'close', '^': 'sup', '_': 'sub', '&': 'align' };
+      tokens.push({ type: types[ch] || 'char', value: ch });
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Index of the item closing the bracket opened at `start`, or -1
+ */
+function findClosingDelimiter(items, start) {
+  let depth = 0;
+  for (let i = start; i < items.length; i++) {
+    if (items[i].delimiter === 'open') depth++;
+    else if (items[i].delimiter === 'close' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+class SpeechReader {
+  constructor(tokens, locale) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.lang = localeIndex(locale);
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  say(table, key, ...args) {
+    const entry = table[key];
+    return entry ? fill(entry[this.lang], args) : key;
+  }
+
+  /**
+   * Read items until the end, a closing brace, or (inside environments) & and \\
+   * @returns {Array<Object>} Items as { text, simple }
+   */
+  readSequence({ stopAtAlign = false, stopAtCommand = null } = {}) {
+    const items = [];
+    while (this.pos < this.tokens.length) {
+      const token = this.peek();
+      if (token.type === 'close') break;
+      if (stopAtAlign && (token.type === 'align' || token.type === 'newline')) break;
+      if (stopAtCommand && token.type === 'command' && token.value === stopAtCommand) break;
+
+      const item = this.readScripts(this.readAtom());
+      if (item && item.text) items.push(item);
+    }
+    return this.orderRelations(items);
+  }
+
+  /**
+   * Put the relations of a sequence in the language's word order. Bracketed
+   * parts and comma-separated parts are ordered on their own; a relation
+   * without a value on both sides is read where it is.
+   * @returns {Array<Object>} The items, with each ordered part as one item
+   */
+  orderRelations(items) {
+    if (!items.some(item => item.relation)) return items;
+
+    const result = [];
+    let part = [];
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const close = item.delimiter === 'open' ? findClosingDelimiter(items, i) : -1;
+      if (close !== -1) {
+        const inner = this.orderRelations(items.slice(i + 1, close));
+        part.push({ text: this.join([item, ...inner, items[close]]), simple: false });
+        i = close;
+      } else if (item.separator) {
+        result.push(...this.orderPart(part), item);
+        part = [];
+      } else {
+        part.push(item);
+      }
+    }
+    result.push(...this.orderPart(part));
+    return result;
+  }
+
+  orderPart(items) {
+    const segments = [[]];
+    const relations = [];
+    for (const item of items) {
+      if (item.relation) {
+        relations.push(item);
+        segments.push([]);
+      } else {
+        segments[segments.length - 1].push(item);
+      }
+    }
+    if (relations.length === 0) return items;
+
+    let text = this.join(segments[0]);
+    relations.forEach((relation, index) => {
+      const right = this.join(segments[index + 1]);
+      text = text && right
+        ? this.say(TEMPLATES, 'relation', text, relation.text, right)
+        : this.join([{ text }, relation, { text: right }]);
+    });
+    return [{ text, simple: false }];
+  }
+
+  join(items) {
+    return items.map(item => item.text).join(' ').replace(/\s+,/g, ',').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Read a {group} or a single atom as an argument
+   */
+  readArgument() {
+    const token = this.peek();
+    if (!token) return { text: '', simple: true };
+    if (token.type === 'open') {
+      this.next();
+      const items = this.readSequence();
+      if (this.peek()?.type === 'close') this.next();
+      return { text: this.join(items), simple: items.length <= 1 && items.every(item => item.simple) };
+    }
+    // An unbraced argument is a single digit: \frac12, x^23
+    if (token.type === 'number' && token.value.length > 1) {
+      this.tokens[this.pos] = { type: 'number', value: token.value.substring(1) };
+      return { text: token.value[0], simple: true };
+    }
+    return this.readAtom() || { text: '', simple: true };
+  }
+
+  /**
+   * Read a {group} as source text, e.g. an environment name
+   */
+  readRawArgument() {
+    if (this.peek()?.type !== 'open') return '';
+    this.next();
+    let raw = '';
+    while (this.pos < this.tokens.length && this.peek().type !== 'close') {
+      raw += this.next().value || '';
+    }
+    this.next();
+    return raw;
+  }
+
+  readOptionalArgument() {
+    if (this.peek()?.type !== 'char' || this.peek().value !== '[') return null;
+    this.next();
+    const items = [];
+    while (this.pos < this.tokens.length && !(this.peek().type === 'char' && this.peek().value === ']')) {
+      const item = this.readScripts(this.readAtom());
+      if (item && item.text) items.push(item);
+    }
+    this.next();
+    return this.join(items);
+  }
+
+  readScripts(base) {
+    if (!base) return base;
+    let result = base;
+
+    while (this.peek() && (this.peek().type === 'sup' || this.peek().type === 'sub')) {
+      const kind = this.next().type;
+      const start = this.pos;
+      const argument = this.readArgument();
+      const source = this.tokens.slice(start, this.pos).map(token => token.value || '').join('').replace(/[{}]/g, '');
+
+      if (kind === 'sub') {
+        result = { text: this.say(TEMPLATES, 'subscript', result.text, argument.text), simple: false };
+      } else if (/^\d*[+-]$/.test(source)) {
+        // Ion charge: SO4^{2-}
+        result = { text: this.say(TEMPLATES, 'charge', result.text, argument.text), simple: false };
+      } else if (argument.text === '2') {
+        result = { text: this.say(TEMPLATES, 'squared', result.text), simple: false };
+      } else if (argument.text === '3') {
+        result = { text: this.say(TEMPLATES, 'cubed', result.text), simple: false };
+      } else if (argument.text === this.say(SYMBOLS, 'circ')) {
+        result = { text: `${result.text} ${argument.text}`, simple: false };
+      } else {
+        const template = argument.simple ? 'power' : 'powerComplex';
+        result = { text: this.say(TEMPLATES, template, result.text, argument.text), simple: false };
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Read sub/superscripts of a big operator as its limits
+   */
+  readLimits() {
+    let lower = null;
+    let upper = null;
+    while (this.peek() && (this.peek().type === 'sup' || this.peek().type === 'sub')) {
+      const kind = this.next().type;
+      const argument = this.readArgument();
+      if (kind === 'sub') lower = argument.text;
+      else upper = argument.text;
+    }
+    return { lower, upper };
+  }
+
+  /**
+   * Read a \lim subscript like {x \to 0} as the variable and the value it
+   * tends to, which Hindi says in a different order
+   * @returns {Object|null} { variable, value }, or null (nothing read) for other subscripts
+   */
+  readLimitApproach() {
+    const start = this.pos;
+    if (this.peek()?.type !== 'sub' || this.tokens[this.pos + 1]?.type !== 'open') return null;
+    this.pos += 2;
+
+    const variable = this.readSequence({ stopAtCommand: 'to' });
+    if (this.peek()?.type !== 'command' || !variable.length) {
+      this.pos = start;
+      return null;
+    }
+    this.next();
+    const value = this.readSequence();
+    if (this.peek()?.type === 'close') this.next();
+    return { variable: this.join(variable), value: this.join(value) };
+  }
+
+  readEnvironment(name) {
+    const rows = [[]];
+    let cellItems = [];
+
+    while (this.pos < this.tokens.length) {
+      const token = this.peek();
+      if (token.type === 'command' && token.value === 'end') {
+        this.next();
+        this.readRawArgument();
+        break;
+      }
+      if (token.type === 'align' || token.type === 'newline') {
+        this.next();
+        rows[rows.length - 1].push(this.join(cellItems));
+        cellItems = [];
+        if (token.type === 'newline') rows.push([]);
+        continue;
+      }
+      cellItems.push(...this.readSequence({ stopAtAlign: true, stopAtCommand: 'end' }));
+      if (this.peek()?.type === 'close') this.next();
+    }
+    rows[rows.length - 1].push(this.join(cellItems));
+
+    const nonEmptyRows = rows.filter(row => row.some(cell => cell));
+    const rowText = nonEmptyRows
+      .map((row, index) => this.say(TEMPLATES, 'row', index + 1, row.filter(Boolean).join(', ')))
+      .join('; ');
+
+    let template = 'rows';
+    if (MATRIX_ENVIRONMENTS.includes(name)) template = 'matrix';
+    else if (DETERMINANT_ENVIRONMENTS.includes(name)) template = 'determinant';
+    else if (CASES_ENVIRONMENTS.includes(name)) template = 'cases';
+
+    return { text: this.say(TEMPLATES, template, nonEmptyRows.length, rowText), simple: false };
+  }
+
+  readCommand(name) {
+    if (SILENT_COMMANDS.includes(name)) return null;
+    if (GREEK[name]) return { text: this.say(GREEK, name), simple: true };
+    if (SYMBOLS[name]) return this.readSymbol(name);
+    if (name === '{') return { text: this.say(TEMPLATES, 'openBrace'), simple: true, delimiter: 'open' };
+    if (name === '}') return { text: this.say(TEMPLATES, 'closeBrace'), simple: true, delimiter: 'close' };
+
+    if (FUNCTIONS[name]) {
+      const fn = this.readScripts({ text: this.say(FUNCTIONS, name), simple: true });
+      const argument = this.peek()?.type === 'open' ? this.readArgument() : null;
+      return argument
+        ? { text: this.say(TEMPLATES, 'function', fn.text, argument.text), simple: false }
+        : fn;
+    }
+
+    if (BIG_OPERATORS[name]) {
+      const approach = name === 'lim' ? this.readLimitApproach() : null;
+      if (approach) {
+        return { text: this.say(TEMPLATES, 'limitApproach', approach.variable, approach.value), simple: false };
+      }
+      const { lower, upper } = this.readLimits();
+      const operator = this.say(BIG_OPERATORS, name);
+      if (name === 'lim' && lower) return { text: this.say(TEMPLATES, 'limit', lower), simple: false };
+      if (lower && upper) return { text: this.say(TEMPLATES, 'limits', operator, lower, upper), simple: false };
+      if (lower) return { text: this.say(TEMPLATES, 'lowerLimit', operator, lower), simple: false };
+      return { text: operator, simple: true };
+    }
+
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac':
+      case 'cfrac': {
+        const numerator = this.readArgument();
+        const denominator = this.readArgument();
+        const template = numerator.simple && denominator.simple ? 'fraction' : 'fractionComplex';
+        return { text: this.say(TEMPLATES, template, numerator.text, denominator.text), simple: false };
+      }
+      case 'sqrt': {
+        const index = this.readOptionalArgument();
+        const radicand = this.readArgument();
+        if (index) return { text: this.say(TEMPLATES, 'root', radicand.text, index), simple: false };
+        return { text: this.say(TEMPLATES, radicand.simple ? 'sqrt' : 'sqrtComplex', radicand.text), simple: false };
+      }
+      case 'vec':
+      case 'overrightarrow':
+        return { text: this.say(TEMPLATES, 'vector', this.readArgument().text), simple: false };
+      case 'bar':
+      case 'overline':
+        return { text: this.say(TEMPLATES, 'bar', this.readArgument().text), simple: false };
+      case 'hat':
+        return { text: this.say(TEMPLATES, 'hat', this.readArgument().text), simple: false };
+      case 'dot':
+        return { text: this.say(TEMPLATES, 'dot', this.readArgument().text), simple: false };
+      case 'overset':
+      case 'underset': {
+        const script = this.readArgument().text;
+        const base = this.readArgument().text;
+        return { text: this.say(TEMPLATES, name, script, base), simple: false };
+      }
+      case 'begin': {
+        const environment = this.readRawArgument();
+        // Column spec of array, e.g. {cc}
+        if (environment === 'array') this.readRawArgument();
+        return this.readEnvironment(environment);
+      }
+      case 'htmlStyle':
+      case 'textcolor':
+      case 'color':
+      case 'style':
+        this.readArgument();
+        return name === 'color' ? null : this.readArgument();
+      case 'raisebox':
+        this.readArgument();
+        return this.readArgument();
+      case 'xrightarrow':
+      case 'xleftarrow': {
+        const below = this.readOptionalArgument();
+        const above = this.readArgument().text;
+        const arrow = this.say(SYMBOLS, name === 'xrightarrow' ? 'rightarrow' : 'leftarrow');
+        return { text: [arrow, above, below].filter(Boolean).join(', '), simple: false };
+      }
+      default:
+        if (STYLE_COMMANDS.includes(name)) {
+          return name === 'displaystyle' || name === 'textstyle' ? null : this.readArgument();
+        }
+        // Unknown command: read its name
+        return { text: name, simple: true };
+    }
+  }
+
+  readAtom() {
+    const token = this.next();
+    if (!token) return null;
+
+    switch (token.type) {
+      case 'open': {
+        const items = this.readSequence();
+        if (this.peek()?.type === 'close') this.next();
+        return { text: this.join(items), simple: items.length <= 1 && items.every(item => item.simple) };
+      }
+      case 'number':
+        return { text: token.value, simple: true };
+      case 'text':
+        return { text: token.value.trim(), simple: true };
+      case 'command':
+        return this.readCommand(token.value);
+      case 'char':
+        return this.readChar(token.value);
+      default:
+        // Stray ^ _ & \\ or }
+        return null;
+    }
+  }
+
+  readSymbol(key) {
+    return { text: this.say(SYMBOLS, key), simple: true, relation: RELATIONS.includes(key), separator: key === ',' || key === ';' };
+  }
+
+  readChar(ch) {
+    if (/[a-zA-Z]/.test(ch)) return { text: ch, simple: true };
+    if (ch === '(') return { text: this.say(TEMPLATES, 'openParen'), simple: true, delimiter: 'open' };
+    if (ch === ')') return { text: this.say(TEMPLATES, 'closeParen'), simple: true, delimiter: 'close' };
+    if (ch === '[') return { text: this.say(TEMPLATES, 'openBracket'), simple: true, delimiter: 'open' };
+    if (ch === ']') return { text: this.say(TEMPLATES, 'closeBracket'), simple: true, delimiter: 'close' };
+    if (SYMBOLS[ch]) return this.readSymbol(ch);
+    return { text: ch, simple: true };
+  }
+}
+
+/**
+ * Generate a spoken description of a formula
+ * @param {string} latex - Formula source
+ * @param {string} [locale='en'] - 'en' or 'hi'
+ * @returns {string} Text for aria-label
+ */
+export function latexToSpeech(latex, locale = 'en') {
+  if (!latex) return '';
+  try {
+    // Chemistry is read from its plain LaTeX form: \ce{H2O} → H sub 2 O
+    const reader = new SpeechReader(tokenize(expandMhchem(latex)), locale);
+    const items = [];
+    while (reader.pos < reader.tokens.length) {
+      items.push(...reader.readSequence());
+      // Skip an unmatched closing brace and keep reading
+      if (reader.peek()?.type === 'close') reader.next();
+    }
+    return reader.join(items);
+  } catch (error) {
+    return latex;
+  }
+}
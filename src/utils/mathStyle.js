@@ -0,0 +1,95 @@
+/**
+ * Whole-formula styling: font family, size and color.
+ *
+ * Stored as attributes of the formula (mathFontFamily, mathFontSize,
+ * mathColor) and written as CSS on the formula's wrapper, so the LaTeX stays
+ * clean and the style survives every render format. \htmlStyle is only used
+ * for parts of a formula.
+ */
+
+// Model attribute → CSS property on the wrapper
+export const MATH_STYLE_ATTRIBUTES = {
+  mathFontFamily: 'font-family',
+  mathFontSize: 'font-size',
+  mathColor: 'color'
+};
+
+export const MATH_FONT_SIZES = [];
+for (let i = 8; i <= 35; i += 0.5) {
+  MATH_FONT_SIZES.push(`${i % 1 === 0 ? i : i.toFixed(1)}pt`);
+}
+
+export const DEFAULT_MATH_FONTS = [
+  'Kokila', 'Mangal', 'Noto Sans Devanagari',
+  'Arial', 'Times New Roman', 'Courier New'
+];
+
+export const MATH_COLORS = [
+  { label: 'Black', value: '#000000' },
+  { label: 'Dark Grey', value: '#555555' },
+  { label: 'Red', value: '#d32f2f' },
+  { label: 'Orange', value: '#e65100' },
+  { label: 'Green', value: '#2e7d32' },
+  { label: 'Blue', value: '#0066cc' },
+  { label: 'Purple', value: '#6a1b9a' }
+];
+
+/**
+ * Quote family names that aren't a single CSS identifier: Times New Roman → 'Times New Roman'.
+ * Lists and already quoted names are kept as they are.
+ */
+function toCssFontFamily(family) {
+  return /^[a-zA-Z-]+$/.test(family) || /[,'"]/.test(family) ? family : `'${family}'`;
+}
+
+function fromCssFontFamily(value) {
+  const match = /^\s*(['"])(.*)\1\s*$/.exec(value);
+  return match ? match[2] : value.trim();
+}
+
+/**
+ * CSS declarations for a formula's wrapper
+ * @param {Function} getAttribute - Reads a model attribute, e.g. key => element.getAttribute(key)
+ * @returns {Array<Array<string>>} [property, value] pairs, empty if the formula isn't styled
+ */
+export function getMathStyleDeclarations(getAttribute) {
+  const declarations = [];
+  const fontFamily = getAttribute('mathFontFamily');
+  if (fontFamily) {
+    const family = toCssFontFamily(fontFamily);
+    // MathLive sets the font of \text through --text-font-family
+    declarations.push(['font-family', family], ['--text-font-family', family]);
+  }
+  if (getAttribute('mathFontSize')) {
+    declarations.push(['font-size', getAttribute('mathFontSize')]);
+  }
+  if (getAttribute('mathColor')) {
+    declarations.push(['color', getAttribute('mathColor')]);
+  }
+  return declarations;
+}
+
+/**
+ * CSS for a formula's wrapper
+ * @param {Function} getAttribute - Reads a model attribute, e.g. key => element.getAttribute(key)
+ * @returns {string} Declarations for the style attribute, or '' if the formula isn't styled
+ */
+export function getMathStyle(getAttribute) {
+  return getMathStyleDeclarations(getAttribute).map(([property, value]) => `${property}:${value}`).join(';');
+}
+
+/**
+ * Formula style attributes from a wrapper's CSS
+ * @param {Function} getStyle - Reads a CSS property, e.g. name => viewElement.getStyle(name)
+ * @returns {Object} Model attributes that are set
+ */
+export function readMathStyle(getStyle) {
+  const attributes = {};
+  for (const [key, property] of Object.entries(MATH_STYLE_ATTRIBUTES)) {
+    const value = getStyle(property);
+    if (value) {
+      attributes[key] = key === 'mathFontFamily' ? fromCssFontFamily(value) : value;
+    }
+  }
+  return attributes;
+}
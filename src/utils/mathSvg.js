@@ -0,0 +1,77 @@
+/**
+ * Self-contained SVG rendering of formulas, for consumers that can't load
+ * MathLive's stylesheet or fonts (email previews, DOCX export, older PDF engines).
+ *
+ * MathLive has no SVG output, so this uses MathJax's TeX-to-SVG converter:
+ * glyphs are emitted as paths (no fonts needed) and the <svg> carries a
+ * vertical-align style that puts its baseline on the text baseline. MathJax is
+ * loaded on demand, and its lite DOM adaptor works the same in the browser
+ * and in Node.
+ */
+
+let rendererPromise = null;
+
+/**
+ * Rewrite MathLive-only commands to their MathJax equivalents
+ */
+export function toMathJaxLatex(latex) {
+  return latex
+    .replace(/\\htmlStyle(?![a-zA-Z])/g, '\\style')
+    .replace(/\\raisebox(?![a-zA-Z])/g, '\\raise');
+}
+
+function createSvgRenderer({ mathjax, TeX, SVG, liteAdaptor, RegisterHTMLHandler, AllPackages }) {
+  const adaptor = liteAdaptor();
+  RegisterHTMLHandler(adaptor);
+
+  const mathDocument = mathjax.document('', {
+    InputJax: new TeX({
+      // Without noundefined, unknown commands throw instead of rendering in red
+      packages: AllPackages.filter(name => name !== 'noundefined'),
+      formatError: (jax, error) => { throw error; }
+    }),
+    // No shared glyph cache, so every <svg> stands on its own
+    OutputJax: new SVG({ fontCache: 'none' })
+  });
+
+  return {
+    /**
+     * @param {string} latex - Formula source
+     * @param {string} display - 'inline' or 'block'
+     * @returns {string} <svg> element markup
+     * @throws If MathJax cannot convert the formula
+     */
+    render(latex, display = 'inline') {
+      const container = mathDocument.convert(toMathJaxLatex(latex), { display: display === 'block' });
+      return adaptor.outerHTML(adaptor.firstChild(container));
+    }
+  };
+}
+
+/**
+ * Load MathJax and create the SVG renderer (once)
+ * @returns {Promise<Object>} Renderer with render(latex, display)
+ */
+export function loadSvgRenderer() {
+  if (!rendererPromise) {
+    rendererPromise = Promise.all([
+      import('mathjax-full/js/mathjax.js'),
+      import('mathjax-full/js/input/tex.js'),
+      import('mathjax-full/js/output/svg.js'),
+      import('mathjax-full/js/adaptors/liteAdaptor.js'),
+      import('mathjax-full/js/handlers/html.js'),
+      import('mathjax-full/js/input/tex/AllPackages.js')
+    ]).then(([core, tex, svg, lite, html, packages]) => createSvgRenderer({
+      mathjax: core.mathjax,
+      TeX: tex.TeX,
+      SVG: svg.SVG,
+      liteAdaptor: lite.liteAdaptor,
+      RegisterHTMLHandler: html.RegisterHTMLHandler,
+      AllPackages: packages.AllPackages
+    })).catch(error => {
+      rendererPromise = null;
+      throw error;
+    });
+  }
+  return rendererPromise;
+}
@@ -0,0 +1,42 @@
+/**
+ * Shared setup for the <math-field> elements in the equation dialog
+ * (the main field and the rows of the steps editor), so they all type
+ * and render the same way.
+ */
+
+import mathEditorCss from '../styles/MathLiveEditor.css?inline'; // Import CSS as string
+
+/**
+ * Configure a mathfield once it is mounted
+ * @param {HTMLElement} element - The math-field element
+ * @param {Object} [mathMacros] - Custom macros (the mathMacros plugin option)
+ */
+export function configureMathfield(element, mathMacros) {
+  element.mathModeSpace = '\\,'; // Allow thin space with spacebar
+  element.smartFence = true;
+  element.smartSuperscript = true;
+  element.letterShapeStyle = 'upright'; // Use normal font instead of italics
+  if (mathMacros) {
+    // Keep MathLive's built-in macros; the value still contains \vect{...} etc.
+    element.macros = { ...element.macros, ...mathMacros };
+  }
+
+  // Set tighter spacing for compact math display
+  // - medmuskip: space around binary operators (default 4mu) - affects \cdot, +, -, etc.
+  // - thinmuskip: thin space amount (default 3mu) - affects \, spacing in mixed fractions
+  element.registers = {
+    thinmuskip: '0mu',
+    medmuskip: '0mu',
+    thickmuskip: '0mu',
+    nulldelimiterspace: '0mu'
+  };
+
+  // Inject custom CSS into shadow DOM to override MathLive defaults
+  const style = document.createElement('style');
+  // Pick up --text-font-family from the nearest editor ancestor
+  const editorEl = element.closest?.('[data-editor-id]') || document.querySelector('[data-editor-id]');
+  const textFontFamily = editorEl ? getComputedStyle(editorEl).getPropertyValue('--text-font-family').trim() : '';
+  const overrideCss = textFontFamily ? `:host { --text-font-family: ${textFontFamily}; }` : '';
+  style.textContent = mathEditorCss + '\n' + overrideCss;
+  element.shadowRoot.appendChild(style);
+}
@@ -0,0 +1,47 @@
+/**
+ * On-demand loading of the MathLive module.
+ *
+ * MathLive is large, so it's imported dynamically to keep it out of the
+ * editor's startup path. Callers can render synchronously once it is loaded
+ * (getMathLive) and wait for it otherwise (loadMathLive). A failed import is
+ * remembered so the UI can show it, and the next loadMathLive() call retries.
+ */
+
+let mathlive = null;
+let loadPromise = null;
+let loadError = null;
+
+/**
+ * Import MathLive (once)
+ * @returns {Promise<Object>} The MathLive module
+ */
+export function loadMathLive() {
+  if (!loadPromise) {
+    loadError = null;
+    loadPromise = import('mathlive')
+      .then(module => {
+        mathlive = module;
+        return module;
+      })
+      .catch(error => {
+        loadError = error;
+        loadPromise = null;
+        throw error;
+      });
+  }
+  return loadPromise;
+}
+
+/**
+ * @returns {Object|null} The MathLive module, or null while it is loading or if it failed
+ */
+export function getMathLive() {
+  return mathlive;
+}
+
+/**
+ * @returns {Error|null} Why the last import failed, or null
+ */
+export function getMathLiveLoadError() {
+  return loadError;
+}
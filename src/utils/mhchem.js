@@ -0,0 +1,306 @@
+/**
+ * mhchem (\ce{...} and \pu{...}) to plain LaTeX.
+ *
+ * MathLive renders \ce and \pu as markup, but its MathML converter drops
+ * them, and the speech generator doesn't know them either. Expanding them to
+ * \mathrm, sub/superscripts and arrows first keeps reactions in every format.
+ * Covers the notation used in school and competitive-exam papers: formulas,
+ * coefficients, charges, states, isotopes, hydrates, precipitate/gas marks
+ * and arrows with conditions.
+ */
+
+import { findMatchingBrace } from './fracReplace.js';
+
+const ARROWS = [
+  ['<=>>', '\\rightleftharpoons'],
+  ['<<=>', '\\rightleftharpoons'],
+  ['<-->', '\\rightleftarrows'],
+  ['<=>', '\\rightleftharpoons'],
+  ['<->', '\\leftrightarrow'],
+  ['->', '\\rightarrow'],
+  ['<-', '\\leftarrow']
+];
+
+const STATE_RE = /^\((s|l|g|aq|c|cr|sln|ppt)\)/;
+
+/**
+ * Read a bracketed arrow label starting at `start` ("[...]")
+ * @returns {Object|null} { content, end }
+ */
+function readBracket(text, start) {
+  if (text[start] !== '[') return null;
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}') depth--;
+    else if (text[i] === ']' && depth === 0) {
+      return { content: text.substring(start + 1, i), end: i + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Arrow with conditions above/below. \overset rather than \xrightarrow:
+ * MathLive's MathML for \xrightarrow is malformed.
+ */
+function arrowToLatex(arrow, above, below) {
+  const withAbove = above ? `\\overset{${above}}{${arrow}}` : arrow;
+  return below ? `\\underset{${below}}{${withAbove}}` : withAbove;
+}
+
+/**
+ * Read a script argument after ^ or _: {group}, or a run of digits and signs
+ * @returns {Object} { content, end }
+ */
+function readScript(word, start) {
+  if (word[start] === '{') {
+    const end = findMatchingBrace(word, start);
+    if (end !== -1) return { content: word.substring(start + 1, end), end: end + 1 };
+  }
+  const match = /^[0-9]*[+-]?/.exec(word.substring(start));
+  return { content: match[0], end: start + match[0].length };
+}
+
+/**
+ * One formula, e.g. 2H2O, Fe^{3+}, SO4^2-, NaCl(aq), ^{14}_{6}C
+ */
+function formulaToLatex(word) {
+  if (word === 'v' || word === '(v)') return '\\downarrow';
+  if (word === '^' || word === '(^)') return '\\uparrow';
+  if (/^\d+(\.\d+)?$/.test(word)) return word;
+
+  // Hydrates and adducts: CuSO4*5H2O, CuSO4.5H2O
+  const parts = word.split(/(?<=[A-Za-z0-9)\]])[*.·](?=[0-9A-Z(])/);
+  if (parts.length > 1) {
+    return parts.map(formulaToLatex).join('\\cdot ');
+  }
+
+  let result = '';
+  let run = '';
+  let i = 0;
+
+  const flush = () => {
+    if (run) {
+      result += `\\mathrm{${run}}`;
+      run = '';
+    }
+  };
+
+  // Stoichiometric coefficient: 2, 1/2, 0.5
+  const coefficient = /^(\d+\/\d+|\d+(?:\.\d+)?)(?=[A-Z([^{\\])/.exec(word);
+  if (coefficient) {
+    const [numerator, denominator] = coefficient[1].split('/');
+    result += denominator ? `\\frac{${numerator}}{${denominator}}\\,` : `${numerator}\\,`;
+    i = coefficient[0].length;
+  }
+
+  // Isotope or nucleon prefix: ^{14}_{6}C, ^{235}U
+  if (word[i] === '^' || word[i] === '_') {
+    let prefix = '{}';
+    while (word[i] === '^' || word[i] === '_') {
+      const marker = word[i];
+      const script = readScript(word, i + 1);
+      prefix += `${marker}{${script.content}}`;
+      i = script.end;
+    }
+    result += prefix;
+  }
+
+  while (i < word.length) {
+    const ch = word[i];
+    const rest = word.substring(i);
+    const state = STATE_RE.exec(rest);
+
+    if (state && state[0].length === rest.length) {
+      flush();
+      result += `\\text{${state[0]}}`;
+      i += state[0].length;
+    } else if (/[A-Za-z()[\]]/.test(ch)) {
+      run += ch;
+      i++;
+    } else if (/[0-9]/.test(ch)) {
+      // Atom counts after an element or a closing bracket
+      const digits = /^[0-9]+/.exec(rest)[0];
+      flush();
+      result += `_{${digits}}`;
+      i += digits.length;
+    } else if (ch === '^' || ch === '_') {
+      const script = readScript(word, i + 1);
+      flush();
+      result += `${ch}{${script.content}}`;
+      i = script.end;
+    } else if ((ch === '+' || ch === '-') && (i === word.length - 1 || STATE_RE.test(word.substring(i + 1)))) {
+      // Trailing sign is a charge: Na+, Cl-, NO3-
+      flush();
+      result += `^{${ch}}`;
+      i++;
+    } else if (ch === '{') {
+      // Braces are an escape: their content is copied as-is
+      const end = findMatchingBrace(word, i);
+      flush();
+      result += end === -1 ? word.substring(i) : `{${word.substring(i + 1, end)}}`;
+      i = end === -1 ? word.length : end + 1;
+    } else if (ch === '$') {
+      const end = word.indexOf('$', i + 1);
+      flush();
+      result += end === -1 ? word.substring(i + 1) : word.substring(i + 1, end);
+      i = end === -1 ? word.length : end + 1;
+    } else if (ch === '\\') {
+      const command = /^\\([a-zA-Z]+|.)/.exec(rest)[0];
+      flush();
+      result += `${command} `;
+      i += command.length;
+    } else {
+      run += ch;
+      i++;
+    }
+  }
+
+  flush();
+  return result;
+}
+
+/**
+ * Split \ce content into words at top-level whitespace, keeping braces and $...$ together
+ */
+function splitWords(text) {
+  const words = [];
+  let current = '';
+  let depth = 0;
+  let inMath = false;
+
+  for (const ch of text) {
+    if (ch === '{') depth++;
+    else if (ch === '}') depth--;
+    else if (ch === '$') inMath = !inMath;
+
+    if (/\s/.test(ch) && depth === 0 && !inMath) {
+      if (current) words.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current) words.push(current);
+  return words;
+}
+
+/**
+ * Convert the content of \ce{...}
+ * @param {string} source - mhchem source, e.g. '2H2 + O2 -> 2H2O'
+ * @param {string} [separator=' '] - Joins the words; arrow labels keep visible spaces
+ * @returns {string} Plain LaTeX
+ */
+export function ceToLatex(source, separator = ' ') {
+  const output = [];
+  const words = splitWords(source);
+
+  for (let w = 0; w < words.length; w++) {
+    let word = words[w];
+    const arrow = ARROWS.find(([symbol]) => word.startsWith(symbol));
+
+    if (arrow) {
+      // Conditions may contain spaces: ->[heat, 500 K]
+      let rest = word.substring(arrow[0].length);
+      while (rest.startsWith('[') && !readBracket(rest, 0) && w + 1 < words.length) {
+        rest += ' ' + words[++w];
+      }
+      const labels = [];
+      let bracket;
+      while ((bracket = readBracket(rest, 0))) {
+        labels.push(bracket.content.trim() ? ceToLatex(bracket.content, '\\ ') : '');
+        rest = rest.substring(bracket.end);
+      }
+      output.push(arrowToLatex(arrow[1], labels[0], labels[1]));
+      if (rest) output.push(formulaToLatex(rest));
+    } else if (word === '+' || word === '=') {
+      output.push(word);
+    } else {
+      output.push(formulaToLatex(word));
+    }
+  }
+
+  return output.join(separator);
+}
+
+/**
+ * Convert the content of \pu{...}: a number and its units
+ * @param {string} source - e.g. '9.81 m/s^2', '6.02e23 mol-1', '25 °C'
+ * @returns {string} Plain LaTeX
+ */
+export function puToLatex(source) {
+  const text = source.trim();
+  const number = /^([+-]?\d+(?:[.,]\d+)?)(?:\s*[eE]([+-]?\d+))?\s*/.exec(text);
+
+  let result = '';
+  let units = text;
+  if (number && number[0]) {
+    result = number[2] ? `${number[1]}\\times 10^{${number[2]}}` : number[1];
+    units = text.substring(number[0].length);
+  }
+  if (!units) return result;
+
+  const unitLatex = units
+    .split(/(\/|\s+|[*.·](?=\D))/)
+    .filter(part => part && part.trim() !== '' || part === '/')
+    .map(part => {
+      if (part === '/') return '/';
+      if (/^[*.·]$/.test(part)) return '\\cdot ';
+      const unit = /^([^\d^+-]+)\^?\{?([+-]?\d+)?\}?$/.exec(part);
+      if (!unit) return `\\mathrm{${part}}`;
+      return unit[2] ? `\\mathrm{${unit[1]}}^{${unit[2]}}` : `\\mathrm{${unit[1]}}`;
+    });
+
+  // Thin space between units that aren't joined by / or a dot
+  let joined = '';
+  for (let i = 0; i < unitLatex.length; i++) {
+    const part = unitLatex[i];
+    const previous = unitLatex[i - 1];
+    const isJoiner = (p) => p === '/' || p === '\\cdot ';
+    joined += i > 0 && !isJoiner(part) && !isJoiner(previous) ? `\\,${part}` : part;
+  }
+
+  return result ? `${result}\\,${joined}` : joined;
+}
+
+/**
+ * Replace every \ce{...} and \pu{...} in a formula with plain LaTeX
+ * @param {string} latex - Formula source
+ * @returns {string} LaTeX without mhchem commands
+ */
+export function expandMhchem(latex) {
+  if (!latex || !/\\(ce|pu)(?![a-zA-Z])/.test(latex)) return latex;
+
+  let result = latex;
+  const commandRe = /\\(ce|pu)(?![a-zA-Z])\s*/;
+  // Each pass removes one command; \pu inside \ce is left in place by ceToLatex
+  // and expanded on a later pass
+  let match;
+  while ((match = commandRe.exec(result)) !== null) {
+
+    const openIndex = match.index + match[0].length;
+    const closeIndex = findMatchingBrace(result, openIndex);
+    if (closeIndex === -1) break;
+
+    const content = result.substring(openIndex + 1, closeIndex);
+    const converted = match[1] === 'ce' ? ceToLatex(content) : puToLatex(content);
+    result = `${result.substring(0, match.index)}{${converted}}${result.substring(closeIndex + 1)}`;
+  }
+  return result;
+}
+
+/**
+ * The reaction of a formula that is a single \ce{...}
+ * @param {string} latex - Formula source
+ * @returns {string|null} Content of \ce, or null if the formula is anything else
+ */
+export function getCeContent(latex) {
+  const match = /^\s*\\ce\s*/.exec(latex || '');
+  if (!match) return null;
+
+  const openIndex = match[0].length;
+  const closeIndex = findMatchingBrace(latex, openIndex);
+  if (closeIndex === -1 || latex.substring(closeIndex + 1).trim() !== '') return null;
+  return latex.substring(openIndex + 1, closeIndex);
+}
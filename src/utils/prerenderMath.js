@@ -0,0 +1,136 @@
+/**
+ * Server-side pre-rendering of math formulas in saved editor HTML.
+ *
+ * Runs in Node without a DOM or editor instance. Every span.math-tex and
+ * div.math-tex gets its rendered markup (or MathML) filled in or refreshed
+ * from data-latex, through the same pipeline MathLivePlugin uses, so PDFs
+ * match the editor exactly.
+ *
+ * Usage:
+ *   import { prerenderMathHtml } from '@tarak/ckeditor-plugins/utils/prerenderMath.js';
+ *   const html = await prerenderMathHtml(savedHtml);
+ *
+ * Markup output still needs mathlive/static.css (and its fonts) on the page.
+ */
+
+import { renderLatexToString } from './mathRender.js';
+import { loadSvgRenderer } from './mathSvg.js';
+import { latexToSpeech } from './mathSpeech.js';
+import { expandMacros } from './mathMacros.js';
+import { decodeEntities, escapeAttribute, parseAttributes, setTagAttribute } from './htmlAttributes.js';
+
+const OPEN_TAG_RE = /<(span|div)\b([^>]*)>/gi;
+const EQUATION_NUMBER_RE = /<span\b[^>]*class="[^"]*\bmath-equation-number\b[^"]*"[^>]*>[\s\S]*?<\/span>/i;
+
+/**
+ * Add role="math" and a spoken aria-label to an opening tag that has none
+ * (content saved before the editor emitted them)
+ */
+function addSpeechAttributes(openTag, attributes, latex, { macros, speechLocale }) {
+  if (attributes['aria-label']) return openTag;
+
+  const speech = attributes['data-speech'] || latexToSpeech(expandMacros(latex, macros), speechLocale);
+  const role = attributes.role ? '' : ' role="math"';
+  return openTag.replace(/\s*\/?>$/, `${role} aria-label="${escapeAttribute(speech)}">`);
+}
+
+/**
+ * LaTeX of legacy content without its \(...\) or \[...\] delimiters
+ */
+function stripLegacyDelimiters(text) {
+  const match = /^\\([([])([\s\S]*)\\([)\]])$/.exec(text);
+  if (!match || match[3] !== (match[1] === '(' ? ')' : ']')) return text;
+  return match[2].trim();
+}
+
+/**
+ * Find the index of the closing tag matching an opening tag that ends at `from`
+ * @returns {Object|null} { start, end } of the closing tag
+ */
+function findClosingTag(html, tagName, from) {
+  const tagRe = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+  tagRe.lastIndex = from;
+  let depth = 1;
+  let match;
+
+  while ((match = tagRe.exec(html)) !== null) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) {
+      return { start: match.index, end: match.index + match[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill or refresh the rendered content of every math-tex element in an HTML string.
+ * @param {string} html - Saved editor HTML
+ * @param {Object} [options]
+ * @param {Object} [options.mathlive] - MathLive module to use (defaults to importing 'mathlive',
+ *   which resolves to its SSR build in Node)
+ * @param {string} [options.format] - Force 'markup', 'mathml' or 'svg' instead of each formula's data-render-format
+ * @param {string} [options.defaultFormat='markup'] - Format for formulas without data-render-format
+ * @param {Object} [options.macros] - Custom macros, same as the editor's mathMacros option
+ * @param {Array} [options.rewriteRules] - LaTeX rewrite rules, same as the editor's mathRewriteRules option
+ * @param {string} [options.speechLocale='en'] - Language of the aria-label added to formulas that lack one
+ * @param {Function} [options.onError] - Called with (error, latex) for formulas that fail to render;
+ *   those elements are left unchanged
+ * @returns {Promise<string>} HTML with rendered formulas
+ */
+export async function prerenderMathHtml(html, options = {}) {
+  if (!html) return html || '';
+
+  const { format, defaultFormat = 'markup', macros, rewriteRules, speechLocale = 'en', onError } = options;
+  const mathlive = options.mathlive || await import('mathlive');
+  let svgRenderer = null;
+
+  let result = '';
+  let cursor = 0;
+  OPEN_TAG_RE.lastIndex = 0;
+  let match;
+
+  while ((match = OPEN_TAG_RE.exec(html)) !== null) {
+    const [openTag, tagName, attributeText] = match;
+    const attributes = parseAttributes(attributeText);
+    const classes = (attributes.class || '').split(/\s+/);
+
+    if (!classes.includes('math-tex')) continue;
+
+    const contentStart = match.index + openTag.length;
+    const closing = findClosingTag(html, tagName, contentStart);
+    if (!closing) break;
+
+    const innerHtml = html.substring(contentStart, closing.start);
+    // Legacy content stores the LaTeX as the element's text, which the rendered output replaces
+    const legacy = !attributes['data-latex'];
+    const latex = legacy ? stripLegacyDelimiters(decodeEntities(innerHtml.replace(/<[^>]*>/g, '')).trim()) : attributes['data-latex'];
+    const useFormat = format || attributes['data-render-format'] || defaultFormat;
+    const display = attributes['data-display'] === 'block' ? 'block' : 'inline';
+
+    let rendered = null;
+    if (latex) {
+      try {
+        if (useFormat === 'svg' && !svgRenderer) {
+          svgRenderer = await loadSvgRenderer();
+        }
+        rendered = renderLatexToString(mathlive, latex, useFormat, display, { macros, svgRenderer, rewriteRules });
+      } catch (error) {
+        if (onError) onError(error, latex);
+      }
+    }
+
+    if (rendered !== null) {
+      const equationNumber = innerHtml.match(EQUATION_NUMBER_RE)?.[0] || '';
+      const tag = addSpeechAttributes(openTag, attributes, latex, { macros, speechLocale });
+      result += html.substring(cursor, match.index) +
+        (legacy ? setTagAttribute(tag, 'data-latex', latex) : tag) +
+        `<span class="math-formula-render" aria-hidden="true">${rendered}</span>${equationNumber}`;
+      cursor = closing.start;
+    }
+
+    // Continue after this element; nested math-tex elements are not expected
+    OPEN_TAG_RE.lastIndex = closing.end;
+  }
+
+  return result + html.substring(cursor);
+}
@@ -0,0 +1,251 @@
+/**
+ * Structured QR code contents: contact cards, Wi-Fi credentials, UPI
+ * payments, locations, SMS, e-mail and calendar events.
+ *
+ * Each payload type has form fields for the QR dialog and builds the string
+ * phone apps expect, escaped for its format. Fields may contain @variables:
+ * the dialog builds a template that keeps them as typed, and
+ * renderVariableCodes fills in the saved fields and builds the payload again,
+ * so the values are escaped like the rest of the text.
+ */
+
+import { encodeAroundVariables, findCodeVariables } from './variableCodes.js';
+
+const hasVariables = (value) => findCodeVariables(value).length > 0;
+
+const ESCAPES = {
+  // vCard and iCalendar text values: backslash, comma, semicolon and line breaks
+  contentLine: (text) => text
+    .replace(/\\/g, '\\\\')
+    .replace(/([,;])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n'),
+  // Wi-Fi QR fields: backslash, semicolon, comma, colon and double quote
+  wifi: (text) => text.replace(/([\\;,:"])/g, '\\$1'),
+  // URI query values; UPI IDs and e-mail addresses keep their @
+  uri: (text) => encodeURIComponent(text).replace(/%40/g, '@')
+};
+
+/**
+ * The escapes and variable test a payload type validates and builds with.
+ * A template escapes only the text around its @variables, which are checked
+ * once filled in; filled-in values are escaped and checked whole.
+ */
+function payloadContext(keepVariables) {
+  const context = { hasVariables: keepVariables ? hasVariables : () => false };
+  for (const [name, escape] of Object.entries(ESCAPES)) {
+    context[name] = keepVariables ? (value) => encodeAroundVariables(value, escape) : escape;
+  }
+  return context;
+}
+
+const query = (params, uri) => params
+  .filter(([, value]) => value)
+  .map(([name, value]) => `${name}=${uri(value)}`)
+  .join('&');
+
+const DATE_TIME_RE = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/;
+
+/**
+ * 2026-10-19 09:30 → 20261019T093000 (floating local time)
+ */
+const icalDate = (value) => value.replace(DATE_TIME_RE, (match, year, month, day, hours, minutes) => `${year}${month}${day}T${hours}${minutes}00`);
+
+const isNumberInRange = (value, min, max) => /^-?\d+(\.\d+)?$/.test(value) && +value >= min && +value <= max;
+
+/**
+ * Payload types by name, in the order the dialog lists them. Each is
+ * { label, fields: [{ name, label, type?, options?, required?, placeholder? }],
+ *   validate?(fields, context) → error message | null, build(fields, context) → string },
+ * where context has the format escapes (contentLine, wifi, uri) and hasVariables(value).
+ * Field type is 'text' (default), 'textarea', 'select' or 'checkbox'.
+ */
+export const QR_PAYLOAD_TYPES = {
+  text: {
+    label: 'Text / URL',
+    fields: [
+      { name: 'text', label: 'Text/URL', required: true, placeholder: 'Enter text or URL...' }
+    ],
+    build: ({ text }) => text
+  },
+
+  vcard: {
+    label: 'Contact (vCard)',
+    fields: [
+      { name: 'firstName', label: 'First name' },
+      { name: 'lastName', label: 'Last name' },
+      { name: 'organization', label: 'Organization' },
+      { name: 'title', label: 'Job title' },
+      { name: 'phone', label: 'Phone', placeholder: '+91 98765 43210' },
+      { name: 'email', label: 'E-mail' },
+      { name: 'website', label: 'Website' },
+      { name: 'address', label: 'Address', type: 'textarea' }
+    ],
+    validate: ({ firstName, lastName, organization }) =>
+      (firstName || lastName || organization ? null : 'Please enter a name or an organization.'),
+    build({ firstName = '', lastName = '', organization, title, phone, email, website, address }, { contentLine }) {
+      const fullName = [firstName, lastName].filter(Boolean).join(' ') || organization;
+      const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `N:${contentLine(lastName)};${contentLine(firstName)};;;`,
+        `FN:${contentLine(fullName)}`,
+        organization && `ORG:${contentLine(organization)}`,
+        title && `TITLE:${contentLine(title)}`,
+        phone && `TEL;TYPE=CELL:${contentLine(phone)}`,
+        email && `EMAIL:${contentLine(email)}`,
+        website && `URL:${contentLine(website)}`,
+        address && `ADR:;;${contentLine(address)};;;;`,
+        'END:VCARD'
+      ];
+      return lines.filter(Boolean).join('\n');
+    }
+  },
+
+  wifi: {
+    label: 'Wi-Fi network',
+    fields: [
+      { name: 'ssid', label: 'Network name (SSID)', required: true },
+      {
+        name: 'encryption',
+        label: 'Security',
+        type: 'select',
+        options: [['WPA', 'WPA/WPA2/WPA3'], ['WEP', 'WEP'], ['nopass', 'None (open network)']]
+      },
+      { name: 'password', label: 'Password' },
+      { name: 'hidden', label: 'Hidden network', type: 'checkbox' }
+    ],
+    validate: ({ encryption = 'WPA', password }) =>
+      (encryption !== 'nopass' && !password ? 'Please enter the Wi-Fi password, or choose an open network.' : null),
+    build({ ssid, encryption = 'WPA', password, hidden }, { wifi }) {
+      const parts = [`T:${encryption}`, `S:${wifi(ssid)}`];
+      if (encryption !== 'nopass') parts.push(`P:${wifi(password)}`);
+      if (hidden === 'true') parts.push('H:true');
+      return `WIFI:${parts.join(';')};;`;
+    }
+  },
+
+  upi: {
+    label: 'UPI payment',
+    fields: [
+      { name: 'vpa', label: 'UPI ID', required: true, placeholder: 'school@okaxis' },
+      { name: 'name', label: 'Payee name', required: true },
+      { name: 'amount', label: 'Amount (INR)', placeholder: 'Leave empty to let the payer enter it' },
+      { name: 'note', label: 'Note', placeholder: 'e.g. Admission fee @student_id' }
+    ],
+    validate({ vpa, amount }, { hasVariables }) {
+      if (!hasVariables(vpa) && !/^[\w.-]+@[\w.-]+$/.test(vpa)) {
+        return 'A UPI ID looks like name@bank, e.g. school@okaxis.';
+      }
+      if (amount && !hasVariables(amount) && !/^\d+(\.\d{1,2})?$/.test(amount)) {
+        return 'The amount must be a number with at most two decimals, e.g. 1500 or 1500.50.';
+      }
+      return null;
+    },
+    build: ({ vpa, name, amount, note }, { uri }) =>
+      `upi://pay?${query([['pa', vpa], ['pn', name], ['am', amount], ['cu', 'INR'], ['tn', note]], uri)}`
+  },
+
+  geo: {
+    label: 'Location',
+    fields: [
+      { name: 'latitude', label: 'Latitude', required: true, placeholder: '28.6139' },
+      { name: 'longitude', label: 'Longitude', required: true, placeholder: '77.2090' }
+    ],
+    validate({ latitude, longitude }, { hasVariables }) {
+      if (!hasVariables(latitude) && !isNumberInRange(latitude, -90, 90)) {
+        return 'The latitude must be a number from -90 to 90.';
+      }
+      if (!hasVariables(longitude) && !isNumberInRange(longitude, -180, 180)) {
+        return 'The longitude must be a number from -180 to 180.';
+      }
+      return null;
+    },
+    build: ({ latitude, longitude }) => `geo:${latitude},${longitude}`
+  },
+
+  sms: {
+    label: 'SMS',
+    fields: [
+      { name: 'phone', label: 'Phone number', required: true, placeholder: '+91 98765 43210' },
+      { name: 'message', label: 'Message', type: 'textarea' }
+    ],
+    build: ({ phone, message }) => `SMSTO:${phone}:${message || ''}`
+  },
+
+  email: {
+    label: 'E-mail',
+    fields: [
+      { name: 'to', label: 'To', required: true, placeholder: 'admissions@example.edu' },
+      { name: 'subject', label: 'Subject' },
+      { name: 'body', label: 'Message', type: 'textarea' }
+    ],
+    build({ to, subject, body }, { uri }) {
+      const params = query([['subject', subject], ['body', body]], uri);
+      return `mailto:${to}${params ? `?${params}` : ''}`;
+    }
+  },
+
+  event: {
+    label: 'Calendar event',
+    fields: [
+      { name: 'summary', label: 'Title', required: true },
+      { name: 'start', label: 'Starts', required: true, placeholder: '2026-11-01 10:00' },
+      { name: 'end', label: 'Ends', placeholder: '2026-11-01 13:00' },
+      { name: 'location', label: 'Location' },
+      { name: 'description', label: 'Description', type: 'textarea' }
+    ],
+    validate({ start, end }, { hasVariables }) {
+      for (const value of [start, end]) {
+        if (value && !hasVariables(value) && !DATE_TIME_RE.test(value)) {
+          return 'Please enter dates and times as YYYY-MM-DD HH:MM, e.g. 2026-11-01 10:00.';
+        }
+      }
+      if (end && !hasVariables(start) && !hasVariables(end) && icalDate(end) <= icalDate(start)) {
+        return 'The event must end after it starts.';
+      }
+      return null;
+    },
+    build({ summary, start, end, location, description }, { contentLine }) {
+      const lines = [
+        'BEGIN:VEVENT',
+        `SUMMARY:${contentLine(summary)}`,
+        `DTSTART:${icalDate(start)}`,
+        end && `DTEND:${icalDate(end)}`,
+        location && `LOCATION:${contentLine(location)}`,
+        description && `DESCRIPTION:${contentLine(description)}`,
+        'END:VEVENT'
+      ];
+      return lines.filter(Boolean).join('\n');
+    }
+  }
+};
+
+export const DEFAULT_QR_PAYLOAD = 'text';
+
+/**
+ * Build the QR code text for a payload type
+ * @param {string} type - Key of QR_PAYLOAD_TYPES
+ * @param {Object} fields - Field values by name, as strings ('true'/'false' for checkboxes)
+ * @param {Object} [options]
+ * @param {boolean} [options.keepVariables=true] - Keep @variables as typed, for a template;
+ *   false once they are filled in, so every value is escaped whole
+ * @returns {Object} { text } or { error } with a message for the user
+ */
+export function buildQRPayload(type, fields = {}, { keepVariables = true } = {}) {
+  const payloadType = QR_PAYLOAD_TYPES[type];
+  if (!payloadType) return { error: `Unknown QR code content: ${type}` };
+
+  const values = {};
+  for (const [name, value] of Object.entries(fields)) {
+    values[name] = typeof value === 'string' ? value.trim() : value;
+  }
+
+  const missing = payloadType.fields.find(field => field.required && !values[field.name]);
+  if (missing) return { error: `Please fill in "${missing.label}".` };
+
+  const context = payloadContext(keepVariables);
+  const error = payloadType.validate?.(values, context);
+  if (error) return { error };
+
+  return { text: payloadType.build(values, context) };
+}
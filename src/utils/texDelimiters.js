@@ -0,0 +1,96 @@
+/**
+ * Find TeX math written as plain text: $...$, $$...$$, \(...\) and \[...\].
+ *
+ * Used to turn raw TeX from typing, pasting or legacy content into math
+ * formulas. Inline $...$ follows Pandoc's rule so prices don't match: the
+ * opening $ must be followed by a non-space, and the closing $ preceded by a
+ * non-space and not followed by a digit ("costs $5 and $10" is left alone).
+ */
+
+// Stands for inline objects (images, existing formulas) in block text; math never spans them
+const OBJECT_REPLACEMENT = '\uFFFC';
+
+function isValidContent(content) {
+  return content.trim() !== '' && !content.includes(OBJECT_REPLACEMENT);
+}
+
+/**
+ * Find the closing $ of an inline formula opened at `start`. An unescaped $
+ * that can't close it ends the search, so "price $5 and $x$" doesn't read
+ * "5 and $x" as math.
+ * @returns {number} Index of the closing $, or -1
+ */
+function findInlineDollarClose(text, start) {
+  for (let i = start + 1; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\n' || ch === OBJECT_REPLACEMENT) return -1;
+    if (ch === '\\') {
+      i++;
+      continue;
+    }
+    if (ch === '$') {
+      return !/\s/.test(text[i - 1]) && !/\d/.test(text[i + 1] || '') ? i : -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * @param {string} text - Text of one block
+ * @returns {Array<Object>} Segments as { start, end, latex, display } with end exclusive
+ */
+export function findTexSegments(text) {
+  const segments = [];
+  if (!text) return segments;
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === '\\' && (next === '(' || next === '[')) {
+      const closer = next === '(' ? '\\)' : '\\]';
+      const close = text.indexOf(closer, i + 2);
+      const content = close === -1 ? '' : text.substring(i + 2, close);
+      if (close !== -1 && isValidContent(content)) {
+        segments.push({ start: i, end: close + 2, latex: content.trim(), display: next === '[' ? 'block' : 'inline' });
+        i = close + 2;
+        continue;
+      }
+      i += 2;
+      continue;
+    }
+
+    if (ch === '\\') {
+      // Escaped character, e.g. \$ for a literal dollar sign
+      i += 2;
+      continue;
+    }
+
+    if (ch === '$' && next === '$') {
+      const close = text.indexOf('$$', i + 2);
+      const content = close === -1 ? '' : text.substring(i + 2, close);
+      if (close !== -1 && isValidContent(content)) {
+        segments.push({ start: i, end: close + 2, latex: content.trim(), display: 'block' });
+        i = close + 2;
+        continue;
+      }
+      i += 2;
+      continue;
+    }
+
+    if (ch === '$' && next && !/\s/.test(next)) {
+      const close = findInlineDollarClose(text, i);
+      const content = close === -1 ? '' : text.substring(i + 1, close);
+      if (close !== -1 && isValidContent(content)) {
+        segments.push({ start: i, end: close + 1, latex: content, display: 'inline' });
+        i = close + 1;
+        continue;
+      }
+    }
+
+    i++;
+  }
+
+  return segments;
+}
@@ -0,0 +1,214 @@
+/**
+ * Fill in the @variables of barcodes and QR codes in saved editor HTML.
+ *
+ * The barcode and QR dialogs let users type @variable tokens (from the
+ * qrCodeVariables config), and the editor shows a code for the literal
+ * template. This replaces every such image with one for the real value,
+ * keeping its stored format, output, height, size and style. Runs in the
+ * browser and in Node.
+ *
+ * Usage:
+ *   import { renderVariableCodes } from '@tarak/ckeditor-plugins/utils/variableCodes.js';
+ *   const { html, problems } = await renderVariableCodes(savedHtml, { parcel_id: 'P-1042' });
+ *
+ * The data-barcode-value / data-qrcode-value attributes keep the template, so
+ * the same HTML can be rendered again with other values. QR codes saved from a
+ * structured form are built again from their filled-in fields, so each value
+ * is escaped for the payload format.
+ */
+
+import { prepareBarcodeValue } from './barcodeFormats.js';
+import { generateBarcodeImage, generateQRCodeImageAsync, readBarcodeOptions, readQRCodeOptions } from './codeImages.js';
+import { parseAttributes, setTagAttribute } from './htmlAttributes.js';
+import { buildQRPayload } from './qrPayloads.js';
+
+const IMG_TAG_RE = /<img\b([^>]*)>/gi;
+
+// @name, @parcel_id, @order.id — but not the @ of an e-mail address. In
+// URI payloads a variable may follow a percent-escape: ?tn=Fee%20@student_id
+const VARIABLE_RE = /(?:(?<=%[\dA-Fa-f]{2})|(?<![\w@]))@(\w+(?:[.-]\w+)*)/g;
+
+/**
+ * Names of the @variables in a barcode or QR code value
+ * @param {string} template
+ * @returns {Array<string>} Unique names, in order of appearance
+ */
+export function findCodeVariables(template) {
+  return [...new Set([...(template || '').matchAll(VARIABLE_RE)].map(match => match[1]))];
+}
+
+/**
+ * Apply `encode` to the text around the @variables of a value, so escaping it
+ * for a payload format leaves the variables intact
+ * @param {string} text
+ * @param {Function} encode - (text) => encoded text
+ * @returns {string}
+ */
+export function encodeAroundVariables(text, encode) {
+  let result = '';
+  let cursor = 0;
+  for (const match of text.matchAll(VARIABLE_RE)) {
+    result += encode(text.substring(cursor, match.index)) + match[0];
+    cursor = match.index + match[0].length;
+  }
+  return result + encode(text.substring(cursor));
+}
+
+/**
+ * Replace the @variables in a value
+ * @param {string} template - Value as typed in the dialog
+ * @param {Object} values - Variable values by name (without the @)
+ * @returns {Object} { text, missing } — missing lists variables without a value, which are left as typed
+ */
+export function substituteCodeVariables(template, values = {}) {
+  const missing = [];
+  const text = template.replace(VARIABLE_RE, (match, name) => {
+    const value = Object.prototype.hasOwnProperty.call(values, name) ? values[name] : undefined;
+    if (value === undefined || value === null || value === '') {
+      if (!missing.includes(name)) missing.push(name);
+      return match;
+    }
+    return String(value);
+  });
+  return { text, missing };
+}
+
+/**
+ * Fill in the @variables of a value with sample values, for previews
+ * @param {string} template - Value as typed
+ * @param {Array<Object>} variables - qrCodeVariables config entries; their `sample` is used when set
+ * @param {string} [fallback] - Sample for a variable without one when it makes up the whole value,
+ *   e.g. the barcode format's example. Other variables get their name in capitals.
+ * @returns {Object} { text, sampled } — sampled is true if any variable was filled in
+ */
+export function fillSampleValues(template, variables = [], fallback) {
+  const names = findCodeVariables(template);
+  if (names.length === 0) return { text: template, sampled: false };
+
+  const values = {};
+  for (const name of names) {
+    const sample = variables.find(variable => variable.key === name)?.sample;
+    if (sample !== undefined && sample !== null && sample !== '') {
+      values[name] = sample;
+    } else {
+      values[name] = fallback !== undefined && template.trim() === `@${name}` ? fallback : name.toUpperCase();
+    }
+  }
+  return { text: substituteCodeVariables(template, values).text, sampled: true };
+}
+
+/**
+ * Fill in the @variables of a QR code saved from a structured form and build
+ * its payload again, escaping the values for the format
+ * @param {string} template - The stored data-qrcode-value
+ * @param {Object} attributes - The img attributes
+ * @param {Object} values - Variable values by name
+ * @returns {Object|null} As substituteCodeVariables, or { error } if the filled-in form is
+ *   invalid; null if the code has no form, or its value was changed since (e.g. by find and
+ *   replace), and is filled in as text
+ */
+function substituteQRFields(template, attributes, values) {
+  const payload = attributes['data-qrcode-payload'];
+  let fields = null;
+  try {
+    fields = JSON.parse(attributes['data-qrcode-fields'] || 'null');
+  } catch (error) {
+    return null;
+  }
+  if (!payload || !fields || buildQRPayload(payload, fields).text !== template) return null;
+
+  const missing = [];
+  const filled = {};
+  for (const [name, value] of Object.entries(fields)) {
+    const substituted = substituteCodeVariables(String(value), values);
+    substituted.missing.filter(variable => !missing.includes(variable)).forEach(variable => missing.push(variable));
+    filled[name] = substituted.text;
+  }
+  if (missing.length > 0) return { text: template, missing };
+
+  const built = buildQRPayload(payload, filled, { keepVariables: false });
+  return built.error ? { error: built.error } : { text: built.text, missing };
+}
+
+/**
+ * Render one code's image for its value
+ * @returns {Promise<Object>} { src, alt } or { error }
+ */
+async function renderCode(type, text, attributes) {
+  const getAttribute = (name) => attributes[name];
+  try {
+    if (type === 'barcode') {
+      const options = readBarcodeOptions(getAttribute);
+      const prepared = prepareBarcodeValue(text, options.format);
+      if (prepared.error) return { error: prepared.error };
+      return { src: generateBarcodeImage(prepared.value, options), alt: `Barcode: ${prepared.value}` };
+    }
+    return { src: await generateQRCodeImageAsync(text, readQRCodeOptions(getAttribute)), alt: `QR Code: ${text}` };
+  } catch (error) {
+    return { error: error.message || String(error) };
+  }
+}
+
+/**
+ * Fill in the variables of every barcode and QR code image in an HTML string.
+ * Codes without variables are left as they are.
+ * @param {string} html - Saved editor HTML
+ * @param {Object} values - Variable values by name (without the @), e.g. { parcel_id: 'P-1042' }
+ * @returns {Promise<Object>} { html, rendered, problems }. rendered counts the regenerated codes.
+ *   problems lists the codes that were left unchanged, each
+ *   { type: 'barcode'|'qrcode', template, reason: 'missing'|'invalid', message, variables?, value? } —
+ *   variables for missing values, value (after substitution) for invalid ones — except QR forms
+ *   whose filled-in fields are invalid, which only have the message.
+ */
+export async function renderVariableCodes(html, values = {}) {
+  const problems = [];
+  let rendered = 0;
+  if (!html) return { html: html || '', rendered, problems };
+
+  let result = '';
+  let cursor = 0;
+  IMG_TAG_RE.lastIndex = 0;
+  let match;
+
+  while ((match = IMG_TAG_RE.exec(html)) !== null) {
+    const [openTag, attributeText] = match;
+    const attributes = parseAttributes(attributeText);
+    const type = attributes['data-barcode-value'] !== undefined ? 'barcode'
+      : attributes['data-qrcode-value'] !== undefined ? 'qrcode' : null;
+    if (!type) continue;
+
+    const template = attributes[`data-${type}-value`];
+    if (findCodeVariables(template).length === 0) continue;
+
+    const substituted = (type === 'qrcode' && substituteQRFields(template, attributes, values)) ||
+      substituteCodeVariables(template, values);
+    if (substituted.error) {
+      problems.push({ type, template, reason: 'invalid', message: substituted.error });
+      continue;
+    }
+
+    const { text, missing } = substituted;
+    if (missing.length > 0) {
+      problems.push({
+        type,
+        template,
+        reason: 'missing',
+        variables: missing,
+        message: `No value for ${missing.map(name => `@${name}`).join(', ')}`
+      });
+      continue;
+    }
+
+    const code = await renderCode(type, text, attributes);
+    if (code.error) {
+      problems.push({ type, template, reason: 'invalid', value: text, message: code.error });
+      continue;
+    }
+
+    result += html.substring(cursor, match.index) + setTagAttribute(setTagAttribute(openTag, 'src', code.src), 'alt', code.alt);
+    cursor = match.index + openTag.length;
+    rendered++;
+  }
+
+  return { html: result + html.substring(cursor), rendered, problems };
+}
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { gs1CheckDigit, prepareBarcodeValue } from '../src/utils/barcodeFormats.js';
+
+describe('gs1CheckDigit', () => {
+  it('calculates GS1 check digits', () => {
+    assert.equal(gs1CheckDigit('400638133393'), '1');
+    assert.equal(gs1CheckDigit('9638507'), '4');
+    assert.equal(gs1CheckDigit('03600029145'), '2');
+  });
+});
+
+describe('prepareBarcodeValue', () => {
+  it('adds a missing check digit', () => {
+    assert.deepEqual(prepareBarcodeValue('400638133393', 'EAN13'), { value: '4006381333931', checkDigit: '1', checkDigitAdded: true });
+  });
+
+  it('verifies a typed check digit', () => {
+    assert.equal(prepareBarcodeValue('4006381333931', 'EAN13').checkDigitAdded, false);
+    assert.deepEqual(prepareBarcodeValue('4006381333932', 'EAN13'),
+      { error: 'Wrong check digit: the last digit of this EAN-13 should be 1.' });
+  });
+
+  it('checks values with variables once filled in', () => {
+    assert.deepEqual(prepareBarcodeValue('@isbn', 'EAN13'), { value: '@isbn' });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decomposeOperators, rewriteLatex, resolveRewriteRules } from '../src/utils/latexRewrite.js';
+import { replaceFracWithCfrac } from '../src/utils/fracReplace.js';
+import { parseLatex, serializeLatex } from '../src/utils/latexTokenizer.js';
+
+describe('parseLatex', () => {
+  it('serializes back to the source', () => {
+    for (const latex of ['\\frac{a}{b}^{2} \\text{hi}', 'x_{i}^2 % note\n+ \\left( y \\right)', '\\begin{matrix}a & b \\\\ c\\end{matrix}']) {
+      assert.equal(serializeLatex(parseLatex(latex)), latex);
+    }
+  });
+});
+
+describe('replaceFracWithCfrac', () => {
+  it('turns \\frac into \\cfrac', () => {
+    assert.equal(replaceFracWithCfrac('\\frac{a}{b}'), '\\cfrac{a}{b}');
+    assert.equal(replaceFracWithCfrac('\\dfrac{x+1}{2}'), '\\dfrac{x+1}{2}');
+  });
+
+  it('raises the denominator of numeric fractions it rewrote', () => {
+    assert.equal(replaceFracWithCfrac('\\frac{1}{2}'), '\\cfrac{1}{\\raisebox{0.5ex}{2}}');
+    assert.equal(replaceFracWithCfrac('\\frac12'), '\\cfrac{1}{\\raisebox{0.5ex}{2}}');
+  });
+
+  it('leaves a \\cfrac written by the author alone', () => {
+    assert.equal(replaceFracWithCfrac('\\cfrac{1}{2}'), '\\cfrac{1}{2}');
+  });
+});
+
+describe('rewriteLatex', () => {
+  it('applies only the given rules', () => {
+    assert.equal(rewriteLatex('\\frac{1}{2}', []), '\\frac{1}{2}');
+    assert.equal(rewriteLatex('\\frac{1}{2}', ['fracSize']), '\\cfrac{1}{2}');
+    assert.equal(rewriteLatex('\\frac{1}{2}', [['fracSize', { command: 'dfrac' }]]), '\\dfrac{1}{2}');
+  });
+
+  it('rejects unknown rules', () => {
+    assert.throws(() => resolveRewriteRules(['nope']), /Unknown LaTeX rewrite rule: nope/);
+  });
+
+  it('decomposes operators inside bold and italic', () => {
+    assert.equal(rewriteLatex('\\mathbf{\\sin x} + \\cos y', ['operators']), '\\mathbf{sin x} + \\cos y');
+    assert.equal(decomposeOperators('\\sin x + \\log y'), 'sin x + log y');
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistoryStore, extractMathSymbols } from '../src/utils/mathHistory.js';
+
+describe('extractMathSymbols', () => {
+  it('finds symbol commands, Greek letters and Unicode symbols', () => {
+    assert.deepEqual(extractMathSymbols('\\alpha \\times 5° + β \\frac{1}{2} \\, x'), ['\\alpha', '\\times', '°', 'β']);
+  });
+
+  it('skips letters of other scripts and text arguments', () => {
+    assert.deepEqual(extractMathSymbols('क + é = \\text{दूरी \\alpha °} \\mathrm{d}x \\cdot y'), ['\\cdot']);
+  });
+});
+
+describe('createHistoryStore', () => {
+  it('records formulas once the saved history is loaded', async () => {
+    const saved = [];
+    const store = createHistoryStore({
+      storage: { load: () => ({ expressions: [{ latex: 'y', count: 1, lastUsed: 0 }], symbols: {} }), save: (history) => saved.push(history) }
+    });
+    await store.record('\\pi r^2');
+    assert.deepEqual(store.getRecent().map(entry => entry.latex), ['\\pi r^2', 'y']);
+    assert.deepEqual(saved[0].symbols, { '\\pi': 1 });
+  });
+
+  it('does not overwrite a history that could not be loaded', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const saved = [];
+    let fail = true;
+    const store = createHistoryStore({
+      storage: {
+        load: () => {
+          if (fail) throw new Error('offline');
+          return { expressions: [{ latex: 'y', count: 1, lastUsed: 0 }], symbols: {} };
+        },
+        save: (history) => saved.push(history)
+      }
+    });
+    await assert.rejects(store.record('x'), /could not be loaded/);
+    await assert.rejects(store.clear(), /could not be loaded/);
+    assert.deepEqual(saved, []);
+
+    // The next change loads the history again
+    fail = false;
+    await store.record('x');
+    assert.deepEqual(saved[0].expressions.map(entry => entry.latex), ['x', 'y']);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandMacros, normalizeMacros } from '../src/utils/mathMacros.js';
+
+describe('normalizeMacros', () => {
+  it('infers the argument count from the definition', () => {
+    assert.deepEqual(normalizeMacros({ vect: '\\mathbf{#1}', pair: { def: '(#1, #2)' } }), {
+      vect: { def: '\\mathbf{#1}', args: 1 },
+      pair: { def: '(#1, #2)', args: 2 }
+    });
+  });
+
+  it('keeps an explicit argument count', () => {
+    assert.deepEqual(normalizeMacros({ '\\first': { def: '#1#2', args: 1 } }), { first: { def: '#1#2', args: 1 } });
+  });
+});
+
+describe('expandMacros', () => {
+  it('expands macros given as objects without args', () => {
+    assert.equal(expandMacros('\\vect{v} + \\vect u', { vect: { def: '\\mathbf{#1}' } }), '\\mathbf{v} + \\mathbf{u}');
+  });
+});
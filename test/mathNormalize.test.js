@@ -0,0 +1,18 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLatex, resolveTransforms } from '../src/utils/mathNormalize.js';
+
+describe('normalizeLatex', () => {
+  it('reports the transforms that changed the formula', () => {
+    assert.deepEqual(normalizeLatex('\\frac12', ['cfrac']), { latex: '\\cfrac{1}{\\raisebox{0.5ex}{2}}', applied: ['cfrac'] });
+    assert.deepEqual(normalizeLatex('\\sin x', ['cfrac', 'operators']), { latex: '\\sin x', applied: [] });
+  });
+
+  it('decomposes operators inside bold and italic', () => {
+    assert.deepEqual(normalizeLatex('\\mathbf{\\sin x}', ['operators']), { latex: '\\mathbf{sin x}', applied: ['operators'] });
+  });
+
+  it('rejects unknown transforms', () => {
+    assert.throws(() => resolveTransforms(['nope']), /Unknown math transform: nope/);
+  });
+});
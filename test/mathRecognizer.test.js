@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubRecognizer, fingerprintMathInput } from '../src/utils/mathRecognizer.js';
+
+// A drawn canvas, as far as the recognizer reads one
+function fakeCanvas(pixels) {
+  return {
+    width: pixels.length / 4,
+    height: 1,
+    getContext: () => ({ getImageData: () => ({ data: new Uint8ClampedArray(pixels) }) })
+  };
+}
+
+describe('fingerprintMathInput', () => {
+  it('hashes the bytes of a Blob', async () => {
+    // FNV-1a offset basis for no bytes
+    assert.equal(await fingerprintMathInput(new Blob([])), '811c9dc5');
+    assert.match(await fingerprintMathInput(new Blob(['x^2'])), /^[0-9a-f]{8}$/);
+  });
+
+  it('gives the same id for the same pixels', async () => {
+    const first = await fingerprintMathInput(fakeCanvas([0, 0, 0, 255, 255, 255, 255, 255]));
+    const second = await fingerprintMathInput(fakeCanvas([0, 0, 0, 255, 255, 255, 255, 255]));
+    const other = await fingerprintMathInput(fakeCanvas([255, 255, 255, 255, 0, 0, 0, 255]));
+    assert.equal(first, second);
+    assert.notEqual(first, other);
+  });
+
+  it('rejects other inputs', async () => {
+    await assert.rejects(fingerprintMathInput('x^2'), TypeError);
+  });
+});
+
+describe('createStubRecognizer', () => {
+  it('answers known inputs from the answers map', async () => {
+    const input = new Blob(['drawing']);
+    const recognizeMath = createStubRecognizer({ answers: { [await fingerprintMathInput(input)]: 'x^2' } });
+    assert.equal(await recognizeMath(input), 'x^2');
+  });
+
+  it('names other inputs by their fingerprint', async () => {
+    const input = new Blob(['another drawing']);
+    const fingerprint = await fingerprintMathInput(input);
+    assert.equal(await createStubRecognizer()(input), `\\mathrm{recognized}_{${fingerprint}}`);
+    assert.equal(await createStubRecognizer({ fallback: '?' })(input), '?');
+    assert.equal(await createStubRecognizer({ fallback: id => `f_{${id}}` })(input), `f_{${fingerprint}}`);
+  });
+
+  it('waits for the delay', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let answer = null;
+    const recognized = createStubRecognizer({ fallback: 'x', delay: 30 })(fakeCanvas([0, 0, 0, 255]))
+      .then(latex => { answer = latex; });
+
+    // setImmediate isn't mocked: by then the canvas is hashed and the delay has started
+    await new Promise(resolve => setImmediate(resolve));
+    t.mock.timers.tick(29);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(answer, null);
+
+    t.mock.timers.tick(1);
+    await recognized;
+    assert.equal(answer, 'x');
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { latexToSpeech } from '../src/utils/mathSpeech.js';
+
+describe('latexToSpeech', () => {
+  it('reads limits', () => {
+    assert.equal(latexToSpeech('\\lim_{n\\to\\infty} a_n'), 'limit as n tends to infinity of a sub n');
+    assert.equal(latexToSpeech('\\lim_{n\\to\\infty} a_n', 'hi'), 'n के अनंत की ओर जाने पर सीमा, a पाद n');
+  });
+
+  it('reads relations in Hindi word order', () => {
+    assert.equal(latexToSpeech('x > 0'), 'x is greater than 0');
+    assert.equal(latexToSpeech('x > 0', 'hi'), 'x, 0 से अधिक है');
+    assert.equal(latexToSpeech('f(x) \\le 1', 'hi'), 'f कोष्ठक खुला x कोष्ठक बंद, 1 से कम या उसके बराबर है');
+    assert.equal(latexToSpeech('\\{x \\in A\\}', 'hi'), 'धनु कोष्ठक खुला x, A का अवयव है धनु कोष्ठक बंद');
+  });
+
+  it('reads fractions and big operators', () => {
+    assert.equal(latexToSpeech('\\frac{1}{2}'), '1 over 2');
+    assert.equal(latexToSpeech('\\sum_{i=1}^{n} i', 'hi'), 'योग, i बराबर 1 से n तक, i');
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildQRPayload } from '../src/utils/qrPayloads.js';
+
+describe('buildQRPayload', () => {
+  it('escapes Wi-Fi fields', () => {
+    assert.deepEqual(buildQRPayload('wifi', { ssid: 'Cafe;Guest', password: 'p:"1"' }),
+      { text: 'WIFI:T:WPA;S:Cafe\\;Guest;P:p\\:\\"1\\";;' });
+  });
+
+  it('escapes vCard values', () => {
+    const { text } = buildQRPayload('vcard', { firstName: 'Ravi; Jr, Dr', lastName: 'Rao', address: '1 Main St\nPune' });
+    assert.match(text, /^N:Rao;Ravi\\; Jr\\, Dr;;;$/m);
+    assert.match(text, /^ADR:;;1 Main St\\nPune;;;;$/m);
+  });
+
+  it('escapes the phone, e-mail and website of a vCard', () => {
+    const { text } = buildQRPayload('vcard', { firstName: 'Ravi', phone: '98765;ext=2', email: 'ravi,rao@example.com', website: 'https://example.com/a;b' });
+    assert.match(text, /^TEL;TYPE=CELL:98765\\;ext=2$/m);
+    assert.match(text, /^EMAIL:ravi\\,rao@example.com$/m);
+    assert.match(text, /^URL:https:\/\/example.com\/a\\;b$/m);
+  });
+
+  it('keeps @variables of a template as typed and escapes the text around them', () => {
+    assert.deepEqual(buildQRPayload('upi', { vpa: 'school@okaxis', name: '@payee', note: 'Fee for @student & co' }),
+      { text: 'upi://pay?pa=school@okaxis&pn=@payee&cu=INR&tn=Fee%20for%20@student%20%26%20co' });
+  });
+
+  it('escapes filled-in values whole', () => {
+    assert.deepEqual(buildQRPayload('upi', { vpa: 'school@okaxis', name: 'A & B' }, { keepVariables: false }),
+      { text: 'upi://pay?pa=school@okaxis&pn=A%20%26%20B&cu=INR' });
+  });
+
+  it('checks variables once they are filled in', () => {
+    assert.ok(buildQRPayload('upi', { vpa: '@vpa', name: 'School' }).text);
+    assert.deepEqual(buildQRPayload('upi', { vpa: '@vpa', name: 'School' }, { keepVariables: false }),
+      { error: 'A UPI ID looks like name@bank, e.g. school@okaxis.' });
+  });
+
+  it('reports missing and invalid fields', () => {
+    assert.deepEqual(buildQRPayload('geo', { latitude: '28.6' }), { error: 'Please fill in "Longitude".' });
+    assert.deepEqual(buildQRPayload('event', { summary: 'Fair', start: '2026-11-01 10:00', end: '2026-11-01 09:00' }),
+      { error: 'The event must end after it starts.' });
+    assert.deepEqual(buildQRPayload('nope'), { error: 'Unknown QR code content: nope' });
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findTexSegments } from '../src/utils/texDelimiters.js';
+
+describe('findTexSegments', () => {
+  it('finds inline and display math', () => {
+    assert.deepEqual(findTexSegments('so $x^2$ and \\[a+b\\] $$c$$'), [
+      { start: 3, end: 8, latex: 'x^2', display: 'inline' },
+      { start: 13, end: 20, latex: 'a+b', display: 'block' },
+      { start: 21, end: 26, latex: 'c', display: 'block' }
+    ]);
+  });
+
+  it('leaves prices alone', () => {
+    assert.deepEqual(findTexSegments('costs $5 and $10'), []);
+  });
+
+  it('does not read a price and the text after it as math', () => {
+    assert.deepEqual(findTexSegments('price $5 and $x$'), [{ start: 13, end: 16, latex: 'x', display: 'inline' }]);
+    assert.deepEqual(findTexSegments('$10 and $20$'), [{ start: 8, end: 12, latex: '20', display: 'inline' }]);
+  });
+
+  it('keeps escaped dollar signs inside math', () => {
+    assert.deepEqual(findTexSegments('$a \\$ b$'), [{ start: 0, end: 8, latex: 'a \\$ b', display: 'inline' }]);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findCodeVariables, renderVariableCodes, substituteCodeVariables } from '../src/utils/variableCodes.js';
+import { buildQRPayload } from '../src/utils/qrPayloads.js';
+
+const escapeAttribute = (value) => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/**
+ * A QR code saved from a structured form, as the dialog inserts it
+ */
+function qrCodeHtml(payload, fields) {
+  const { text } = buildQRPayload(payload, fields);
+  return `<p><img src="data:," data-qrcode-value="${escapeAttribute(text)}" data-qrcode-payload="${payload}" ` +
+    `data-qrcode-fields="${escapeAttribute(JSON.stringify(fields))}"></p>`;
+}
+
+const altText = (html) => html.match(/alt="([^"]*)"/)[1].replace(/&amp;/g, '&');
+
+describe('substituteCodeVariables', () => {
+  it('fills in values and lists missing ones', () => {
+    assert.deepEqual(findCodeVariables('@a-@b_2 mail@ x'), ['a', 'b_2']);
+    assert.deepEqual(substituteCodeVariables('@a-@b', { a: 'P-1' }), { text: 'P-1-@b', missing: ['b'] });
+  });
+});
+
+describe('renderVariableCodes', () => {
+  it('escapes values filled into a UPI form', async () => {
+    const html = qrCodeHtml('upi', { vpa: 'school@okaxis', name: 'School', note: 'Fee for @student' });
+    const result = await renderVariableCodes(html, { student: 'Asha Verma & Co' });
+    assert.equal(result.rendered, 1);
+    assert.deepEqual(result.problems, []);
+    assert.equal(altText(result.html), 'QR Code: upi://pay?pa=school@okaxis&pn=School&cu=INR&tn=Fee%20for%20Asha%20Verma%20%26%20Co');
+  });
+
+  it('escapes values filled into a vCard form', async () => {
+    const html = qrCodeHtml('vcard', { firstName: '@first', lastName: 'X' });
+    const result = await renderVariableCodes(html, { first: 'Ravi; Jr, Dr' });
+    assert.equal(result.rendered, 1);
+    assert.match(altText(result.html), /^N:X;Ravi\\; Jr\\, Dr;;;$/m);
+  });
+
+  it('reports forms that are invalid once filled in', async () => {
+    const html = qrCodeHtml('upi', { vpa: '@vpa', name: 'School' });
+    const result = await renderVariableCodes(html, { vpa: 'not a UPI ID' });
+    assert.equal(result.rendered, 0);
+    assert.equal(result.html, html);
+    assert.deepEqual(result.problems.map(problem => problem.reason), ['invalid']);
+  });
+
+  it('leaves codes with missing values unchanged', async () => {
+    const html = qrCodeHtml('upi', { vpa: 'school@okaxis', name: 'School', note: 'Fee for @student' });
+    const result = await renderVariableCodes(html, {});
+    assert.equal(result.html, html);
+    assert.deepEqual(result.problems[0].variables, ['student']);
+  });
+});